@@ -0,0 +1,131 @@
+/**
+ * Quantization Benchmark
+ * Compares the PaletteLUT nearest-color search with the exhaustive search
+ * it replaces: decision mismatches on random colors, dithering time and
+ * differing output pixels, for every color metric.
+ *
+ * Usage: node bench/quantize.js [width] [height] [palette]
+ * Defaults to an 800x480 synthetic photo and the measured acep-7 colors.
+ */
+
+const path = require('path');
+
+// The browser scripts expect their dependencies as globals
+const lib = file => require(path.join(__dirname, '..', 'js', file));
+global.ColorSpace = lib('libs/color-space.js');
+global.PaletteLUT = lib('libs/palette-lut.js');
+global.FloydSteinberg = lib('libs/floyd-steinberg.js');
+global.OrderedDither = lib('libs/ordered-dither.js');
+global.Palettes = lib('palettes.js');
+
+const width = parseInt(process.argv[2], 10) || 800;
+const height = parseInt(process.argv[3], 10) || 480;
+const palette = Palettes.getColors(Palettes.get(process.argv[4] || 'acep-7'), 'measured');
+
+// Seeded random numbers (mulberry32) so every run measures the same input
+function createRandom(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Smooth gradients with some noise, closer to a photo than pure noise
+function syntheticImage(w, h) {
+    const random = createRandom(42);
+    const data = new Uint8ClampedArray(w * h * 4);
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            const i = (y * w + x) * 4;
+            const noise = (random() - 0.5) * 40;
+            data[i] = 255 * x / w + noise;
+            data[i + 1] = 127 + 127 * Math.sin(x / 37 + y / 53) + noise;
+            data[i + 2] = 255 * y / h + noise;
+            data[i + 3] = 255;
+        }
+    }
+    return { width: w, height: h, data };
+}
+
+function copyImage(image) {
+    return { width: image.width, height: image.height, data: new Uint8ClampedArray(image.data) };
+}
+
+// Dither with the exhaustive search by swapping the lookup for the reference
+function withExhaustiveSearch(metric, run) {
+    const get = PaletteLUT.get;
+    PaletteLUT.get = (p, m) => ({
+        nearest: (r, g, b) => FloydSteinberg.findNearestIndexExhaustive(r, g, b, p, m)
+    });
+    try {
+        return run();
+    } finally {
+        PaletteLUT.get = get;
+    }
+}
+
+function time(run) {
+    const start = process.hrtime.bigint();
+    const result = run();
+    return { result, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+function countDifferences(a, b) {
+    let count = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) count++;
+    }
+    return count;
+}
+
+const source = syntheticImage(width, height);
+const pixels = width * height;
+const samples = 200000;
+
+console.log(`${width}x${height}, palette of ${palette.length} colors, ${samples} random samples per metric\n`);
+console.log('metric      build ms  mismatches  exhaustive ms  lut ms  speedup  diff px (fs)  diff px (bayer)');
+
+for (const metric of Object.keys(ColorSpace.METRICS)) {
+    const build = time(() => PaletteLUT.get(palette, metric));
+
+    // Fractional colors, as error diffusion produces them
+    const random = createRandom(7);
+    let mismatches = 0;
+    for (let i = 0; i < samples; i++) {
+        const r = random() * 255;
+        const g = random() * 255;
+        const b = random() * 255;
+        if (build.result.nearest(r, g, b) !== FloydSteinberg.findNearestIndexExhaustive(r, g, b, palette, metric)) {
+            mismatches++;
+        }
+    }
+
+    const dither = (image, indices) => FloydSteinberg.dither(image, palette, true, { metric, indices });
+    const order = (image, indices) => OrderedDither.dither(image, palette, { metric, indices });
+
+    const exhaustive = withExhaustiveSearch(metric, () => {
+        const indices = new Uint8Array(pixels);
+        const run = time(() => dither(copyImage(source), indices));
+        const ordered = new Uint8Array(pixels);
+        order(copyImage(source), ordered);
+        return { ms: run.ms, indices, ordered };
+    });
+
+    const indices = new Uint8Array(pixels);
+    const fast = time(() => dither(copyImage(source), indices));
+    const ordered = new Uint8Array(pixels);
+    order(copyImage(source), ordered);
+
+    console.log([
+        metric.padEnd(10),
+        build.ms.toFixed(1).padStart(9),
+        String(mismatches).padStart(11),
+        exhaustive.ms.toFixed(0).padStart(14),
+        fast.ms.toFixed(0).padStart(7),
+        (exhaustive.ms / fast.ms).toFixed(1).padStart(7) + 'x',
+        String(countDifferences(exhaustive.indices, indices)).padStart(13),
+        String(countDifferences(exhaustive.ordered, ordered)).padStart(16)
+    ].join(' '));
+}
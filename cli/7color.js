@@ -0,0 +1,348 @@
+#!/usr/bin/env node
+/**
+ * 7color CLI
+ * Converts images on the command line with the same modules the web page
+ * uses, so resizing and dithering give identical output.
+ *
+ *   7color convert <inputs...> [options]
+ *   7color list
+ *
+ * Exit codes: 0 all converted, 1 some files failed, 2 usage error or no
+ * input matched.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ImageConverter = require('./load-converter.js');
+const Decode = require('./decode.js');
+const Inputs = require('./inputs.js');
+
+const { version } = require('../package.json');
+
+// Options taking a value: flag -> conversion option
+const VALUE_OPTIONS = {
+    '--profile': 'profile',
+    '--mode': 'mode',
+    '--fill': 'fill',
+    '--orientation': 'orientation',
+    '--frame-rotation': 'frameRotation',
+    '--dither': 'dither',
+    '--attenuation': 'attenuation',
+    '--metric': 'metric',
+    '--palette': 'palette',
+    '--format': 'format',
+    '--adjust': 'adjustments',
+    '--wall': 'wall',
+    '--wall-gap': 'wallGap'
+};
+
+// Switches: flag -> conversion option
+const BOOLEAN_OPTIONS = {
+    '--serpentine': 'serpentine',
+    '--linear-light': 'linearLight',
+    '--date-in-name': 'dateInName'
+};
+
+const USAGE = `Usage:
+  7color convert <inputs...> [options]   Convert images
+  7color list                            Show profiles, palettes and other choices
+
+Inputs are PNG, JPEG or BMP files, folders, or glob patterns (quote them
+to keep the shell from expanding them): "photos/**/*.jpg"
+
+Options:
+  -o, --out <dir>         Output folder (default: current folder)
+  -r, --recursive         Include subfolders of folder inputs
+      --skip-existing     Leave outputs that already exist alone
+  -q, --quiet             Only print failures and the summary
+      --profile <key>     Display profile (default: ${DisplayProfiles.DEFAULT})
+      --mode <mode>       fit, cover, smart (crop around the subject) or stretch
+                          (default: fit)
+      --fill <fill>       Letterbox fill for fit: white, black or blur
+      --orientation <o>   auto, landscape or portrait (default: auto)
+      --frame-rotation <r> Turn photos the other way round than a fixed orientation:
+                          none (crop or letterbox), cw or ccw (default: none)
+      --dither <key>      Dithering, e.g. fs, atkinson, jjn, bayer4, blue-noise, none
+      --serpentine        Alternate the scan direction every row
+      --attenuation <n>   Share of the error to diffuse, 0-1 (default: 1)
+      --metric <key>      Color matching: rgb, linear-rgb, redmean, cie76, ciede2000
+      --linear-light      Diffuse error in linear light
+      --palette <key|file> Palette key, or a palette JSON file exported from the page
+      --format <key>      bmp, bmp4, bmp8, png, epd or header (default: the profile's)
+      --date-in-name      Start output names with the capture date (else the file's
+                          date), as YYYYMMDD_HHmm
+      --adjust <list>     Adjustments, e.g. saturation=30,contrast=10,autoLevels
+      --wall <grid>       Split each image across a wall of frames, columns x rows,
+                          optionally with l or p per frame: 3x1, 2x2:lppl;
+                          writes a ZIP with one file per frame
+      --wall-gap <mm>     Bezel gap between frames in mm, or across,down (default: ${Wall.DEFAULTS.gapX})
+  -h, --help              Show this help
+  -v, --version           Show the version
+
+Exit codes: 0 all converted, 1 some files failed, 2 usage error.`;
+
+class UsageError extends Error {}
+
+/**
+ * Parse --adjust key=value pairs
+ * @param {string} text - Comma-separated pairs; a bare autoLevels turns it on
+ * @returns {Object} - Adjustments for Adjustments.normalize
+ */
+function parseAdjustments(text) {
+    const adjustments = {};
+    for (const pair of text.split(',').filter(Boolean)) {
+        const [key, value] = pair.split('=').map(part => part.trim());
+        if (key === 'autoLevels') {
+            adjustments.autoLevels = value === undefined || value === 'true';
+        } else if (Adjustments.CONTROLS[key] && value !== undefined) {
+            adjustments[key] = Number(value);
+        } else {
+            throw new UsageError(`Unknown adjustment: ${pair} (choose from ${Object.keys(Adjustments.CONTROLS).join(', ')} or autoLevels)`);
+        }
+    }
+    return Adjustments.normalize(adjustments);
+}
+
+/**
+ * Load a palette JSON file and register it
+ * @param {string} file - Path of a file saved with the palette editor's export
+ * @returns {string} - Palette key
+ */
+function loadPaletteFile(file) {
+    const palette = Palettes.importJSON(fs.readFileSync(file, 'utf8'));
+    const key = Palettes.keyFor(palette.name);
+    Palettes.register(key, palette);
+    return key;
+}
+
+/**
+ * Parse the command line
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} - { command, inputs, out, recursive, skipExisting, quiet, options }
+ */
+function parseArgs(argv) {
+    const parsed = {
+        command: null,
+        inputs: [],
+        out: '.',
+        recursive: false,
+        skipExisting: false,
+        quiet: false,
+        options: {}
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+        let value = null;
+
+        // --key=value
+        const eq = arg.startsWith('--') ? arg.indexOf('=') : -1;
+        if (eq > 0) {
+            value = arg.slice(eq + 1);
+            arg = arg.slice(0, eq);
+        }
+        const takeValue = () => {
+            if (value !== null) return value;
+            if (i + 1 >= argv.length) throw new UsageError(`${arg} needs a value`);
+            return argv[++i];
+        };
+
+        if (arg === '-h' || arg === '--help') {
+            parsed.command = 'help';
+        } else if (arg === '-v' || arg === '--version') {
+            parsed.command = 'version';
+        } else if (arg === '-o' || arg === '--out') {
+            parsed.out = takeValue();
+        } else if (arg === '-r' || arg === '--recursive') {
+            parsed.recursive = true;
+        } else if (arg === '--skip-existing') {
+            parsed.skipExisting = true;
+        } else if (arg === '-q' || arg === '--quiet') {
+            parsed.quiet = true;
+        } else if (BOOLEAN_OPTIONS[arg]) {
+            parsed.options[BOOLEAN_OPTIONS[arg]] = true;
+        } else if (VALUE_OPTIONS[arg]) {
+            parsed.options[VALUE_OPTIONS[arg]] = takeValue();
+        } else if (arg.startsWith('-') && arg !== '-') {
+            throw new UsageError(`Unknown option: ${arg}`);
+        } else if (!parsed.command) {
+            parsed.command = arg;
+        } else {
+            parsed.inputs.push(arg);
+        }
+    }
+
+    return parsed;
+}
+
+/**
+ * Turn CLI option strings into conversion options and check them
+ * @param {Object} raw - Options as parsed
+ * @returns {Object} - Normalized conversion options
+ */
+function buildOptions(raw) {
+    const options = { ...raw };
+
+    try {
+        if (options.attenuation !== undefined) {
+            options.attenuation = Number(options.attenuation);
+        }
+        if (options.adjustments) {
+            options.adjustments = parseAdjustments(options.adjustments);
+        }
+        if (options.palette && !Palettes.PALETTES[options.palette] && fs.existsSync(options.palette)) {
+            options.palette = loadPaletteFile(options.palette);
+        }
+        if (options.wallGap !== undefined && !options.wall) {
+            throw new UsageError('--wall-gap needs --wall');
+        }
+        if (options.wall) {
+            options.wall = Wall.parse(options.wall, options.wallGap);
+        }
+        delete options.wallGap;
+        return ImageConverter.normalizeOptions(options);
+    } catch (error) {
+        throw error instanceof UsageError ? error : new UsageError(error.message);
+    }
+}
+
+function formatDuration(ms) {
+    return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+/**
+ * Print every choice the options accept
+ */
+function list() {
+    const section = (title, entries) => {
+        console.log(`${title}:`);
+        for (const [key, name] of Object.entries(entries)) {
+            console.log(`  ${key.padEnd(22)} ${name}`);
+        }
+        console.log('');
+    };
+
+    section('Profiles (--profile)', ImageConverter.getProfileOptions());
+    section('Palettes (--palette)', ImageConverter.getPaletteOptions());
+    section('Dithering (--dither)', ImageConverter.getDitherOptions());
+    section('Color matching (--metric)', ImageConverter.getMetricOptions());
+    section('Formats (--format)', Object.fromEntries(
+        Object.entries(ImageConverter.FORMATS).map(([key, format]) => [key, format.name])
+    ));
+    section('Modes (--mode)', ImageConverter.MODES);
+    section('Walls (--wall)', Wall.getGridOptions());
+}
+
+/**
+ * Convert every input
+ * @param {Object} args - Result of parseArgs
+ * @returns {Promise<number>} - Exit code
+ */
+async function convert(args) {
+    if (args.inputs.length === 0) {
+        throw new UsageError('No inputs given');
+    }
+
+    const settings = buildOptions(args.options);
+    const { files, missing } = Inputs.expand(args.inputs, { recursive: args.recursive });
+    for (const arg of missing) {
+        console.error(`No images found for ${arg}`);
+    }
+    if (files.length === 0) {
+        return 2;
+    }
+
+    const started = Date.now();
+    const written = new Map();
+    let converted = 0;
+    let skipped = 0;
+    let failed = missing.length;
+
+    for (const { file, relativeDir } of files) {
+        const fileStarted = Date.now();
+        try {
+            const name = path.basename(file);
+            const bytes = fs.readFileSync(file);
+            const pixels = Decode.decode(bytes);
+            const exif = Exif.read(bytes);
+            const options = {
+                ...settings,
+                exifOrientation: exif.orientation,
+                overlayFields: { date: exif.date !== null ? exif.date : fs.statSync(file).mtimeMs }
+            };
+
+            // The output name includes the orientation, known once the upright size is
+            const upright = Exif.orientedSize(pixels.width, pixels.height, options.exifOrientation);
+            const target = ImageConverter.getOutputDimensions(upright.width, upright.height, settings);
+            const orientation = target.width > target.height ? 'landscape' : 'portrait';
+            const outDir = path.join(args.out, relativeDir);
+            const outPath = path.join(outDir, ImageConverter.getOutputFilename(name, { ...options, orientation }));
+
+            if (written.has(outPath)) {
+                throw new Error(`Same output name as ${written.get(outPath)}`);
+            }
+            if (args.skipExisting && fs.existsSync(outPath)) {
+                skipped++;
+                if (!args.quiet) console.log(`SKIP ${file}: ${outPath} exists`);
+                continue;
+            }
+
+            const result = await ImageConverter.process(pixels, options, name);
+
+            fs.mkdirSync(outDir, { recursive: true });
+            fs.writeFileSync(outPath, Buffer.from(await result.blob.arrayBuffer()));
+            written.set(outPath, file);
+            converted++;
+
+            if (!args.quiet) {
+                console.log(`OK   ${file} -> ${outPath} (${result.width}x${result.height}, ${formatDuration(Date.now() - fileStarted)})`);
+            }
+        } catch (error) {
+            failed++;
+            console.error(`FAIL ${file}: ${error.message}`);
+        }
+    }
+
+    const parts = [`${converted} converted`];
+    if (skipped) parts.push(`${skipped} skipped`);
+    if (failed) parts.push(`${failed} failed`);
+    console.log(`\n${parts.join(', ')} in ${formatDuration(Date.now() - started)}`);
+
+    return failed > 0 ? 1 : 0;
+}
+
+async function main(argv) {
+    const args = parseArgs(argv);
+
+    switch (args.command) {
+        case 'convert':
+            return convert(args);
+        case 'list':
+            list();
+            return 0;
+        case 'version':
+            console.log(version);
+            return 0;
+        case 'help':
+            console.log(USAGE);
+            return 0;
+        case null:
+            console.error(USAGE);
+            return 2;
+        default:
+            throw new UsageError(`Unknown command: ${args.command}`);
+    }
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}, error => {
+    if (error instanceof UsageError) {
+        console.error(`7color: ${error.message}\nRun "7color --help" for usage.`);
+        process.exitCode = 2;
+    } else {
+        console.error(error);
+        process.exitCode = 1;
+    }
+});
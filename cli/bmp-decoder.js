@@ -0,0 +1,173 @@
+/**
+ * BMP File Decoder
+ * Reads uncompressed BMP files (1, 4, 8, 16, 24 and 32 bits per pixel,
+ * including bit-field masks) into RGBA pixels for the CLI. Browsers decode
+ * BMP themselves; pngjs and jpeg-js don't cover it.
+ */
+
+const BMPDecoder = {
+    // Compression types from the DIB header
+    BI_RGB: 0,
+    BI_BITFIELDS: 3,
+    BI_ALPHABITFIELDS: 6,
+
+    /**
+     * Decode a BMP file
+     * @param {Uint8Array} bytes - File contents
+     * @returns {Object} - Raster { width, height, data } with RGBA data
+     */
+    decode(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        if (bytes.length < 26 || view.getUint16(0) !== 0x424D) {
+            throw new Error('Not a BMP file');
+        }
+
+        const dataOffset = view.getUint32(10, true);
+        const headerSize = view.getUint32(14, true);
+
+        let width;
+        let height;
+        let bitsPerPixel;
+        let compression = this.BI_RGB;
+        let colorsUsed = 0;
+
+        if (headerSize === 12) {
+            // OS/2 BITMAPCOREHEADER
+            width = view.getUint16(18, true);
+            height = view.getInt16(20, true);
+            bitsPerPixel = view.getUint16(24, true);
+        } else if (headerSize >= 40) {
+            width = view.getInt32(18, true);
+            height = view.getInt32(22, true);
+            bitsPerPixel = view.getUint16(28, true);
+            compression = view.getUint32(30, true);
+            colorsUsed = view.getUint32(46, true);
+        } else {
+            throw new Error(`Unsupported BMP header size: ${headerSize}`);
+        }
+
+        // Negative height means rows are stored top-down
+        const topDown = height < 0;
+        height = Math.abs(height);
+        if (width <= 0 || height === 0) {
+            throw new Error('BMP has no pixels');
+        }
+
+        if (![this.BI_RGB, this.BI_BITFIELDS, this.BI_ALPHABITFIELDS].includes(compression)) {
+            throw new Error(`Unsupported BMP compression: ${compression}`);
+        }
+
+        const masks = this.readMasks(view, headerSize, bitsPerPixel, compression);
+        const palette = bitsPerPixel <= 8
+            ? this.readPalette(bytes, 14 + headerSize, colorsUsed || 1 << bitsPerPixel, headerSize === 12 ? 3 : 4)
+            : null;
+
+        const rowSize = Math.ceil(width * bitsPerPixel / 32) * 4;
+        if (dataOffset + rowSize * height > bytes.length) {
+            throw new Error('BMP file is truncated');
+        }
+
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let y = 0; y < height; y++) {
+            const row = dataOffset + (topDown ? y : height - 1 - y) * rowSize;
+            for (let x = 0; x < width; x++) {
+                const o = (y * width + x) * 4;
+
+                if (palette) {
+                    const bit = x * bitsPerPixel;
+                    const shift = 8 - bitsPerPixel - bit % 8;
+                    const index = (bytes[row + (bit >> 3)] >> shift) & ((1 << bitsPerPixel) - 1);
+                    const color = palette[index] || [0, 0, 0];
+                    data[o] = color[0];
+                    data[o + 1] = color[1];
+                    data[o + 2] = color[2];
+                    data[o + 3] = 255;
+                } else if (masks) {
+                    const value = bitsPerPixel === 16
+                        ? view.getUint16(row + x * 2, true)
+                        : view.getUint32(row + x * 4, true);
+                    data[o] = this.extract(value, masks[0]);
+                    data[o + 1] = this.extract(value, masks[1]);
+                    data[o + 2] = this.extract(value, masks[2]);
+                    data[o + 3] = masks[3] ? this.extract(value, masks[3]) : 255;
+                } else if (bitsPerPixel === 24 || bitsPerPixel === 32) {
+                    // Stored as BGR(X); the fourth byte of plain 32-bit files isn't alpha
+                    const p = row + x * (bitsPerPixel / 8);
+                    data[o] = bytes[p + 2];
+                    data[o + 1] = bytes[p + 1];
+                    data[o + 2] = bytes[p];
+                    data[o + 3] = 255;
+                } else {
+                    throw new Error(`Unsupported BMP bit depth: ${bitsPerPixel}`);
+                }
+            }
+        }
+
+        return { width, height, data };
+    },
+
+    /**
+     * Channel masks for 16 and 32-bit pixels
+     * @param {DataView} view - File contents
+     * @param {number} headerSize - DIB header size
+     * @param {number} bitsPerPixel - Bits per pixel
+     * @param {number} compression - Compression type
+     * @returns {Array|null} - [red, green, blue, alpha] masks, or null for plain 24/32-bit
+     */
+    readMasks(view, headerSize, bitsPerPixel, compression) {
+        if (compression === this.BI_RGB) {
+            // 16-bit without masks is 5-5-5
+            return bitsPerPixel === 16 ? [0x7C00, 0x03E0, 0x001F, 0] : null;
+        }
+        if (bitsPerPixel !== 16 && bitsPerPixel !== 32) {
+            throw new Error(`Bit fields need 16 or 32 bits per pixel, not ${bitsPerPixel}`);
+        }
+
+        // Masks follow a 40-byte header, or are part of the V2+ headers
+        const at = 14 + 40;
+        const hasAlpha = headerSize >= 56 || compression === this.BI_ALPHABITFIELDS;
+        return [
+            view.getUint32(at, true),
+            view.getUint32(at + 4, true),
+            view.getUint32(at + 8, true),
+            hasAlpha ? view.getUint32(at + 12, true) : 0
+        ];
+    },
+
+    /**
+     * Read the color table of an indexed BMP
+     * @param {Uint8Array} bytes - File contents
+     * @param {number} offset - Start of the color table
+     * @param {number} count - Number of entries
+     * @param {number} entrySize - 3 (OS/2) or 4 bytes per entry
+     * @returns {Array} - Array of RGB color arrays
+     */
+    readPalette(bytes, offset, count, entrySize) {
+        const palette = [];
+        for (let i = 0; i < count && offset + i * entrySize + 2 < bytes.length; i++) {
+            const p = offset + i * entrySize;
+            palette.push([bytes[p + 2], bytes[p + 1], bytes[p]]);
+        }
+        return palette;
+    },
+
+    /**
+     * Scale the bits under a mask to 0-255
+     * @param {number} value - Pixel value
+     * @param {number} mask - Channel mask
+     * @returns {number} - Channel value, 0-255
+     */
+    extract(value, mask) {
+        if (!mask) return 0;
+
+        let shift = 0;
+        while (((mask >>> shift) & 1) === 0) shift++;
+        const max = mask >>> shift;
+        return Math.round(((value & mask) >>> shift) * 255 / max);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BMPDecoder;
+}
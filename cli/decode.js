@@ -0,0 +1,89 @@
+/**
+ * Image Decoding
+ * Turns PNG, JPEG and BMP files into RGBA rasters for ImageConverter.process.
+ * The format is detected from the file's first bytes, not its extension.
+ */
+
+const { PNG } = require('pngjs');
+const jpeg = require('jpeg-js');
+const BMPDecoder = require('./bmp-decoder.js');
+
+const Decode = {
+    // Largest image jpeg-js may allocate for, in megabytes
+    MAX_JPEG_MEMORY: 1024,
+
+    /**
+     * Detect the image format from the file signature
+     * @param {Uint8Array} bytes - File contents
+     * @returns {string|null} - 'png', 'jpeg', 'bmp' or null
+     */
+    detectFormat(bytes) {
+        if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4E && bytes[3] === 0x47) return 'png';
+        if (bytes[0] === 0xFF && bytes[1] === 0xD8) return 'jpeg';
+        if (bytes[0] === 0x42 && bytes[1] === 0x4D) return 'bmp';
+        return null;
+    },
+
+    /**
+     * Read the image size from the header without decoding, so oversized
+     * uploads can be refused before they take the memory
+     * @param {Uint8Array} bytes - File contents
+     * @returns {Object|null} - { width, height }, or null if not found
+     */
+    readSize(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        switch (this.detectFormat(bytes)) {
+            case 'png':
+                return bytes.length >= 24 ? { width: view.getUint32(16), height: view.getUint32(20) } : null;
+            case 'bmp':
+                if (bytes.length < 26) return null;
+                return view.getUint32(14, true) === 12
+                    ? { width: view.getUint16(18, true), height: view.getUint16(20, true) }
+                    : { width: Math.abs(view.getInt32(18, true)), height: Math.abs(view.getInt32(22, true)) };
+            case 'jpeg': {
+                // Walk the segments to the first start-of-frame marker
+                let at = 2;
+                while (at + 9 < bytes.length) {
+                    if (bytes[at] !== 0xFF) return null;
+                    const marker = bytes[at + 1];
+                    if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+                        return { width: view.getUint16(at + 7), height: view.getUint16(at + 5) };
+                    }
+                    at += 2 + view.getUint16(at + 2);
+                }
+                return null;
+            }
+            default:
+                return null;
+        }
+    },
+
+    /**
+     * Decode an image file
+     * @param {Buffer} bytes - File contents
+     * @returns {Object} - Raster { width, height, data } with RGBA data
+     */
+    decode(bytes) {
+        switch (this.detectFormat(bytes)) {
+            case 'png': {
+                const png = PNG.sync.read(bytes);
+                return { width: png.width, height: png.height, data: new Uint8ClampedArray(png.data) };
+            }
+            case 'jpeg': {
+                const image = jpeg.decode(bytes, {
+                    useTArray: true,
+                    formatAsRGBA: true,
+                    maxMemoryUsageInMB: this.MAX_JPEG_MEMORY
+                });
+                return { width: image.width, height: image.height, data: new Uint8ClampedArray(image.data) };
+            }
+            case 'bmp':
+                return BMPDecoder.decode(bytes);
+            default:
+                throw new Error('Not a PNG, JPEG or BMP image');
+        }
+    }
+};
+
+module.exports = Decode;
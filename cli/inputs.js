@@ -0,0 +1,214 @@
+/**
+ * Input Expansion
+ * Resolves the CLI's input arguments into image files: plain files,
+ * folders (optionally recursive) and glob patterns with *, ?, [abc],
+ * {a,b} and ** for any number of folders. Patterns are expanded here so
+ * they also work when quoted or on shells that don't expand them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const Inputs = {
+    // Extensions picked up from folders and patterns
+    IMAGE_EXTENSIONS: ['.png', '.jpg', '.jpeg', '.bmp'],
+
+    /**
+     * Whether a path names an image by its extension
+     * @param {string} file - File path
+     * @returns {boolean}
+     */
+    isImage(file) {
+        return this.IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase());
+    },
+
+    /**
+     * Whether an argument is a glob pattern
+     * @param {string} arg - Input argument
+     * @returns {boolean}
+     */
+    hasMagic(arg) {
+        return /[*?[{]/.test(arg);
+    },
+
+    /**
+     * Turn one glob path segment into a regular expression
+     * @param {string} segment - Segment without slashes
+     * @returns {RegExp}
+     */
+    segmentRegExp(segment) {
+        let source = '';
+        let braces = 0;
+        for (let i = 0; i < segment.length; i++) {
+            const ch = segment[i];
+            if (ch === '*') {
+                source += '[^/]*';
+            } else if (ch === '?') {
+                source += '[^/]';
+            } else if (ch === '[') {
+                const end = segment.indexOf(']', i + 1);
+                if (end < 0) {
+                    source += '\\[';
+                } else {
+                    const set = segment.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+                    source += `[${set}]`;
+                    i = end;
+                }
+            } else if (ch === '{') {
+                source += '(?:';
+                braces++;
+            } else if (ch === '}' && braces > 0) {
+                source += ')';
+                braces--;
+            } else if (ch === ',' && braces > 0) {
+                source += '|';
+            } else {
+                source += ch.replace(/[.+^$()|\\\]]/g, '\\$&');
+            }
+        }
+        return new RegExp(`^${source}$`, process.platform === 'win32' ? 'i' : '');
+    },
+
+    /**
+     * List a folder, skipping entries that can't be read
+     * @param {string} dir - Folder path
+     * @returns {Array} - fs.Dirent entries
+     */
+    readDir(dir) {
+        try {
+            return fs.readdirSync(dir, { withFileTypes: true });
+        } catch (error) {
+            return [];
+        }
+    },
+
+    /**
+     * Whether a directory entry is (or links to) a folder
+     * @param {string} dir - Parent folder
+     * @param {fs.Dirent} entry - Entry
+     * @returns {boolean}
+     */
+    isDirectory(dir, entry) {
+        if (entry.isDirectory()) return true;
+        if (!entry.isSymbolicLink()) return false;
+        try {
+            return fs.statSync(path.join(dir, entry.name)).isDirectory();
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Images in a folder
+     * @param {string} dir - Folder path
+     * @param {boolean} recursive - Descend into subfolders
+     * @param {string} relative - Path of dir below the output root
+     * @param {Array} out - Receives { file, relativeDir }
+     */
+    walk(dir, recursive, relative, out) {
+        const entries = this.readDir(dir).sort((a, b) => a.name.localeCompare(b.name));
+        for (const entry of entries) {
+            if (entry.name.startsWith('.')) continue;
+            const file = path.join(dir, entry.name);
+            if (this.isDirectory(dir, entry)) {
+                if (recursive) this.walk(file, true, path.join(relative, entry.name), out);
+            } else if (this.isImage(entry.name)) {
+                out.push({ file, relativeDir: relative });
+            }
+        }
+    },
+
+    /**
+     * Expand a glob pattern
+     * @param {string} pattern - Pattern, with / or the platform separator
+     * @param {boolean} recursive - Descend into matched folders
+     * @param {Array} out - Receives { file, relativeDir }
+     */
+    glob(pattern, recursive, out) {
+        const segments = pattern.split(/[\\/]+/);
+        const firstMagic = segments.findIndex(segment => this.hasMagic(segment));
+        let base = segments.slice(0, firstMagic).join('/');
+        if (base === '' && pattern.startsWith('/')) base = '/';
+
+        const match = (dir, index, relative) => {
+            if (index === segments.length) return;
+            const segment = segments[index];
+            const last = index === segments.length - 1;
+
+            // ** matches this folder and every folder below it
+            if (segment === '**') {
+                match(dir, index + 1, relative);
+                for (const entry of this.readDir(dir || '.')) {
+                    if (entry.name.startsWith('.') || !this.isDirectory(dir || '.', entry)) continue;
+                    match(path.join(dir, entry.name), index, path.join(relative, entry.name));
+                }
+                return;
+            }
+
+            const regexp = this.segmentRegExp(segment);
+            const entries = this.readDir(dir || '.').sort((a, b) => a.name.localeCompare(b.name));
+            for (const entry of entries) {
+                // Hidden files only match patterns that ask for them
+                if (entry.name.startsWith('.') && !segment.startsWith('.')) continue;
+                if (!regexp.test(entry.name)) continue;
+
+                const file = path.join(dir, entry.name);
+                const isDirectory = this.isDirectory(dir || '.', entry);
+                if (!last) {
+                    if (isDirectory) match(file, index + 1, path.join(relative, entry.name));
+                } else if (isDirectory) {
+                    this.walk(file, recursive, path.join(relative, entry.name), out);
+                } else if (this.isImage(entry.name)) {
+                    out.push({ file, relativeDir: relative });
+                }
+            }
+        };
+
+        match(base, firstMagic, '');
+    },
+
+    /**
+     * Resolve input arguments into image files
+     * @param {Array} args - Files, folders and glob patterns
+     * @param {Object} options - Options
+     * @param {boolean} options.recursive - Descend into subfolders
+     * @returns {Object} - { files: [{ file, relativeDir }], missing: [args that matched nothing] }
+     */
+    expand(args, options = {}) {
+        const recursive = options.recursive === true;
+        const files = [];
+        const missing = [];
+        const seen = new Set();
+
+        for (const arg of args) {
+            const found = [];
+            let stat = null;
+            try {
+                stat = fs.statSync(arg);
+            } catch (error) {
+                // Not a plain path; may be a pattern
+            }
+
+            if (stat && stat.isDirectory()) {
+                this.walk(arg, recursive, '', found);
+            } else if (stat) {
+                // Named explicitly, so try it whatever the extension
+                found.push({ file: arg, relativeDir: '' });
+            } else if (this.hasMagic(arg)) {
+                this.glob(arg, recursive, found);
+            }
+
+            if (found.length === 0) missing.push(arg);
+            for (const entry of found) {
+                const key = path.resolve(entry.file);
+                if (seen.has(key)) continue;
+                seen.add(key);
+                files.push(entry);
+            }
+        }
+
+        return { files, missing };
+    }
+};
+
+module.exports = Inputs;
@@ -0,0 +1,30 @@
+/**
+ * Converter Loader
+ * Loads the page's converter modules into Node. The browser scripts
+ * expect their dependencies as globals, so they are assigned in the
+ * order index.html loads them. Shared by the CLI and the HTTP API.
+ */
+
+const path = require('path');
+
+const lib = file => require(path.join(__dirname, '..', 'js', file));
+global.ColorSpace = lib('libs/color-space.js');
+global.PaletteLUT = lib('libs/palette-lut.js');
+global.Raster = lib('libs/raster.js');
+global.FloydSteinberg = lib('libs/floyd-steinberg.js');
+global.OrderedDither = lib('libs/ordered-dither.js');
+global.Adjustments = lib('libs/adjustments.js');
+global.SmartCrop = lib('libs/smart-crop.js');
+global.Palettes = lib('palettes.js');
+global.DisplayProfiles = lib('profiles.js');
+global.BMPEncoder = lib('bmp-encoder.js');
+global.PNGEncoder = lib('png-encoder.js');
+global.ZipWriter = lib('zip-writer.js');
+global.PackedEncoder = lib('packed-encoder.js');
+global.Exif = lib('exif.js');
+global.Overlays = lib('overlays.js');
+global.Collage = lib('collage.js');
+global.Wall = lib('wall.js');
+global.ImageConverter = lib('converter.js');
+
+module.exports = global.ImageConverter;
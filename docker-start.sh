@@ -0,0 +1,22 @@
+#!/bin/sh
+# Run the conversion API next to nginx. If either one exits, the container
+# stops so Docker's restart policy can bring both back.
+
+node /opt/7color/server/index.js &
+api=$!
+
+nginx -g 'daemon off;' &
+web=$!
+
+stopping=
+trap 'stopping=1; kill -TERM $api $web 2>/dev/null' TERM INT
+
+# wait -n isn't in every sh; poll until one of them is gone
+while [ -z "$stopping" ] && kill -0 $api 2>/dev/null && kill -0 $web 2>/dev/null; do
+    sleep 2
+done
+
+kill -TERM $api $web 2>/dev/null
+wait
+[ -n "$stopping" ] && exit 0
+exit 1
@@ -7,21 +7,124 @@
 
     // State
     const state = {
-        images: new Map(), // Map of id -> { file, originalDataURL, converted, blob, outputFilename }
-        converting: false
+        images: new Map(), // Map of id -> { file, originalDataURL, exif, settings, crop, adjustments, overlays, slide, collage, converted, blob, outputFilename, upload, stored, storedSize }; in grid order, file is an array for a collage
+        converting: false,
+        sending: false,
+        storage: { quota: null, error: '' }, // Browser storage quota and the last failure to keep a card
+        smartCrops: Promise.resolve(), // Last smart crop measurement; they run one at a time
+        batchSettings: {
+            profile: DisplayProfiles.DEFAULT,
+            mode: 'fit',
+            fill: 'white',
+            orientation: 'auto',
+            frameRotation: 'none',
+            dither: 'floyd-steinberg',
+            serpentine: false,
+            attenuation: 1,
+            metric: 'rgb',
+            linearLight: false,
+            palette: DisplayProfiles.get(DisplayProfiles.DEFAULT).palette,
+            preview: 'device',
+            format: DisplayProfiles.get(DisplayProfiles.DEFAULT).format,
+            dateInName: false,
+            wall: null // Wall settings (see Wall.normalize) to split each image across several frames
+        }
     };
 
+    // Wait this long after the last edit before saving a card in the browser
+    const SAVE_DELAY = 500;
+
+    // Conversion settings shown on each card and in the batch controls.
+    // options may be a function for lists that change at runtime.
+    const SETTING_FIELDS = [
+        {
+            key: 'profile', label: 'Display', options: () => ImageConverter.getProfileOptions(),
+            // Switching panels brings along the panel's palette and mounting
+            onChange: settings => {
+                const profile = DisplayProfiles.get(settings.profile);
+                settings.palette = profile.palette;
+                settings.format = profile.format;
+                if (profile.orientation !== 'any') {
+                    settings.orientation = profile.orientation;
+                }
+            }
+        },
+        { key: 'palette', label: 'Palette', options: () => ImageConverter.getPaletteOptions() },
+        { key: 'preview', label: 'Preview', options: ImageConverter.PREVIEWS },
+        { key: 'mode', label: 'Mode', options: ImageConverter.MODES },
+        {
+            key: 'fill', label: 'Fill', options: ImageConverter.FILLS,
+            enabled: settings => settings.mode === 'fit'
+        },
+        {
+            // A wall sets the orientation of each of its frames instead
+            key: 'orientation', label: 'Orientation', options: ImageConverter.ORIENTATIONS,
+            enabled: settings => DisplayProfiles.get(settings.profile).orientation === 'any' && !settings.wall
+        },
+        {
+            // Only matters when the output orientation is fixed
+            key: 'frameRotation', label: 'Other way round', options: ImageConverter.FRAME_ROTATIONS,
+            enabled: settings => !settings.wall &&
+                (DisplayProfiles.get(settings.profile).orientation !== 'any' || settings.orientation !== 'auto')
+        },
+        { key: 'dither', label: 'Dither', options: ImageConverter.getDitherOptions() },
+        {
+            key: 'serpentine', label: 'Scan', options: { false: 'Left to right', true: 'Serpentine' },
+            parse: value => value === 'true',
+            enabled: settings => ImageConverter.isErrorDiffusion(settings.dither)
+        },
+        {
+            key: 'attenuation', label: 'Error', options: ImageConverter.ATTENUATIONS,
+            parse: Number,
+            enabled: settings => ImageConverter.isErrorDiffusion(settings.dither)
+        },
+        { key: 'metric', label: 'Match', options: ImageConverter.getMetricOptions() },
+        {
+            key: 'linearLight', label: 'Diffuse in', options: { false: 'sRGB (gamma)', true: 'Linear light' },
+            parse: value => value === 'true',
+            enabled: settings => ImageConverter.isErrorDiffusion(settings.dither)
+        },
+        {
+            key: 'format', label: 'Format',
+            options: Object.fromEntries(Object.entries(ImageConverter.FORMATS).map(([key, format]) => [key, format.name]))
+        },
+        {
+            // Capture date, else the file's date
+            key: 'dateInName', label: 'Filename', options: { false: 'Name only', true: 'Date first' },
+            parse: value => value === 'true'
+        }
+    ];
+
     // DOM Elements
     const dropZone = document.getElementById('dropZone');
     const fileInput = document.getElementById('fileInput');
     const controls = document.getElementById('controls');
     const convertBtn = document.getElementById('convertBtn');
+    const cancelBtn = document.getElementById('cancelBtn');
     const downloadAllBtn = document.getElementById('downloadAllBtn');
+    const zipContents = document.getElementById('zipContents');
     const clearBtn = document.getElementById('clearBtn');
+    const storageInfo = document.getElementById('storageInfo');
+    const forgetAllBtn = document.getElementById('forgetAllBtn');
+    const frameTarget = document.getElementById('frameTarget');
+    const sendAllBtn = document.getElementById('sendAllBtn');
+    const batchSettings = document.getElementById('batchSettings');
+    const batchSettingsFields = document.getElementById('batchSettingsFields');
+    const batchWallFields = document.getElementById('batchWallFields');
+    const applyAllBtn = document.getElementById('applyAllBtn');
     const imageGrid = document.getElementById('imageGrid');
     const progressBar = document.getElementById('progressBar');
     const progressFill = document.getElementById('progressFill');
     const progressText = document.getElementById('progressText');
+    const paletteLegend = document.getElementById('paletteLegend');
+    const outputInfo = document.getElementById('outputInfo');
+    const customProfileForm = document.getElementById('customProfileForm');
+    const slideshowForm = document.getElementById('slideshowForm');
+    const slideshowMessage = document.getElementById('slideshowMessage');
+    const collageForm = document.getElementById('collageForm');
+    const collageMessage = document.getElementById('collageMessage');
+    const updateBanner = document.getElementById('updateBanner');
+    const updateBtn = document.getElementById('updateBtn');
     const imageModal = document.getElementById('imageModal');
     const modalImage = document.getElementById('modalImage');
 
@@ -35,10 +138,21 @@
         const hasImages = state.images.size > 0;
         const allConverted = hasImages && Array.from(state.images.values()).every(img => img.converted);
         const anyConverted = hasImages && Array.from(state.images.values()).some(img => img.converted);
+        const hasFrames = Object.keys(Frames.FRAMES).length > 0;
+        const anyUploading = Array.from(state.images.values()).some(img => img.upload);
 
         controls.classList.toggle('hidden', !hasImages);
+        batchSettings.classList.toggle('hidden', !hasImages);
         downloadAllBtn.disabled = !anyConverted;
         convertBtn.disabled = state.converting || allConverted;
+        cancelBtn.classList.toggle('hidden', ConversionPool.activeCount() === 0 && !anyUploading);
+        sendAllBtn.disabled = !anyConverted || !hasFrames || state.sending;
+        frameTarget.disabled = !hasFrames;
+
+        for (const [id, imageData] of state.images) {
+            const sendBtn = document.getElementById(`send-${id}`);
+            if (sendBtn) sendBtn.disabled = !imageData.blob || !hasFrames || imageData.upload !== null || Boolean(imageData.settings.wall);
+        }
 
         if (state.converting) {
             convertBtn.textContent = 'CONVERTING...';
@@ -49,29 +163,638 @@
         }
     }
 
+    // Escape user-provided text (palette and profile names) for innerHTML
+    function escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+    }
+
+    // Render the <option> list for a settings field
+    function renderFieldOptions(field, value) {
+        const options = typeof field.options === 'function' ? field.options() : field.options;
+        return Object.entries(options).map(([key, label]) =>
+            `<option value="${escapeHTML(key)}"${String(value) === key ? ' selected' : ''}>${escapeHTML(label)}</option>`
+        ).join('');
+    }
+
+    // Render the settings dropdowns for a card or the batch controls
+    function renderSettingsFields(settings) {
+        return SETTING_FIELDS.map(field => `
+                <label class="settings-field">
+                    <span class="settings-label">${field.label}</span>
+                    <select class="settings-select" data-setting="${field.key}">${renderFieldOptions(field, settings[field.key])}</select>
+                </label>
+            `).join('');
+    }
+
+    // Rebuild option lists after profiles or palettes were added or removed
+    function refreshSettingsOptions() {
+        const containers = [[batchSettingsFields, state.batchSettings]];
+        for (const [id, imageData] of state.images) {
+            containers.push([document.getElementById(`settings-${id}`), imageData.settings]);
+        }
+
+        for (const [container, settings] of containers) {
+            for (const field of SETTING_FIELDS) {
+                if (typeof field.options !== 'function') continue;
+                container.querySelector(`[data-setting="${field.key}"]`).innerHTML =
+                    renderFieldOptions(field, settings[field.key]);
+            }
+        }
+    }
+
+    // Show current values and disable fields that don't apply
+    function syncSettingsFields(container, settings) {
+        for (const field of SETTING_FIELDS) {
+            const select = container.querySelector(`[data-setting="${field.key}"]`);
+            select.value = String(settings[field.key]);
+            select.disabled = field.enabled ? !field.enabled(settings) : false;
+        }
+    }
+
+    // Keep a settings object in sync with its dropdowns
+    function bindSettingsFields(container, settings, onChange) {
+        syncSettingsFields(container, settings);
+
+        container.addEventListener('change', (e) => {
+            const field = SETTING_FIELDS.find(f => f.key === e.target.dataset.setting);
+            if (!field) return;
+
+            settings[field.key] = field.parse ? field.parse(e.target.value) : e.target.value;
+            if (field.onChange) field.onChange(settings);
+            syncSettingsFields(container, settings);
+            if (onChange) onChange(field.key);
+        });
+    }
+
+    // Render the adjustment sliders for a card
+    function renderAdjustmentFields(adjustments) {
+        const sliders = Object.entries(Adjustments.CONTROLS).map(([key, control]) => `
+                <label class="settings-field">
+                    <span class="settings-label">${control.name} <output data-value="${key}">${adjustments[key]}</output></span>
+                    <input type="range" class="adjustment-range" data-adjust="${key}"
+                        min="${control.min}" max="${control.max}" step="${control.step}" value="${adjustments[key]}">
+                </label>
+            `).join('');
+
+        return sliders + `
+                <label class="settings-field adjustment-toggle">
+                    <input type="checkbox" data-adjust="autoLevels"${adjustments.autoLevels ? ' checked' : ''}>
+                    <span class="settings-label">Auto levels</span>
+                </label>
+                <button class="btn-small" data-adjust-action="reset">RESET</button>
+            `;
+    }
+
+    // Show current adjustment values
+    function syncAdjustmentFields(container, adjustments) {
+        for (const input of container.querySelectorAll('[data-adjust]')) {
+            const key = input.dataset.adjust;
+            if (input.type === 'checkbox') {
+                input.checked = adjustments[key];
+            } else {
+                input.value = adjustments[key];
+                container.querySelector(`[data-value="${key}"]`).textContent = adjustments[key];
+            }
+        }
+    }
+
+    // Keep a card's adjustments in sync with its sliders
+    function bindAdjustmentFields(container, adjustments, onChange) {
+        container.addEventListener('input', (e) => {
+            const key = e.target.dataset.adjust;
+            if (!key) return;
+
+            adjustments[key] = e.target.type === 'checkbox' ? e.target.checked : Number(e.target.value);
+            // Keep the levels from crossing
+            if (adjustments.whitePoint <= adjustments.blackPoint) {
+                if (key === 'whitePoint') {
+                    adjustments.blackPoint = adjustments.whitePoint - 1;
+                } else {
+                    adjustments.whitePoint = adjustments.blackPoint + 1;
+                }
+            }
+            syncAdjustmentFields(container, adjustments);
+            onChange();
+        });
+
+        container.addEventListener('click', (e) => {
+            if (e.target.dataset.adjustAction !== 'reset') return;
+            Object.assign(adjustments, Adjustments.defaults());
+            syncAdjustmentFields(container, adjustments);
+            onChange();
+        });
+    }
+
+    // Options for a palette color select: device colors of the card's palette
+    function renderColorOptions(settings, color, allowNone) {
+        const palette = Palettes.get(ImageConverter.normalizeOptions(settings).palette);
+        const colors = Palettes.deviceColors(palette);
+        const selected = color ? Overlays.nearestIndex(color, colors) : -1;
+
+        const options = palette.colors.map((entry, i) =>
+            `<option value="${i}"${i === selected ? ' selected' : ''}>${escapeHTML(entry.name)}</option>`
+        );
+        if (allowNone) {
+            options.unshift(`<option value=""${selected < 0 ? ' selected' : ''}>No box</option>`);
+        }
+        return options.join('');
+    }
+
+    // One editable row per text block
+    function renderOverlayBlocks(container, overlays, settings) {
+        if (overlays.length === 0) {
+            container.innerHTML = '<p class="overlay-empty">No text. Fields: {date}, {date:D MMM YYYY}, {time}, {filename}, {caption}</p>';
+            return;
+        }
+
+        container.innerHTML = overlays.map((block, index) => `
+                <div class="settings-fields overlay-block" data-index="${index}">
+                    <label class="settings-field overlay-text">
+                        <span class="settings-label">Text</span>
+                        <input class="settings-select" data-overlay="text" value="${escapeHTML(block.text)}">
+                    </label>
+                    <label class="settings-field">
+                        <span class="settings-label">Font</span>
+                        <select class="settings-select" data-overlay="font">${renderFieldOptions({ options: Overlays.FONTS }, block.font)}</select>
+                    </label>
+                    <label class="settings-field">
+                        <span class="settings-label">Size</span>
+                        <input class="settings-select overlay-number" data-overlay="size" type="number"
+                            min="${Overlays.MIN_SIZE}" max="${Overlays.MAX_SIZE}" value="${block.size}">
+                    </label>
+                    <label class="settings-field adjustment-toggle">
+                        <input type="checkbox" data-overlay="bold"${block.bold ? ' checked' : ''}>
+                        <span class="settings-label">Bold</span>
+                    </label>
+                    <label class="settings-field">
+                        <span class="settings-label">Position</span>
+                        <select class="settings-select" data-overlay="position">${renderFieldOptions({ options: Overlays.POSITIONS }, block.position)}</select>
+                    </label>
+                    <label class="settings-field">
+                        <span class="settings-label">Color</span>
+                        <select class="settings-select" data-overlay="color">${renderColorOptions(settings, block.color, false)}</select>
+                    </label>
+                    <label class="settings-field">
+                        <span class="settings-label">Box</span>
+                        <select class="settings-select" data-overlay="box">${renderColorOptions(settings, block.box, true)}</select>
+                    </label>
+                    <button class="btn-small btn-danger" data-overlay-action="remove" title="Remove this text">×</button>
+                </div>
+            `).join('');
+    }
+
+    // Saved overlay templates for a card's template select
+    function renderTemplateOptions() {
+        return '<option value="">Template…</option>' + Object.entries(Overlays.TEMPLATES).map(([key, template]) =>
+            `<option value="${escapeHTML(key)}">${escapeHTML(template.name)}</option>`
+        ).join('');
+    }
+
+    function refreshTemplateOptions() {
+        for (const select of imageGrid.querySelectorAll('[data-overlay-action="template"]')) {
+            const value = select.value;
+            select.innerHTML = renderTemplateOptions();
+            if (Overlays.TEMPLATES[value]) select.value = value;
+        }
+    }
+
+    function copyOverlays(overlays) {
+        return overlays.map(block => ({ ...block, color: block.color.slice(), box: block.box && block.box.slice() }));
+    }
+
+    // Keep a card's overlay blocks in sync with its fields and buttons
+    function bindOverlayFields(card, id) {
+        const container = card.querySelector(`#overlays-${id}`);
+
+        const editBlock = (e) => {
+            const row = e.target.closest('[data-index]');
+            const field = e.target.dataset.overlay;
+            if (!row || !field) return;
+
+            const imageData = state.images.get(id);
+            const block = imageData.overlays[Number(row.dataset.index)];
+            const colors = Palettes.deviceColors(Palettes.get(ImageConverter.normalizeOptions(imageData.settings).palette));
+
+            if (field === 'bold') {
+                block.bold = e.target.checked;
+            } else if (field === 'size') {
+                const size = Number(e.target.value);
+                if (!(size >= Overlays.MIN_SIZE && size <= Overlays.MAX_SIZE)) return; // Still typing
+                block.size = size;
+            } else if (field === 'color') {
+                block.color = colors[Number(e.target.value)].slice();
+            } else if (field === 'box') {
+                block.box = e.target.value === '' ? null : colors[Number(e.target.value)].slice();
+            } else {
+                block[field] = e.target.value;
+            }
+            overlaysChanged(id);
+        };
+        container.addEventListener('input', editBlock);
+
+        card.querySelector(`#overlay-panel-${id}`).addEventListener('click', (e) => {
+            const action = e.target.dataset.overlayAction;
+            if (!action || e.target.tagName === 'SELECT') return;
+            overlayAction(id, action, e.target);
+        });
+        card.querySelector(`#overlay-toolbar-${id}`).querySelector('[data-overlay-action="template"]').addEventListener('change', (e) => {
+            if (e.target.value) overlayAction(id, 'apply-template', e.target);
+        });
+    }
+
+    // Buttons and the template select of the overlays panel
+    function overlayAction(id, action, target) {
+        const imageData = state.images.get(id);
+        const templateSelect = document.getElementById(`overlay-toolbar-${id}`).querySelector('[data-overlay-action="template"]');
+
+        switch (action) {
+            case 'add-text':
+                imageData.overlays.push(Overlays.createBlock());
+                break;
+            case 'add-date':
+                imageData.overlays.push(Overlays.createBlock({ text: '{date:D MMM YYYY}', position: 'bottom-left' }));
+                break;
+            case 'remove':
+                imageData.overlays.splice(Number(target.closest('[data-index]').dataset.index), 1);
+                break;
+            case 'apply-template':
+                imageData.overlays = Overlays.getTemplate(templateSelect.value);
+                break;
+            case 'save-template': {
+                const current = Overlays.TEMPLATES[templateSelect.value];
+                const name = prompt('Template name', current ? current.name : 'My overlay');
+                if (name === null) return;
+                try {
+                    const key = Overlays.saveTemplate(name, imageData.overlays);
+                    refreshTemplateOptions();
+                    templateSelect.value = key;
+                } catch (error) {
+                    alert(error.message);
+                }
+                return;
+            }
+            case 'delete-template': {
+                const template = Overlays.TEMPLATES[templateSelect.value];
+                if (!template || !confirm(`Delete overlay template "${template.name}"?`)) return;
+                Overlays.removeTemplate(templateSelect.value);
+                refreshTemplateOptions();
+                return;
+            }
+            default:
+                return;
+        }
+
+        renderOverlayBlocks(document.getElementById(`overlays-${id}`), imageData.overlays, imageData.settings);
+        overlaysChanged(id);
+    }
+
+    // Overlay text changed: like an adjustment, the conversion is out of date
+    function overlaysChanged(id) {
+        resetConversion(id);
+        scheduleLivePreview(id);
+        updateUI();
+    }
+
+    function collageTitle(collage) {
+        return `Collage: ${escapeHTML(Collage.LAYOUTS[collage.layout].name)}`;
+    }
+
+    // What the converter needs of a card's collage: no names or previews
+    function collageOptions(collage) {
+        if (!collage) return null;
+        return {
+            layout: collage.layout,
+            gutter: collage.gutter,
+            border: collage.border,
+            borderColor: collage.borderColor,
+            cells: collage.cells.map(({ mode, fill, crop, exifOrientation }) => ({ mode, fill, crop, exifOrientation }))
+        };
+    }
+
+    function copyCollage(collage) {
+        return { ...collage, borderColor: collage.borderColor.slice(), cells: collage.cells.map(cell => ({ ...cell })) };
+    }
+
+    // Layout and spacing of a collage card, then one row per photo
+    function renderCollageFields(collage, settings) {
+        const cells = collage.cells.map((cell, index) => `
+                <div class="settings-fields collage-cell" data-cell="${index}">
+                    <span class="collage-cell-name" title="${escapeHTML(cell.name)}">${index + 1}. ${escapeHTML(cell.name)}</span>
+                    <label class="settings-field">
+                        <span class="settings-label">Mode</span>
+                        <select class="settings-select" data-collage-cell="mode">${renderFieldOptions({ options: ImageConverter.MODES }, cell.mode)}</select>
+                    </label>
+                    <label class="settings-field">
+                        <span class="settings-label">Fill</span>
+                        <select class="settings-select" data-collage-cell="fill"${cell.mode === 'fit' ? '' : ' disabled'}>${renderFieldOptions({ options: ImageConverter.FILLS }, cell.fill)}</select>
+                    </label>
+                    <button class="btn-small${cell.crop ? ' active' : ''}" data-collage-action="crop" title="Choose the part of this photo that fills its cell">CROP</button>
+                </div>
+            `).join('');
+
+        return `
+                <div class="settings-fields">
+                    <label class="settings-field">
+                        <span class="settings-label">Layout</span>
+                        <select class="settings-select" data-collage="layout">${renderFieldOptions({ options: Collage.getLayoutOptions(collage.cells.length) }, collage.layout)}</select>
+                    </label>
+                    <label class="settings-field">
+                        <span class="settings-label">Gutter</span>
+                        <input class="settings-select collage-number" data-collage="gutter" type="number" min="0" max="${Collage.MAX_SPACING}" value="${collage.gutter}">
+                    </label>
+                    <label class="settings-field">
+                        <span class="settings-label">Border</span>
+                        <input class="settings-select collage-number" data-collage="border" type="number" min="0" max="${Collage.MAX_SPACING}" value="${collage.border}">
+                    </label>
+                    <label class="settings-field">
+                        <span class="settings-label">Border color</span>
+                        <select class="settings-select" data-collage="borderColor">${renderColorOptions(settings, collage.borderColor, false)}</select>
+                    </label>
+                </div>
+            ` + cells;
+    }
+
+    // Redraw the collage panel, e.g. for another palette's colors
+    function renderCollagePanel(id) {
+        const imageData = state.images.get(id);
+        document.getElementById(`collage-${id}`).innerHTML = renderCollageFields(imageData.collage, imageData.settings);
+    }
+
+    // Keep a card's collage in sync with its fields and crop buttons
+    function bindCollageFields(container, id) {
+        container.addEventListener('input', (e) => {
+            const imageData = state.images.get(id);
+            const collage = imageData.collage;
+            const key = e.target.dataset.collage;
+            const cellKey = e.target.dataset.collageCell;
+
+            if (key === 'layout') {
+                collage.layout = e.target.value;
+                document.querySelector(`#card-${id} .image-card-title`).innerHTML = collageTitle(collage);
+            } else if (key === 'gutter' || key === 'border') {
+                const value = Number(e.target.value);
+                if (!(Number.isInteger(value) && value >= 0 && value <= Collage.MAX_SPACING)) return; // Still typing
+                collage[key] = value;
+            } else if (key === 'borderColor') {
+                const colors = Palettes.deviceColors(Palettes.get(ImageConverter.normalizeOptions(imageData.settings).palette));
+                collage.borderColor = colors[Number(e.target.value)].slice();
+            } else if (cellKey) {
+                const row = e.target.closest('[data-cell]');
+                collage.cells[Number(row.dataset.cell)][cellKey] = e.target.value;
+                row.querySelector('[data-collage-cell="fill"]').disabled = collage.cells[Number(row.dataset.cell)].mode !== 'fit';
+            } else {
+                return;
+            }
+            collageChanged(id);
+        });
+
+        container.addEventListener('click', (e) => {
+            if (e.target.dataset.collageAction !== 'crop') return;
+            openCellCropEditor(id, Number(e.target.closest('[data-cell]').dataset.cell));
+        });
+    }
+
+    // Layout or framing changed: redraw the original and drop the conversion
+    function collageChanged(id) {
+        resetConversion(id);
+        drawCollageOriginal(id);
+        refreshLivePreview(id);
+        updateUI();
+    }
+
+    // Crop one photo of a collage; the frame follows the shape of its cell
+    async function openCellCropEditor(id, index) {
+        const imageData = state.images.get(id);
+        const cell = imageData.collage.cells[index];
+
+        let rect;
+        try {
+            const settings = ImageConverter.normalizeOptions(conversionOptions(imageData));
+            const size = Collage.getDimensions(settings);
+            rect = Collage.cellRects(settings.collage, size.width, size.height)[index];
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        // Smart mode starts from its suggestion
+        const start = cell.crop || (cell.mode === 'smart'
+            ? await suggestCrop(imageData.file[index], cell.exifOrientation, () => rect)
+            : null);
+        CropEditor.open(cell.originalDataURL, start, () => rect, crop => {
+            cell.crop = crop;
+            document.querySelector(`#collage-${id} [data-cell="${index}"] [data-collage-action="crop"]`).classList.toggle('active', crop !== null);
+            collageChanged(id);
+        });
+    }
+
+    // Frame orientations of a wall
+    const WALL_ORIENTATIONS = { landscape: 'Landscape', portrait: 'Portrait' };
+
+    // Size of a wall and what the download holds, or why it can't be converted
+    function showWallInfo(container, settings, error = null) {
+        let text = '';
+        if (!error && settings.wall) {
+            try {
+                const layout = Wall.checkSize(settings.wall, DisplayProfiles.get(settings.profile));
+                text = `${layout.panels.length} frames, ${layout.width}x${layout.height} px in all; downloads as a ZIP with one file per frame`;
+            } catch (sizeError) {
+                error = sizeError.message;
+            }
+        }
+
+        const info = container.querySelector('.wall-info');
+        info.textContent = error || text;
+        info.classList.toggle('error', Boolean(error));
+    }
+
+    // Draw a wall panel
+    function renderWallPanel(container, settings) {
+        container.innerHTML = renderWallFields(settings);
+        showWallInfo(container, settings);
+    }
+
+    // Grid, bezel gaps and one orientation per frame (fixed by panels mounted one way only)
+    function renderWallFields(settings) {
+        const wall = settings.wall;
+        const grid = `
+                <label class="settings-field">
+                    <span class="settings-label">Frames</span>
+                    <select class="settings-select" data-wall="grid">${renderFieldOptions({ options: { '': 'Off (one frame)', ...Wall.getGridOptions() } }, wall ? Wall.gridKey(wall) : '')}</select>
+                </label>`;
+        if (!wall) return `<div class="settings-fields">${grid}</div>
+                <div class="wall-info"></div>`;
+
+        const fixed = DisplayProfiles.get(settings.profile).orientation;
+        const panels = wall.panels.map((panel, index) => `
+                    <select class="settings-select" data-wall-panel="${index}" title="Frame ${index + 1}"${fixed !== 'any' ? ' disabled' : ''}>${renderFieldOptions({ options: WALL_ORIENTATIONS }, fixed !== 'any' ? fixed : panel.orientation)}</select>`).join('');
+        return `
+                <div class="settings-fields">${grid}
+                    <label class="settings-field">
+                        <span class="settings-label">Gap across (mm)</span>
+                        <input class="settings-select wall-number" data-wall="gapX" type="number" min="0" max="${Wall.MAX_GAP}" value="${wall.gapX}">
+                    </label>
+                    <label class="settings-field">
+                        <span class="settings-label">Gap down (mm)</span>
+                        <input class="settings-select wall-number" data-wall="gapY" type="number" min="0" max="${Wall.MAX_GAP}" value="${wall.gapY}">
+                    </label>
+                </div>
+                <div class="wall-panels" style="grid-template-columns: repeat(${wall.columns}, 1fr)" title="Orientation of each frame, as they hang">${panels}
+                </div>
+                <div class="wall-info"></div>`;
+    }
+
+    // Keep the wall of a settings object in sync with its fields. Every change
+    // makes a new wall object: duplicated cards start out sharing one
+    function bindWallFields(container, settings, onChange) {
+        renderWallPanel(container, settings);
+
+        container.addEventListener('input', (e) => {
+            const wall = settings.wall;
+            const key = e.target.dataset.wall;
+            const typing = key === 'gapX' || key === 'gapY';
+
+            let next;
+            if (key === 'grid') {
+                // The gaps stay when the grid changes
+                next = e.target.value ? Wall.parse(e.target.value, wall ? `${wall.gapX},${wall.gapY}` : null) : null;
+            } else if (typing) {
+                const value = Number(e.target.value);
+                if (e.target.value === '' || !(value >= 0 && value <= Wall.MAX_GAP)) return; // Still typing
+                next = { ...wall, [key]: value };
+            } else if (e.target.dataset.wallPanel !== undefined) {
+                const index = Number(e.target.dataset.wallPanel);
+                next = { ...wall, panels: wall.panels.map((panel, i) => i === index ? { orientation: e.target.value } : panel) };
+            } else {
+                return;
+            }
+
+            // A wall too large to dither keeps the last one
+            try {
+                if (next) Wall.checkSize(next, DisplayProfiles.get(settings.profile));
+            } catch (error) {
+                if (!typing) renderWallPanel(container, settings);
+                showWallInfo(container, settings, error.message);
+                return;
+            }
+            settings.wall = next;
+
+            // Keep the focus in a gap being typed
+            if (typing) {
+                showWallInfo(container, settings);
+            } else {
+                renderWallPanel(container, settings);
+            }
+            onChange();
+        });
+    }
+
+    // Undithered, reduced-size composite as the collage card's original
+    async function drawCollageOriginal(id) {
+        const imageData = state.images.get(id);
+        try {
+            const img = await ImageConverter.loadSource(imageData.file);
+            let base;
+            try {
+                base = ImageConverter.getPreviewBase(img, conversionOptions(imageData));
+            } finally {
+                ImageConverter.releaseSource(img);
+            }
+
+            const canvas = ImageConverter.createCanvas(base.imageData.width, base.imageData.height);
+            canvas.getContext('2d').putImageData(base.imageData, 0, 0);
+            imageData.originalDataURL = canvas.toDataURL('image/png');
+
+            const original = document.getElementById(`original-${id}`);
+            if (original) original.src = imageData.originalDataURL;
+        } catch (error) {
+            console.error('Collage preview error:', error);
+        }
+    }
+
     // Create image card HTML
-    function createImageCard(id, file, originalDataURL) {
+    function createImageCard(id, file, originalDataURL, exif, settings, adjustments, overlays, slide, collage) {
         const card = document.createElement('div');
         card.className = 'image-card';
         card.id = `card-${id}`;
+        // Collages can't be part of another collage
+        const select = collage ? '' : '<input type="checkbox" class="image-card-select" data-select title="Select for a collage">';
+        const title = collage ? collageTitle(collage) : escapeHTML(file.name);
+        const titleHint = collage ? collage.cells.map(cell => escapeHTML(cell.name)).join(', ') : escapeHTML(file.name);
         card.innerHTML = `
-            <div class="image-card-header">
-                <span class="image-card-title" title="${file.name}">${file.name}</span>
+            <div class="image-card-header" draggable="true">
+                <span class="image-card-handle" tabindex="0" title="Drag to change the slideshow order (or Alt+arrow keys)">⠿</span>
+                ${select}
+                <span class="image-card-title" title="${titleHint}">${title}</span>
                 <span class="image-card-status" id="status-${id}">PENDING</span>
             </div>
+            ${exif.date !== null || exif.camera ? `<div class="image-card-meta">${describeExif(exif)}</div>` : ''}
             <div class="image-preview-container">
                 <div class="preview-section">
                     <div class="preview-label">Original</div>
-                    <img src="${originalDataURL}" class="preview-image" alt="Original">
+                    <div class="preview-frame">
+                        <img${originalDataURL ? ` src="${originalDataURL}"` : ''} class="preview-image" id="original-${id}" alt="Original">
+                        <div class="smart-crop-box" id="smart-crop-${id}" title="Smart crop suggestion; CROP adjusts it" hidden></div>
+                    </div>
                 </div>
                 <div class="preview-section">
                     <div class="preview-label">Converted</div>
                     <div class="preview-placeholder" id="preview-${id}">Awaiting conversion</div>
                 </div>
             </div>
+            <details class="image-card-settings">
+                <summary>SETTINGS</summary>
+                <div class="settings-fields" id="settings-${id}">
+                    ${renderSettingsFields(settings)}
+                </div>
+            </details>
+            <details class="image-card-settings" id="adjust-panel-${id}">
+                <summary>ADJUSTMENTS</summary>
+                <div class="settings-fields adjustment-fields" id="adjust-${id}">
+                    ${renderAdjustmentFields(adjustments)}
+                </div>
+            </details>
+            <details class="image-card-settings" id="overlay-panel-${id}">
+                <summary>OVERLAYS</summary>
+                <div class="overlay-blocks" id="overlays-${id}"></div>
+                <div class="overlay-toolbar" id="overlay-toolbar-${id}">
+                    <button class="btn-small" data-overlay-action="add-text">ADD TEXT</button>
+                    <button class="btn-small" data-overlay-action="add-date" title="Photo date, e.g. {date:D MMM YYYY}">ADD DATE</button>
+                    <select class="settings-select" data-overlay-action="template" title="Replace the overlays with a saved template"></select>
+                    <button class="btn-small btn-secondary" data-overlay-action="save-template">SAVE AS TEMPLATE</button>
+                    <button class="btn-small btn-danger" data-overlay-action="delete-template" title="Delete the template picked on the left">DELETE TEMPLATE</button>
+                </div>
+            </details>
+            ${collage ? `
+            <details class="image-card-settings" id="collage-panel-${id}" open>
+                <summary>COLLAGE</summary>
+                <div id="collage-${id}">${renderCollageFields(collage, settings)}</div>
+            </details>` : `
+            <details class="image-card-settings" id="wall-panel-${id}"${settings.wall ? ' open' : ''}>
+                <summary>WALL</summary>
+                <div id="wall-${id}"></div>
+            </details>`}
+            <details class="image-card-settings">
+                <summary>SLIDESHOW</summary>
+                <div class="settings-fields" id="slide-${id}">
+                    <label class="settings-field slide-caption">
+                        <span class="settings-label">Caption</span>
+                        <input class="settings-select" data-slide="caption" value="${escapeHTML(slide.caption)}">
+                    </label>
+                    <label class="settings-field">
+                        <span class="settings-label">Seconds</span>
+                        <input class="settings-select slide-duration" data-slide="duration" type="number" min="1"
+                            value="${slide.duration || ''}" placeholder="Default">
+                    </label>
+                </div>
+            </details>
             <div class="image-card-actions">
                 <button class="btn-small btn-primary" id="convert-${id}">CONVERT</button>
                 <button class="btn-small btn-secondary" id="download-${id}" disabled>DOWNLOAD</button>
+                <button class="btn-small btn-secondary" id="send-${id}" title="Upload the output to the frame chosen next to SEND ALL" disabled>SEND</button>
+                <button class="btn-small" id="crop-${id}" title="Choose the part of the image that ends up on the frame">CROP</button>
+                <button class="btn-small" id="duplicate-${id}" title="Convert the same image with different settings">DUPLICATE</button>
+                <button class="btn-small" id="store-${id}"${ImageStore.isAvailable() ? '' : ' hidden'}>FORGET</button>
                 <button class="btn-small btn-danger" id="remove-${id}">REMOVE</button>
             </div>
         `;
@@ -79,7 +802,45 @@
         // Event listeners
         card.querySelector(`#convert-${id}`).addEventListener('click', () => convertSingle(id));
         card.querySelector(`#download-${id}`).addEventListener('click', () => downloadSingle(id));
+        card.querySelector(`#send-${id}`).addEventListener('click', () => sendSingle(id));
+        card.querySelector(`#crop-${id}`).addEventListener('click', () => openCropEditor(id));
+        card.querySelector(`#duplicate-${id}`).addEventListener('click', () => duplicateImage(id));
+        card.querySelector(`#store-${id}`).addEventListener('click', () => toggleStored(id));
         card.querySelector(`#remove-${id}`).addEventListener('click', () => removeImage(id));
+        bindSettingsFields(card.querySelector(`#settings-${id}`), settings, key => settingsChanged(id, key));
+        if (collage) {
+            // Each photo has its own resize mode and crop instead
+            for (const key of ['mode', 'fill']) {
+                card.querySelector(`#settings-${id} [data-setting="${key}"]`).closest('.settings-field').hidden = true;
+            }
+            card.querySelector(`#crop-${id}`).hidden = true;
+            bindCollageFields(card.querySelector(`#collage-${id}`), id);
+            card.querySelector(`#collage-panel-${id}`).addEventListener('toggle', () => refreshLivePreview(id));
+        } else {
+            bindWallFields(card.querySelector(`#wall-${id}`), settings, () => {
+                syncSettingsFields(card.querySelector(`#settings-${id}`), settings);
+                settingsChanged(id, 'wall');
+            });
+        }
+        bindAdjustmentFields(card.querySelector(`#adjust-${id}`), adjustments, () => adjustmentsChanged(id));
+        card.querySelector(`#adjust-panel-${id}`).addEventListener('toggle', () => refreshLivePreview(id));
+        card.querySelector(`#overlay-panel-${id}`).addEventListener('toggle', () => refreshLivePreview(id));
+        renderOverlayBlocks(card.querySelector(`#overlays-${id}`), overlays, settings);
+        card.querySelector(`#overlay-toolbar-${id}`).querySelector('[data-overlay-action="template"]').innerHTML = renderTemplateOptions();
+        bindOverlayFields(card, id);
+        card.querySelector(`#slide-${id}`).addEventListener('input', (e) => {
+            if (e.target.dataset.slide === 'caption') {
+                slide.caption = e.target.value;
+                // The caption may be burned into the picture
+                const imageData = state.images.get(id);
+                if (imageData && imageData.overlays.some(block => block.text.includes('{caption}'))) {
+                    overlaysChanged(id);
+                }
+            } else if (e.target.dataset.slide === 'duration') {
+                slide.duration = Number(e.target.value) > 0 ? Number(e.target.value) : null;
+            }
+            saveImage(id);
+        });
 
         return card;
     }
@@ -89,24 +850,73 @@
         for (const file of files) {
             if (!file.type.startsWith('image/')) continue;
 
-            const id = generateId();
             const originalDataURL = await readFileAsDataURL(file);
-
-            state.images.set(id, {
-                file: file,
-                originalDataURL: originalDataURL,
-                converted: false,
-                blob: null,
-                outputFilename: ImageConverter.getOutputFilename(file.name)
-            });
-
-            const card = createImageCard(id, file, originalDataURL);
+            const exif = await Exif.readFile(file);
+            const card = addImageEntry(file, originalDataURL, exif, { ...state.batchSettings });
             imageGrid.appendChild(card);
         }
 
+        saveOrder();
         updateUI();
     }
 
+    // Register an image in state and build its card; a restored card keeps its stored id
+    function addImageEntry(file, originalDataURL, exif, settings, crop = null, adjustments = Adjustments.defaults(),
+        overlays = [], slide = { caption: '', duration: null }, collage = null, storedId = null) {
+        const id = storedId || generateId();
+
+        const imageData = {
+            file: file,
+            originalDataURL: originalDataURL,
+            exif: exif,
+            settings: settings,
+            crop: crop,
+            adjustments: adjustments,
+            overlays: overlays,
+            slide: slide,
+            collage: collage,
+            job: null,
+            upload: null,
+            converted: false,
+            blob: null,
+            stored: true,
+            storedSize: 0,
+            saveTimer: null
+        };
+        imageData.outputFilename = outputFilename(imageData);
+        state.images.set(id, imageData);
+
+        const card = createImageCard(id, file, originalDataURL, exif, settings, adjustments, overlays, slide, collage);
+        card.querySelector(`#crop-${id}`).classList.toggle('active', crop !== null);
+        // The original of a collage is drawn from its photos
+        if (collage) drawCollageOriginal(id);
+        showSmartCrop(id);
+        if (!storedId) saveImage(id);
+        return card;
+    }
+
+    // Add a second card for the same image, e.g. to compare color metrics
+    function duplicateImage(id) {
+        const imageData = state.images.get(id);
+        if (!imageData) return;
+
+        const card = addImageEntry(
+            imageData.file, imageData.originalDataURL, imageData.exif, { ...imageData.settings }, imageData.crop, { ...imageData.adjustments },
+            copyOverlays(imageData.overlays), { ...imageData.slide }, imageData.collage && copyCollage(imageData.collage)
+        );
+        document.getElementById(`card-${id}`).after(card);
+        syncOrderFromGrid();
+        updateUI();
+    }
+
+    // Capture date and camera from a photo's EXIF
+    function describeExif(exif) {
+        const parts = [];
+        if (exif.date !== null) parts.push(`Taken ${Overlays.formatDate(new Date(exif.date), 'D MMM YYYY, HH:mm')}`);
+        if (exif.camera) parts.push(escapeHTML(exif.camera));
+        return parts.join(' · ');
+    }
+
     // Read file as data URL
     function readFileAsDataURL(file) {
         return new Promise((resolve) => {
@@ -116,49 +926,494 @@
         });
     }
 
+    // Card settings plus the crop, adjustments, overlays and collage kept beside them
+    function conversionOptions(imageData) {
+        return ImageConverter.withFileDate({
+            ...imageData.settings,
+            exifOrientation: imageData.exif.orientation,
+            crop: imageData.crop,
+            adjustments: imageData.adjustments,
+            overlays: imageData.overlays,
+            overlayFields: { date: imageData.exif.date, caption: imageData.slide.caption },
+            collage: collageOptions(imageData.collage)
+        }, imageData.file);
+    }
+
+    // Name the card's output is saved under: the file's, or one for the collage
+    function sourceName(imageData) {
+        return imageData.collage ? Collage.sourceName(imageData.collage) : imageData.file.name;
+    }
+
+    // Settings plus what output names are made of: the collage and the photo date
+    function namingOptions(imageData, settings = imageData.settings) {
+        return ImageConverter.withFileDate({
+            ...settings,
+            collage: collageOptions(imageData.collage),
+            overlayFields: { date: imageData.exif.date }
+        }, imageData.file);
+    }
+
+    function outputFilename(imageData, settings = imageData.settings) {
+        return ImageConverter.getOutputFilename(sourceName(imageData), namingOptions(imageData, settings));
+    }
+
     // Convert single image
-    async function convertSingle(id) {
+    async function convertSingle(id, onProgress = null) {
         const imageData = state.images.get(id);
-        if (!imageData || imageData.converted) return;
+        if (!imageData || imageData.converted || imageData.job) return;
 
         const statusEl = document.getElementById(`status-${id}`);
-        const previewEl = document.getElementById(`preview-${id}`);
         const convertBtn = document.getElementById(`convert-${id}`);
-        const downloadBtn = document.getElementById(`download-${id}`);
+
+        // Settings changes and removal while the job runs abort and clear it
+        const job = new AbortController();
+        imageData.job = job;
+        imageData.progress = 0;
 
         try {
-            statusEl.textContent = 'CONVERTING';
+            statusEl.textContent = 'QUEUED';
             statusEl.className = 'image-card-status';
+            statusEl.title = '';
             convertBtn.disabled = true;
+            updateUI();
 
-            const result = await ImageConverter.convert(imageData.file);
+            const result = await ConversionPool.convert(imageData.file, conversionOptions(imageData), fraction => {
+                if (imageData.job !== job) return;
+                imageData.progress = fraction;
+                statusEl.textContent = `CONVERTING ${Math.round(fraction * 100)}%`;
+                if (onProgress) onProgress();
+            }, job.signal);
+            if (imageData.job !== job || !state.images.has(id)) return;
+            imageData.job = null;
 
-            // Update state
-            imageData.converted = true;
-            imageData.blob = result.blob;
-            imageData.dataURL = result.dataURL;
+            showConverted(id, result);
+            saveImage(id);
 
-            // Update UI
-            statusEl.textContent = 'CONVERTED';
-            statusEl.classList.add('converted');
+        } catch (error) {
+            if (imageData.job !== job) return;
+            imageData.job = null;
+
+            if (error.name === 'AbortError') {
+                statusEl.textContent = 'CANCELLED';
+            } else {
+                console.error('Conversion error:', error);
+                statusEl.textContent = 'ERROR';
+                statusEl.classList.add('error');
+                statusEl.title = error.message;
+            }
+            convertBtn.disabled = false;
+        } finally {
+            if (onProgress) onProgress();
+            updateUI();
+        }
+    }
+
+    // Take a conversion result (new or restored) into state and onto the card
+    function showConverted(id, result) {
+        const imageData = state.images.get(id);
+        imageData.converted = true;
+        imageData.result = result;
+        imageData.blob = result.blob;
+        imageData.dataURL = result.dataURL;
+        imageData.outputFilename = result.filename;
 
-            // Replace placeholder with image
-            const img = document.createElement('img');
-            img.src = result.dataURL;
-            img.className = 'preview-image';
-            img.alt = 'Converted';
-            previewEl.parentNode.replaceChild(img, previewEl);
+        const statusEl = document.getElementById(`status-${id}`);
+        statusEl.textContent = 'CONVERTED';
+        statusEl.className = 'image-card-status converted';
+        statusEl.title = '';
+
+        // Replace placeholder (or live preview) with image
+        const previewEl = document.getElementById(`preview-${id}`);
+        const img = document.createElement('img');
+        img.src = result.dataURL;
+        img.className = 'preview-image';
+        img.alt = 'Converted';
+        img.id = `preview-${id}`;
+        previewEl.parentNode.replaceChild(img, previewEl);
+
+        document.getElementById(`download-${id}`).disabled = false;
+        const convertBtn = document.getElementById(`convert-${id}`);
+        convertBtn.disabled = true;
+        convertBtn.textContent = 'DONE';
+    }
+
+    // Pick the crop and rotation for a card; the frame follows the card's profile and orientation
+    async function openCropEditor(id) {
+        const imageData = state.images.get(id);
+        const settings = ImageConverter.normalizeOptions(imageData.settings);
+        const profile = DisplayProfiles.get(settings.profile);
+
+        // Smart mode starts from its suggestion; applying it makes it the card's own crop
+        const start = imageData.crop || (settings.mode === 'smart' ? await cardSmartCrop(imageData) : null);
+        CropEditor.open(
+            imageData.originalDataURL,
+            start,
+            (width, height) => ImageConverter.getCropTarget(width, height, settings),
+            crop => {
+                imageData.crop = crop;
+                document.getElementById(`crop-${id}`).classList.toggle('active', crop !== null);
+                showSmartCrop(id);
+                resetConversion(id);
+                refreshLivePreview(id);
+                updateUI();
+            }
+        );
+    }
+
+    // Where smart mode crops a photo, or null when it can't be measured. Each
+    // photo is decoded at full size, so a batch is measured one at a time
+    function suggestCrop(file, exifOrientation, getTarget) {
+        state.smartCrops = state.smartCrops.then(async () => {
+            try {
+                const img = await ImageConverter.loadImage(file);
+                const pixels = Exif.orient(ImageConverter.getPixels(img), exifOrientation);
+                ImageConverter.releaseImage(img);
+                return ImageConverter.getSmartCrop(pixels, getTarget(pixels.width, pixels.height));
+            } catch (error) {
+                console.warn('Could not suggest a crop:', error);
+                return null;
+            }
+        });
+        return state.smartCrops;
+    }
+
+    // A card's smart crop, measured once per frame shape
+    function cardSmartCrop(imageData) {
+        const settings = ImageConverter.normalizeOptions(imageData.settings);
+        const key = JSON.stringify([settings.profile, settings.orientation, settings.frameRotation, settings.wall]);
+        if (!imageData.smartCrop || imageData.smartCrop.key !== key) {
+            imageData.smartCrop = {
+                key: key,
+                crop: suggestCrop(imageData.file, imageData.exif.orientation, (width, height) => ImageConverter.getCropTarget(width, height, settings))
+            };
+        }
+        return imageData.smartCrop.crop;
+    }
+
+    // Outline the smart crop on the original while it decides the framing (smart mode, no crop chosen)
+    async function showSmartCrop(id) {
+        const imageData = state.images.get(id);
+        const suggested = () => state.images.get(id) === imageData && !imageData.collage &&
+            imageData.settings.mode === 'smart' && !imageData.crop;
+        const crop = suggested() ? await cardSmartCrop(imageData) : null;
+
+        const box = document.getElementById(`smart-crop-${id}`);
+        const original = document.getElementById(`original-${id}`);
+        if (!box) return;
+        if (crop && !original.complete) await new Promise(resolve => original.addEventListener('load', resolve, { once: true }));
+
+        const { naturalWidth: width, naturalHeight: height } = original;
+        box.hidden = !(crop && suggested() && width && height);
+        if (box.hidden) return;
+
+        // Inside the image's 2px border
+        const size = (length, total) => `(100% - 4px) * ${length / total}`;
+        box.style.left = `calc(2px + ${size(crop.x, width)})`;
+        box.style.top = `calc(2px + ${size(crop.y, height)})`;
+        box.style.width = `calc(${size(crop.width, width)})`;
+        box.style.height = `calc(${size(crop.height, height)})`;
+    }
+
+    // Drop a finished conversion so the image can be converted again
+    function resetConversion(id) {
+        const imageData = state.images.get(id);
+        if (!imageData) return;
+
+        // Every change that outdates the conversion is worth keeping
+        saveImage(id);
+
+        imageData.outputFilename = outputFilename(imageData);
+        // An upload still running sends the old output; stop it
+        if (imageData.upload) {
+            imageData.upload.abort();
+            imageData.upload = null;
+        }
+
+        // A conversion still running used the old settings; stop it
+        const wasConverting = imageData.job !== null;
+        if (wasConverting) imageData.job.abort();
+        imageData.job = null;
+        if (!imageData.converted && !wasConverting) return;
+
+        const convertBtn = document.getElementById(`convert-${id}`);
+        convertBtn.textContent = 'CONVERT';
+        convertBtn.disabled = false;
+
+        const statusEl = document.getElementById(`status-${id}`);
+        statusEl.textContent = 'PENDING';
+        statusEl.className = 'image-card-status';
+        statusEl.title = '';
+        if (!imageData.converted) return;
+
+        imageData.converted = false;
+        imageData.result = null;
+        imageData.blob = null;
+        imageData.dataURL = null;
+
+        const previewEl = document.getElementById(`preview-${id}`);
+        const placeholder = document.createElement('div');
+        placeholder.className = 'preview-placeholder';
+        placeholder.id = `preview-${id}`;
+        placeholder.textContent = 'Awaiting conversion';
+        previewEl.parentNode.replaceChild(placeholder, previewEl);
+
+        document.getElementById(`download-${id}`).disabled = true;
+    }
+
+    // Settings changed on a card
+    function settingsChanged(id, key) {
+        const imageData = state.images.get(id);
+        if (key === 'profile' || key === 'palette') {
+            renderOverlayBlocks(document.getElementById(`overlays-${id}`), imageData.overlays, imageData.settings);
+            if (imageData.collage) renderCollagePanel(id);
+        }
+        // Frame sizes and fixed orientations follow the profile
+        if (key === 'profile' && !imageData.collage) {
+            renderWallPanel(document.getElementById(`wall-${id}`), imageData.settings);
+        }
+        // The cells follow the frame size
+        if (imageData.collage && (key === 'profile' || key === 'orientation')) {
+            drawCollageOriginal(id);
+        }
+        showSmartCrop(id);
+        // Only the encoding or the names change
+        if ((key === 'format' || key === 'dateInName') && imageData.converted) {
+            reencode(id);
+        } else {
+            resetConversion(id);
+            refreshLivePreview(id);
+        }
+        updateUI();
+    }
+
+    // A slider moved: the conversion is out of date, show the live preview instead
+    function adjustmentsChanged(id) {
+        resetConversion(id);
+        scheduleLivePreview(id);
+        updateUI();
+    }
+
+    // Redraw the live preview while the adjustments, overlays or collage panel is open
+    function refreshLivePreview(id) {
+        const panels = [`adjust-panel-${id}`, `overlay-panel-${id}`, `collage-panel-${id}`].map(panelId => document.getElementById(panelId));
+        if (panels.some(panel => panel && panel.open)) scheduleLivePreview(id);
+    }
+
+    // Draw at most one live preview per animation frame
+    function scheduleLivePreview(id) {
+        const imageData = state.images.get(id);
+        if (!imageData || imageData.livePreviewQueued) return;
+
+        imageData.livePreviewQueued = true;
+        requestAnimationFrame(() => {
+            imageData.livePreviewQueued = false;
+            drawLivePreview(id);
+        });
+    }
+
+    // Adjust and dither a reduced-size copy into the converted preview slot
+    async function drawLivePreview(id) {
+        const imageData = state.images.get(id);
+        if (!imageData || imageData.converted) return;
+
+        const options = conversionOptions(imageData);
+        try {
+            // The resized base only depends on the framing, not on adjustments or dithering
+            const baseKey = JSON.stringify([
+                options.profile, options.mode, options.fill, options.orientation, options.frameRotation, options.crop, options.collage,
+                options.wall
+            ]);
+            if (!imageData.previewBase || imageData.previewBase.key !== baseKey) {
+                const img = await ImageConverter.loadSource(imageData.file);
+                try {
+                    imageData.previewBase = { ...ImageConverter.getPreviewBase(img, options), key: baseKey };
+                } finally {
+                    ImageConverter.releaseSource(img);
+                }
+            }
+            if (imageData.converted || !state.images.has(id)) return;
 
-            downloadBtn.disabled = false;
-            convertBtn.textContent = 'DONE';
+            const preview = ImageConverter.renderLivePreview(imageData.previewBase, options, sourceName(imageData));
 
+            let canvas = document.getElementById(`preview-${id}`);
+            if (canvas.tagName !== 'CANVAS') {
+                const placeholder = canvas;
+                canvas = document.createElement('canvas');
+                canvas.className = 'live-preview';
+                canvas.id = `preview-${id}`;
+                canvas.title = 'Live preview at reduced size, convert for the full result';
+                placeholder.parentNode.replaceChild(canvas, placeholder);
+            }
+            canvas.width = preview.width;
+            canvas.height = preview.height;
+            canvas.getContext('2d').putImageData(preview, 0, 0);
         } catch (error) {
-            console.error('Conversion error:', error);
+            console.error('Preview error:', error);
+        }
+    }
+
+    // Full-size simulated view of a converted image, with comparisons
+    function openInspector(id) {
+        const imageData = state.images.get(id);
+        const options = conversionOptions(imageData);
+
+        PreviewInspector.open({
+            title: sourceName(imageData),
+            result: imageData.result,
+            dither: ImageConverter.normalizeOptions(options).dither,
+            loadOriginal: async () => {
+                const img = await ImageConverter.loadSource(imageData.file);
+                try {
+                    return ImageConverter.getPreviewBase(img, options, Infinity).imageData;
+                } finally {
+                    ImageConverter.releaseSource(img);
+                }
+            },
+            convertWith: dither => ConversionPool.convert(imageData.file, { ...options, dither })
+        });
+    }
+
+    // Switch a converted image to another output format without dithering again
+    async function reencode(id) {
+        const imageData = state.images.get(id);
+        const statusEl = document.getElementById(`status-${id}`);
+        const settings = { ...imageData.settings, orientation: imageData.result.orientation };
+
+        try {
+            const blob = await ImageConverter.encodeOutput(imageData.result, namingOptions(imageData, settings), sourceName(imageData));
+            // Ignore a slow encode that was overtaken by another settings change
+            if (imageData.settings.format !== settings.format || !imageData.converted) return;
+            imageData.blob = blob;
+            imageData.outputFilename = outputFilename(imageData, settings);
+            statusEl.textContent = 'CONVERTED';
+            statusEl.className = 'image-card-status converted';
+            saveImage(id);
+        } catch (error) {
+            console.error('Encoding error:', error);
+            imageData.blob = null;
             statusEl.textContent = 'ERROR';
-            statusEl.classList.add('error');
-            convertBtn.disabled = false;
+            statusEl.className = 'image-card-status error';
+            statusEl.title = error.message;
         }
 
+        document.getElementById(`download-${id}`).disabled = !imageData.blob;
+    }
+
+    // Copy the batch settings onto every card
+    function applySettingsToAll() {
+        for (const [id, imageData] of state.images) {
+            Object.assign(imageData.settings, state.batchSettings);
+            if (imageData.collage) {
+                // A collage is never split across a wall
+                imageData.settings.wall = null;
+            } else {
+                renderWallPanel(document.getElementById(`wall-${id}`), imageData.settings);
+            }
+            syncSettingsFields(document.getElementById(`settings-${id}`), imageData.settings);
+            showSmartCrop(id);
+            resetConversion(id);
+            refreshLivePreview(id);
+        }
+        updateUI();
+    }
+
+    // Footer legend: palette swatches and output size for the batch profile
+    function renderLegend() {
+        const profile = DisplayProfiles.get(state.batchSettings.profile);
+        const palette = Palettes.get(state.batchSettings.palette);
+        const landscape = DisplayProfiles.getDimensions(profile, 'landscape');
+
+        paletteLegend.innerHTML = palette.colors.map(color =>
+            `<span class="color-dot" title="${escapeHTML(color.name)}" style="background-color: rgb(${color.device.join(', ')})"></span>`
+        ).join(' ');
+
+        let size;
+        if (profile.orientation === 'any') {
+            size = `${landscape.width}x${landscape.height} (landscape) or ${landscape.height}x${landscape.width} (portrait)`;
+        } else {
+            const dims = DisplayProfiles.getDimensions(profile, profile.orientation);
+            size = `${dims.width}x${dims.height} (${profile.orientation} only)`;
+        }
+        const format = ImageConverter.FORMATS[state.batchSettings.format].name;
+        outputInfo.textContent = `Output: ${size} ${format}, fit (letterbox), cover or smart crop, or stretch`;
+    }
+
+    // Add a user-defined display profile from the form in the batch settings
+    function addCustomProfile(e) {
+        e.preventDefault();
+        const form = new FormData(customProfileForm);
+        const name = form.get('name').trim();
+        const key = 'custom-' + name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+        try {
+            DisplayProfiles.register(key, {
+                name: name,
+                width: form.get('width'),
+                height: form.get('height'),
+                palette: form.get('palette'),
+                orientation: form.get('orientation'),
+                pixelPitch: form.get('pixelPitch'),
+                controllerCodes: form.get('controllerCodes'),
+                packedBits: form.get('packedBits')
+            });
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        state.batchSettings.profile = key;
+        SETTING_FIELDS.find(f => f.key === 'profile').onChange(state.batchSettings);
+        refreshSettingsOptions();
+        syncSettingsFields(batchSettingsFields, state.batchSettings);
+        renderWallPanel(batchWallFields, state.batchSettings);
+        renderLegend();
+        customProfileForm.reset();
+    }
+
+    // A palette was saved, imported or deleted in the editor
+    // Swap a deleted custom profile for the default one and a deleted palette
+    // for the profile's own; true when anything was swapped
+    function replaceMissing(settings) {
+        let replaced = false;
+        if (!DisplayProfiles.PROFILES[settings.profile]) {
+            settings.profile = DisplayProfiles.DEFAULT;
+            replaced = true;
+        }
+        if (!Palettes.PALETTES[settings.palette]) {
+            const profilePalette = DisplayProfiles.get(settings.profile).palette;
+            settings.palette = Palettes.PALETTES[profilePalette] ? profilePalette : 'ideal-7';
+            replaced = true;
+        }
+        return replaced;
+    }
+
+    function paletteChanged(key) {
+        const allSettings = [state.batchSettings];
+        for (const imageData of state.images.values()) {
+            allSettings.push(imageData.settings);
+        }
+
+        for (const settings of allSettings) {
+            replaceMissing(settings);
+        }
+
+        // Anything converted with the old colors needs converting again
+        for (const [id, imageData] of state.images) {
+            if (imageData.settings.palette === key) resetConversion(id);
+            saveImage(id);
+        }
+
+        refreshSettingsOptions();
+        syncSettingsFields(batchSettingsFields, state.batchSettings);
+        for (const [id, imageData] of state.images) {
+            syncSettingsFields(document.getElementById(`settings-${id}`), imageData.settings);
+            renderOverlayBlocks(document.getElementById(`overlays-${id}`), imageData.overlays, imageData.settings);
+            if (imageData.collage) renderCollagePanel(id);
+        }
+        renderCollageColors();
+        customProfileForm.querySelector('[name="palette"]').innerHTML =
+            renderFieldOptions(SETTING_FIELDS.find(f => f.key === 'palette'), customProfileForm.querySelector('[name="palette"]').value);
+        renderLegend();
         updateUI();
     }
 
@@ -173,15 +1428,19 @@
             .filter(([_, data]) => !data.converted);
 
         progressBar.classList.remove('hidden');
-        let completed = 0;
 
-        for (const [id, _] of unconverted) {
-            await convertSingle(id);
-            completed++;
-            const percent = Math.round((completed / unconverted.length) * 100);
+        // Average of the per-image progress; finished, failed and cancelled images count as done
+        const showProgress = () => {
+            const done = unconverted.reduce((sum, [id]) => {
+                const imageData = state.images.get(id);
+                return sum + (imageData && imageData.job ? imageData.progress : 1);
+            }, 0);
+            const percent = Math.round((done / unconverted.length) * 100);
             progressFill.style.width = `${percent}%`;
             progressText.textContent = `${percent}%`;
-        }
+        };
+
+        await Promise.all(unconverted.map(([id]) => convertSingle(id, showProgress)));
 
         state.converting = false;
         progressBar.classList.add('hidden');
@@ -201,6 +1460,51 @@
         URL.revokeObjectURL(link.href);
     }
 
+    // Number repeated filenames (duplicated cards with identical settings)
+    function uniqueFilename(filename, usedNames) {
+        let name = filename;
+        for (let n = 2; usedNames.has(name); n++) {
+            name = filename.replace(/(\.[^.]+)?$/, `_${n}$1`);
+        }
+        usedNames.add(name);
+        return name;
+    }
+
+    // Output formats to put in the ZIP for one image
+    function zipFormats(imageData) {
+        switch (zipContents.value) {
+            case 'with-png':
+                return [...new Set([imageData.settings.format, 'png'])];
+            case 'bmp-png':
+                return ['bmp', 'png'];
+            default:
+                return [imageData.settings.format];
+        }
+    }
+
+    // Files for one converted image, encoding extra formats from its stored result.
+    // A wall adds its frames' files rather than a ZIP in the ZIP
+    async function zipEntries(imageData) {
+        const entries = [];
+        for (const format of zipFormats(imageData)) {
+            if (imageData.settings.wall) {
+                const settings = namingOptions(imageData, { ...imageData.settings, format });
+                entries.push(...await ImageConverter.encodePanels(imageData.result, settings, sourceName(imageData)));
+                continue;
+            }
+            if (format === imageData.settings.format) {
+                entries.push({ filename: imageData.outputFilename, blob: imageData.blob });
+                continue;
+            }
+            const settings = { ...imageData.settings, orientation: imageData.result.orientation, format };
+            entries.push({
+                filename: outputFilename(imageData, settings),
+                blob: await ImageConverter.encodeOutput(imageData.result, settings, sourceName(imageData))
+            });
+        }
+        return entries;
+    }
+
     // Download all as ZIP
     async function downloadAll() {
         const converted = Array.from(state.images.values())
@@ -208,46 +1512,605 @@
 
         if (converted.length === 0) return;
 
-        if (converted.length === 1) {
+        const entries = [];
+        for (const img of converted) {
+            entries.push(...await zipEntries(img));
+        }
+
+        if (entries.length === 1) {
             // Single file, just download directly
             const link = document.createElement('a');
-            link.href = URL.createObjectURL(converted[0].blob);
-            link.download = converted[0].outputFilename;
+            link.href = URL.createObjectURL(entries[0].blob);
+            link.download = entries[0].filename;
             link.click();
             URL.revokeObjectURL(link.href);
             return;
         }
 
         // Multiple files, create ZIP
-        const zip = new JSZip();
+        const usedNames = new Set();
+        const zipBlob = await ZipWriter.create(entries.map(entry => ({
+            path: uniqueFilename(entry.filename, usedNames),
+            data: entry.blob
+        })));
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(zipBlob);
+        link.download = 'eink_images.zip';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
 
-        for (const img of converted) {
-            zip.file(img.outputFilename, img.blob);
+    // Frames to send to: every saved frame, or the one picked
+    function renderFrameTargets() {
+        const frames = Frames.getOptions();
+        const keys = Object.keys(frames);
+        const current = frameTarget.value;
+
+        let options = '';
+        if (keys.length === 0) {
+            options = '<option value="">No frames: add one under FRAMES</option>';
+        } else if (keys.length > 1) {
+            options = '<option value="all">Send to: all frames</option>';
+        }
+        options += keys.map(key => `<option value="${key}">Send to: ${escapeHTML(frames[key])}</option>`).join('');
+        frameTarget.innerHTML = options;
+
+        if (current && (current === 'all' ? keys.length > 1 : frames[current])) {
+            frameTarget.value = current;
+        }
+    }
+
+    // A frame was saved or deleted in the editor
+    function framesChanged() {
+        renderFrameTargets();
+        updateUI();
+    }
+
+    // Keys of the frames picked in the target select
+    function selectedFrames() {
+        const value = frameTarget.value;
+        if (value === 'all') return Object.keys(Frames.FRAMES);
+        return Frames.FRAMES[value] ? [value] : [];
+    }
+
+    // Upload one converted image to the selected frames, one after the other
+    async function sendSingle(id, onProgress = null) {
+        const imageData = state.images.get(id);
+        const frameKeys = selectedFrames();
+        // A wall's ZIP is for several frames, not one
+        if (!imageData || !imageData.blob || imageData.upload || imageData.settings.wall || frameKeys.length === 0) return;
+
+        const statusEl = document.getElementById(`status-${id}`);
+        const blob = imageData.blob;
+        const filename = imageData.outputFilename;
+        const upload = new AbortController();
+        imageData.upload = upload;
+        imageData.sendProgress = 0;
+        updateUI();
+
+        const sent = [];
+        const failures = [];
+        for (const [i, key] of frameKeys.entries()) {
+            const frame = Frames.FRAMES[key];
+            if (!frame || upload.signal.aborted) continue;
+
+            const showProgress = fraction => {
+                imageData.sendProgress = (i + fraction) / frameKeys.length;
+                statusEl.textContent = `SENDING ${Math.round(imageData.sendProgress * 100)}%`;
+                if (onProgress) onProgress();
+            };
+
+            statusEl.className = 'image-card-status';
+            statusEl.title = `Sending to ${frame.name}`;
+            showProgress(0);
+            try {
+                await Frames.send(frame, blob, filename, { onProgress: showProgress, signal: upload.signal });
+                sent.push(frame.name);
+            } catch (error) {
+                if (error.name !== 'AbortError') failures.push(error.message);
+            }
+        }
+
+        imageData.sendProgress = 1;
+        // Settings changes and removal drop the upload and set the status themselves
+        if (imageData.upload === upload) {
+            if (failures.length > 0) {
+                statusEl.textContent = 'SEND FAILED';
+                statusEl.className = 'image-card-status error';
+                statusEl.title = [...failures, ...sent.map(name => `Sent to ${name}`)].join('\n');
+            } else if (upload.signal.aborted) {
+                statusEl.textContent = sent.length > 0 ? 'PARTLY SENT' : 'CONVERTED';
+                statusEl.className = 'image-card-status converted';
+                statusEl.title = sent.length > 0 ? `Sent to ${sent.join(', ')}` : '';
+            } else {
+                statusEl.textContent = 'SENT';
+                statusEl.className = 'image-card-status converted';
+                statusEl.title = `Sent to ${sent.join(', ')}`;
+            }
+            imageData.upload = null;
+        }
+        if (onProgress) onProgress();
+        updateUI();
+    }
+
+    // Upload every converted image, one at a time: frames are small devices
+    async function sendAll() {
+        if (state.sending) return;
+
+        const ids = Array.from(state.images.entries())
+            .filter(([_, data]) => data.converted && data.blob && !data.upload && !data.settings.wall)
+            .map(([id]) => id);
+        if (ids.length === 0 || selectedFrames().length === 0) return;
+
+        state.sending = true;
+        progressBar.classList.remove('hidden');
+
+        const showProgress = () => {
+            const done = ids.reduce((sum, id) => {
+                const imageData = state.images.get(id);
+                return sum + (imageData && imageData.sendProgress !== undefined ? imageData.sendProgress : 0);
+            }, 0);
+            const percent = Math.round((done / ids.length) * 100);
+            progressFill.style.width = `${percent}%`;
+            progressText.textContent = `${percent}%`;
+        };
+
+        for (const id of ids) {
+            const imageData = state.images.get(id);
+            if (imageData) imageData.sendProgress = 0;
+        }
+        for (const id of ids) {
+            if (!state.sending) break;
+            await sendSingle(id, showProgress);
         }
 
-        const zipBlob = await zip.generateAsync({ type: 'blob' });
+        state.sending = false;
+        progressBar.classList.add('hidden');
+        progressFill.style.width = '0%';
+        updateUI();
+    }
+
+    // Stop every upload, including the rest of a SEND ALL
+    function cancelUploads() {
+        state.sending = false;
+        for (const imageData of state.images.values()) {
+            if (imageData.upload) imageData.upload.abort();
+        }
+    }
+
+    // Bundle settings form: show the saved values
+    function renderSlideshowForm() {
+        for (const [key, value] of Object.entries(Slideshow.options)) {
+            slideshowForm.elements[key].value = String(value);
+        }
+    }
+
+    // Check and keep the bundle settings; shows the first filename as an example
+    function slideshowChanged() {
+        try {
+            const options = Slideshow.save(Object.fromEntries(new FormData(slideshowForm)));
+            // Switching name length swaps the default template
+            if ([Slideshow.DEFAULTS.template, Slideshow.SHORT_TEMPLATE].includes(options.template)) {
+                slideshowForm.elements.template.value = options.template;
+            }
+            const first = Array.from(state.images.values()).find(isSlide);
+            if (first) {
+                const files = Slideshow.buildBundle([slideFor(first)], { ...options, manifest: 'json' });
+                showSlideshowMessage(`First file: ${files[0].path}`);
+            } else {
+                showSlideshowMessage('');
+            }
+        } catch (error) {
+            showSlideshowMessage(error.message, true);
+        }
+    }
+
+    function showSlideshowMessage(text, isError = false) {
+        slideshowMessage.textContent = text;
+        slideshowMessage.classList.toggle('error', isError);
+    }
+
+    // Converted images that go in the bundle; walls span several frames, a slideshow plays on one
+    function isSlide(imageData) {
+        return imageData.converted && imageData.blob && !imageData.settings.wall;
+    }
+
+    // What the bundle needs to know about one converted image
+    function slideFor(imageData) {
+        return {
+            blob: imageData.blob,
+            sourceName: sourceName(imageData),
+            settings: imageData.settings,
+            orientation: imageData.result.orientation,
+            width: imageData.result.width,
+            height: imageData.result.height,
+            caption: imageData.slide.caption,
+            duration: imageData.slide.duration,
+            // Photos without EXIF go by the file's date
+            date: imageData.exif.date !== null ? imageData.exif.date : [].concat(imageData.file)[0].lastModified,
+            camera: imageData.exif.camera
+        };
+    }
+
+    // ZIP of the converted images in grid order, named for the frame, with the playlist
+    async function downloadBundle(e) {
+        e.preventDefault();
+
+        const slides = Array.from(state.images.values())
+            .filter(isSlide)
+            .map(slideFor);
+        if (slides.length === 0) {
+            showSlideshowMessage('Convert some images first', true);
+            return;
+        }
+
+        let files;
+        try {
+            files = Slideshow.buildBundle(slides, Object.fromEntries(new FormData(slideshowForm)));
+        } catch (error) {
+            showSlideshowMessage(error.message, true);
+            return;
+        }
+
+        const zipBlob = await ZipWriter.create(files);
         const link = document.createElement('a');
         link.href = URL.createObjectURL(zipBlob);
-        link.download = 'eink_images.zip';
+        link.download = 'slideshow_bundle.zip';
         link.click();
         URL.revokeObjectURL(link.href);
+        showSlideshowMessage(`${slides.length} slide${slides.length === 1 ? '' : 's'} bundled`);
+    }
+
+    // Border color choices of the collage form: the batch palette's colors
+    function renderCollageColors() {
+        const select = collageForm.elements.borderColor;
+        const colors = Palettes.deviceColors(Palettes.get(state.batchSettings.palette));
+        const current = select.value === '' ? Collage.DEFAULTS.borderColor : colors[Number(select.value)];
+        select.innerHTML = renderColorOptions(state.batchSettings, current, false);
+    }
+
+    // Combine the ticked cards into one collage card, the photos in grid order
+    function createCollage(e) {
+        e.preventDefault();
+
+        const sources = Array.from(imageGrid.querySelectorAll('[data-select]:checked'))
+            .map(box => state.images.get(box.closest('.image-card').id.replace(/^card-/, '')))
+            .filter(Boolean);
+        const colors = Palettes.deviceColors(Palettes.get(state.batchSettings.palette));
+        const collage = {
+            layout: collageForm.elements.layout.value,
+            gutter: Number(collageForm.elements.gutter.value),
+            border: Number(collageForm.elements.border.value),
+            borderColor: colors[Number(collageForm.elements.borderColor.value)].slice(),
+            // Each photo starts out framed like its card
+            cells: sources.map(source => ({
+                name: source.file.name,
+                originalDataURL: source.originalDataURL,
+                mode: source.settings.mode,
+                fill: source.settings.fill,
+                crop: source.crop,
+                exifOrientation: source.exif.orientation
+            }))
+        };
+
+        try {
+            Collage.normalize(collageOptions(collage));
+        } catch (error) {
+            showCollageMessage(error.message, true);
+            return;
+        }
+
+        // The collage is dated like its first photo
+        const card = addImageEntry(
+            sources.map(source => source.file), null, sources[0].exif, { ...state.batchSettings, wall: null }, null, Adjustments.defaults(),
+            [], { caption: '', duration: null }, collage
+        );
+        imageGrid.appendChild(card);
+        saveOrder();
+        for (const box of imageGrid.querySelectorAll('[data-select]:checked')) {
+            box.checked = false;
+        }
+        showCollageMessage('Collage added at the end of the grid');
+        updateUI();
+    }
+
+    function showCollageMessage(text, isError = false) {
+        collageMessage.textContent = text;
+        collageMessage.classList.toggle('error', isError);
+    }
+
+    // Rebuild the image map in the order the cards are shown
+    function syncOrderFromGrid() {
+        const ordered = new Map();
+        for (const card of imageGrid.children) {
+            const id = card.id.replace(/^card-/, '');
+            if (state.images.has(id)) ordered.set(id, state.images.get(id));
+        }
+        state.images = ordered;
+        saveOrder();
+    }
+
+    // Move a card while it is dragged by its header; the grid flows left to
+    // right, so the drop side follows the horizontal half of the target card
+    let draggedCard = null;
+
+    function cardDragStart(e) {
+        const header = e.target.closest && e.target.closest('.image-card-header');
+        if (!header) return;
+
+        draggedCard = header.closest('.image-card');
+        draggedCard.classList.add('dragging');
+        e.dataTransfer.effectAllowed = 'move';
+        // Firefox only starts a drag that carries data
+        e.dataTransfer.setData('text/plain', draggedCard.id);
+        if (e.dataTransfer.setDragImage) e.dataTransfer.setDragImage(draggedCard, 20, 20);
+    }
+
+    function cardDragOver(e) {
+        if (!draggedCard) return;
+        e.preventDefault();
+
+        const target = e.target.closest('.image-card');
+        if (!target || target === draggedCard) return;
+        const rect = target.getBoundingClientRect();
+        if (e.clientX > rect.left + rect.width / 2) {
+            target.after(draggedCard);
+        } else {
+            target.before(draggedCard);
+        }
+    }
+
+    function cardDragEnd() {
+        if (!draggedCard) return;
+        draggedCard.classList.remove('dragging');
+        draggedCard = null;
+        syncOrderFromGrid();
+        slideshowChanged();
+    }
+
+    // Alt+arrow keys on the drag handle move a card without a mouse
+    function cardHandleKey(e) {
+        if (!e.altKey || !e.target.classList.contains('image-card-handle')) return;
+
+        const card = e.target.closest('.image-card');
+        if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') {
+            if (!card.previousElementSibling) return;
+            card.previousElementSibling.before(card);
+        } else if (e.key === 'ArrowRight' || e.key === 'ArrowDown') {
+            if (!card.nextElementSibling) return;
+            card.nextElementSibling.after(card);
+        } else {
+            return;
+        }
+        e.preventDefault();
+        e.target.focus();
+        syncOrderFromGrid();
+        slideshowChanged();
     }
 
     // Remove single image
     function removeImage(id) {
+        const imageData = state.images.get(id);
+        if (imageData && imageData.upload) imageData.upload.abort();
+        if (imageData && imageData.job) imageData.job.abort();
         state.images.delete(id);
         const card = document.getElementById(`card-${id}`);
         if (card) card.remove();
+        if (ImageStore.isAvailable()) {
+            ImageStore.delete(id).catch(error => console.warn('Could not delete the stored image:', error));
+            saveOrder();
+        }
+        renderStorage();
         updateUI();
     }
 
     // Clear all images
     function clearAll() {
+        ConversionPool.cancelAll();
+        cancelUploads();
         state.images.clear();
         imageGrid.innerHTML = '';
+        if (ImageStore.isAvailable()) {
+            ImageStore.clear().catch(error => console.warn('Could not clear the image store:', error));
+        }
+        renderStorage();
+        updateUI();
+    }
+
+    // What the image store keeps of a card
+    function storeRecord(id, imageData) {
+        return {
+            id: id,
+            file: imageData.file,
+            exif: imageData.exif,
+            settings: imageData.settings,
+            crop: imageData.crop,
+            adjustments: imageData.adjustments,
+            overlays: imageData.overlays,
+            slide: imageData.slide,
+            collage: imageData.collage,
+            output: imageData.converted && imageData.blob ? {
+                blob: imageData.blob,
+                indices: imageData.result.indices,
+                width: imageData.result.width,
+                height: imageData.result.height,
+                orientation: imageData.result.orientation,
+                filename: imageData.outputFilename
+            } : null
+        };
+    }
+
+    // Keep a card in the browser once its edits settle
+    function saveImage(id) {
+        const imageData = state.images.get(id);
+        if (!imageData || !imageData.stored || !ImageStore.isAvailable()) return;
+
+        clearTimeout(imageData.saveTimer);
+        imageData.saveTimer = setTimeout(async () => {
+            imageData.saveTimer = null;
+            // Removed or forgotten in the meantime
+            if (state.images.get(id) !== imageData || !imageData.stored) return;
+
+            try {
+                imageData.storedSize = await ImageStore.put(storeRecord(id, imageData));
+                if (state.images.get(id) !== imageData || !imageData.stored) {
+                    await ImageStore.delete(id);
+                }
+                state.storage.error = '';
+                const estimate = await ImageStore.estimate();
+                state.storage.quota = estimate && estimate.quota;
+            } catch (error) {
+                console.warn('Could not store image:', error);
+                imageData.stored = false;
+                imageData.storedSize = 0;
+                state.storage.error = error.name === 'QuotaExceededError'
+                    ? 'browser storage is full, some images are not kept'
+                    : `could not keep an image: ${error.message}`;
+            }
+            renderStorage();
+        }, SAVE_DELAY);
+    }
+
+    function saveOrder() {
+        if (!ImageStore.isAvailable()) return;
+        ImageStore.saveOrder(Array.from(state.images.keys()))
+            .catch(error => console.warn('Could not store the image order:', error));
+    }
+
+    // Stop keeping a card in the browser, or start again
+    function toggleStored(id) {
+        const imageData = state.images.get(id);
+        imageData.stored = !imageData.stored;
+        if (imageData.stored) {
+            saveImage(id);
+        } else {
+            clearTimeout(imageData.saveTimer);
+            imageData.storedSize = 0;
+            ImageStore.delete(id).catch(error => console.warn('Could not delete the stored image:', error));
+        }
+        renderStorage();
+    }
+
+    // Delete everything kept in the browser; the cards stay until the page is left
+    function forgetAll() {
+        for (const imageData of state.images.values()) {
+            clearTimeout(imageData.saveTimer);
+            imageData.stored = false;
+            imageData.storedSize = 0;
+        }
+        ImageStore.clear().catch(error => console.warn('Could not clear the image store:', error));
+        state.storage.error = '';
+        renderStorage();
+    }
+
+    // Storage line in the controls and each card's keep/forget button
+    function renderStorage() {
+        if (!ImageStore.isAvailable()) {
+            storageInfo.hidden = true;
+            forgetAllBtn.hidden = true;
+            return;
+        }
+
+        let count = 0;
+        let total = 0;
+        for (const [id, imageData] of state.images) {
+            if (imageData.stored) {
+                count++;
+                total += imageData.storedSize;
+            }
+            const button = document.getElementById(`store-${id}`);
+            if (!button) continue;
+            button.textContent = imageData.stored ? 'FORGET' : 'KEEP';
+            button.title = imageData.stored
+                ? `Kept in this browser (${ImageStore.formatSize(imageData.storedSize)}); forget it and the card is gone after a reload`
+                : 'Not kept in this browser; keep it so the card survives a reload';
+        }
+
+        let text = `Kept in this browser: ${count} image${count === 1 ? '' : 's'}, ${ImageStore.formatSize(total)}`;
+        if (state.storage.quota) text += ` of ${ImageStore.formatSize(state.storage.quota)} available`;
+        if (state.storage.error) text += ` (${state.storage.error})`;
+        storageInfo.textContent = text;
+        storageInfo.classList.toggle('error', Boolean(state.storage.error));
+        forgetAllBtn.disabled = count === 0;
+    }
+
+    // Bring back the cards kept in the browser, converted ones with their output
+    async function restoreImages() {
+        if (!ImageStore.isAvailable()) return;
+
+        let records;
+        try {
+            records = await ImageStore.loadAll();
+        } catch (error) {
+            console.warn('Could not open the image store:', error);
+            state.storage.error = `stored images could not be loaded: ${error.message}`;
+            renderStorage();
+            return;
+        }
+
+        for (const record of records) {
+            try {
+                const originalDataURL = record.collage ? null : await readFileAsDataURL(record.file);
+                // Its profile or palette may have been deleted since
+                const settings = { ...state.batchSettings, ...record.settings };
+                const replaced = replaceMissing(settings);
+                const card = addImageEntry(
+                    record.file, originalDataURL, record.exif, settings, record.crop,
+                    record.adjustments, record.overlays, record.slide, record.collage, record.id
+                );
+                imageGrid.appendChild(card);
+                state.images.get(record.id).storedSize = ImageStore.recordSize(record);
+                if (replaced) {
+                    saveImage(record.id);
+                } else if (record.output) {
+                    restoreOutput(record.id, record.output);
+                }
+            } catch (error) {
+                console.warn('Could not restore a stored image:', error);
+            }
+        }
+
+        const estimate = await ImageStore.estimate();
+        state.storage.quota = estimate && estimate.quota;
+        renderStorage();
         updateUI();
     }
 
+    // A stored output needs its palette, which may have been deleted since; then it converts again
+    function restoreOutput(id, output) {
+        const imageData = state.images.get(id);
+        const palette = Palettes.PALETTES[imageData.settings.palette];
+        if (!palette) return;
+
+        const { blob, indices, width, height, orientation, filename } = output;
+        const result = { blob, indices, palette, width, height, orientation, filename };
+        result.imageData = ImageConverter.renderIndices(indices, width, height, Palettes.deviceColors(palette));
+        result.dataURL = ImageConverter.renderPreviewDataURL(result, imageData.settings);
+        showConverted(id, result);
+    }
+
+    // A new version is waiting; switching reloads the page, so offer it instead of forcing it
+    function showUpdate(activate) {
+        updateBtn.onclick = () => {
+            updateBtn.disabled = true;
+            activate();
+        };
+        updateBanner.classList.remove('hidden');
+    }
+
+    // Photos sent from another app's share sheet (see Pwa)
+    async function receiveSharedFiles() {
+        if (!new URLSearchParams(location.search).has(Pwa.SHARE_PARAM)) return;
+        // A reload shouldn't add them again
+        history.replaceState(null, '', location.pathname);
+
+        try {
+            await addImages(await Pwa.takeSharedFiles());
+        } catch (error) {
+            console.warn('Could not load shared photos:', error);
+        }
+    }
+
     // Event Listeners
 
     // Drop zone click
@@ -282,18 +2145,76 @@
         }
     });
 
+    // Batch settings
+    Palettes.loadCustom();
+    DisplayProfiles.loadCustom();
+    batchSettingsFields.innerHTML = renderSettingsFields(state.batchSettings);
+    bindSettingsFields(batchSettingsFields, state.batchSettings, () => {
+        renderWallPanel(batchWallFields, state.batchSettings);
+        renderLegend();
+        renderCollageColors();
+    });
+    bindWallFields(batchWallFields, state.batchSettings, () => syncSettingsFields(batchSettingsFields, state.batchSettings));
+    renderLegend();
+
+    customProfileForm.querySelector('[name="palette"]').innerHTML =
+        renderFieldOptions(SETTING_FIELDS.find(f => f.key === 'palette'), 'ideal-7');
+    customProfileForm.addEventListener('submit', addCustomProfile);
+
+    // Palette and crop editors
+    PaletteEditor.init(document.getElementById('paletteEditor'), paletteChanged);
+    CropEditor.init(document.getElementById('cropEditor'));
+    Simulation.load();
+    PreviewInspector.init(document.getElementById('previewInspector'));
+    Frames.load();
+    Slideshow.load();
+    Overlays.loadTemplates();
+    renderSlideshowForm();
+    slideshowForm.addEventListener('change', slideshowChanged);
+    slideshowForm.addEventListener('submit', downloadBundle);
+    collageForm.elements.layout.innerHTML = renderFieldOptions({ options: Collage.getLayoutOptions() }, Collage.DEFAULTS.layout);
+    renderCollageColors();
+    collageForm.addEventListener('submit', createCollage);
+    FrameEditor.init(document.getElementById('frameEditor'), framesChanged);
+    renderFrameTargets();
+    applyAllBtn.addEventListener('click', applySettingsToAll);
+
     // Control buttons
+    ConversionPool.init();
     convertBtn.addEventListener('click', convertAll);
+    cancelBtn.addEventListener('click', () => {
+        ConversionPool.cancelAll();
+        cancelUploads();
+        updateUI();
+    });
     downloadAllBtn.addEventListener('click', downloadAll);
+    sendAllBtn.addEventListener('click', sendAll);
     clearBtn.addEventListener('click', clearAll);
+    forgetAllBtn.addEventListener('click', forgetAll);
+    renderStorage();
+    restoreImages().then(receiveSharedFiles);
+    Pwa.register(showUpdate);
 
     // Prevent default drag behavior on document
     document.addEventListener('dragover', (e) => e.preventDefault());
     document.addEventListener('drop', (e) => e.preventDefault());
 
-    // Image click to open modal
+    // Drag cards to set the slideshow order
+    imageGrid.addEventListener('dragstart', cardDragStart);
+    imageGrid.addEventListener('dragover', cardDragOver);
+    imageGrid.addEventListener('dragend', cardDragEnd);
+    imageGrid.addEventListener('drop', (e) => e.preventDefault());
+    imageGrid.addEventListener('keydown', cardHandleKey);
+
+    // Converted images open in the inspector, originals in the modal
     imageGrid.addEventListener('click', (e) => {
-        if (e.target.classList.contains('preview-image')) {
+        if (!e.target.classList.contains('preview-image')) return;
+
+        const id = e.target.id.replace(/^preview-/, '');
+        const imageData = e.target.id.startsWith('preview-') && state.images.get(id);
+        if (imageData && imageData.result) {
+            openInspector(id);
+        } else {
             modalImage.src = e.target.src;
             imageModal.style.display = 'block';
         }
@@ -1,6 +1,7 @@
 /**
  * BMP File Encoder
- * Creates 24-bit BMP files from canvas ImageData
+ * Creates 24-bit BMP files from canvas ImageData, and 4-bit or 8-bit
+ * indexed BMP files from palette indices
  */
 
 const BMPEncoder = {
@@ -70,6 +71,82 @@ const BMPEncoder = {
         return new Blob([buffer], { type: 'image/bmp' });
     },
 
+    /**
+     * Encode palette indices to an indexed BMP with a color table
+     * @param {Uint8Array} indices - Palette index per pixel, row-major, top to bottom
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {Array} colors - Array of RGB color arrays (the color table)
+     * @param {number} bitsPerPixel - 4 (up to 16 colors) or 8 (up to 256 colors)
+     * @returns {Blob} - BMP file as Blob
+     */
+    encodeIndexed(indices, width, height, colors, bitsPerPixel = 8) {
+        if (bitsPerPixel !== 4 && bitsPerPixel !== 8) {
+            throw new Error(`Indexed BMP supports 4 or 8 bits per pixel, not ${bitsPerPixel}`);
+        }
+        const maxColors = 1 << bitsPerPixel;
+        if (colors.length > maxColors) {
+            throw new Error(`${bitsPerPixel}-bit BMP holds at most ${maxColors} colors, palette has ${colors.length}`);
+        }
+
+        // BMP rows must be padded to 4-byte boundaries
+        const rowSize = Math.ceil((width * bitsPerPixel) / 32) * 4;
+        const pixelArraySize = rowSize * height;
+        const colorTableSize = colors.length * 4;
+        const pixelOffset = 54 + colorTableSize;
+        const fileSize = pixelOffset + pixelArraySize;
+
+        const buffer = new ArrayBuffer(fileSize);
+        const view = new DataView(buffer);
+
+        // BMP File Header (14 bytes)
+        view.setUint8(0, 0x42);  // 'B'
+        view.setUint8(1, 0x4D);  // 'M'
+        view.setUint32(2, fileSize, true);  // File size
+        view.setUint16(6, 0, true);  // Reserved
+        view.setUint16(8, 0, true);  // Reserved
+        view.setUint32(10, pixelOffset, true);  // Pixel data offset
+
+        // DIB Header (BITMAPINFOHEADER - 40 bytes)
+        view.setUint32(14, 40, true);  // DIB header size
+        view.setInt32(18, width, true);  // Width
+        view.setInt32(22, height, true);  // Height (positive = bottom-up)
+        view.setUint16(26, 1, true);  // Color planes
+        view.setUint16(28, bitsPerPixel, true);  // Bits per pixel
+        view.setUint32(30, 0, true);  // Compression (none)
+        view.setUint32(34, pixelArraySize, true);  // Image size
+        view.setInt32(38, 2835, true);  // Horizontal resolution (72 DPI)
+        view.setInt32(42, 2835, true);  // Vertical resolution (72 DPI)
+        view.setUint32(46, colors.length, true);  // Colors in palette
+        view.setUint32(50, 0, true);  // Important colors (all)
+
+        // Color table (BGRA, alpha byte reserved)
+        colors.forEach((color, i) => {
+            view.setUint8(54 + i * 4, color[2]);
+            view.setUint8(54 + i * 4 + 1, color[1]);
+            view.setUint8(54 + i * 4 + 2, color[0]);
+        });
+
+        // Pixel data (rows bottom-to-top, leftmost pixel in the high nibble)
+        const pixels = new Uint8Array(buffer, pixelOffset);
+
+        for (let y = 0; y < height; y++) {
+            const srcRow = (height - 1 - y) * width;
+            const rowOffset = y * rowSize;
+
+            if (bitsPerPixel === 8) {
+                pixels.set(indices.subarray(srcRow, srcRow + width), rowOffset);
+            } else {
+                for (let x = 0; x < width; x++) {
+                    const shift = x & 1 ? 0 : 4;
+                    pixels[rowOffset + (x >> 1)] |= indices[srcRow + x] << shift;
+                }
+            }
+        }
+
+        return new Blob([buffer], { type: 'image/bmp' });
+    },
+
     /**
      * Encode ImageData to BMP and return as data URL
      * @param {ImageData} imageData - Canvas ImageData object
@@ -0,0 +1,211 @@
+/**
+ * Collage
+ * Lays several photos out on one frame: each cell gets its own crop and
+ * resize mode, the gaps between them are filled with a border color, and
+ * the finished composite is dithered in one pass like a single photo.
+ *
+ * Layouts are described for a landscape frame on a grid of columns and
+ * rows; on a portrait frame the grid is turned, so side-by-side cells
+ * stack. Gutter and border widths are output pixels.
+ */
+
+const Collage = {
+    // Cells are [column, row, columns spanned, rows spanned]
+    LAYOUTS: {
+        '2-up': { name: '2-up', columns: 2, rows: 1, cells: [[0, 0, 1, 1], [1, 0, 1, 1]] },
+        '3-up': { name: '3-up', columns: 3, rows: 1, cells: [[0, 0, 1, 1], [1, 0, 1, 1], [2, 0, 1, 1]] },
+        'feature': { name: '1 large + 2 small', columns: 2, rows: 2, cells: [[0, 0, 1, 2], [1, 0, 1, 1], [1, 1, 1, 1]] },
+        '2x2': { name: '2x2 grid', columns: 2, rows: 2, cells: [[0, 0, 1, 1], [1, 0, 1, 1], [0, 1, 1, 1], [1, 1, 1, 1]] }
+    },
+
+    DEFAULTS: {
+        layout: '2-up',
+        gutter: 8,
+        border: 8,
+        borderColor: [255, 255, 255]
+    },
+
+    // Widest gutter or border in output pixels
+    MAX_SPACING: 200,
+
+    /**
+     * Layout choices, optionally only those with a given number of cells
+     * @param {number} count - Number of photos (optional)
+     * @returns {Object} - Map of layout key -> display name
+     */
+    getLayoutOptions(count = null) {
+        const options = {};
+        for (const [key, layout] of Object.entries(this.LAYOUTS)) {
+            if (count === null || layout.cells.length === count) {
+                options[key] = `${layout.name} (${layout.cells.length} photos)`;
+            }
+        }
+        return options;
+    },
+
+    /**
+     * Check collage settings and fill in defaults
+     * @param {Object} collage - { layout, gutter, border, borderColor, cells } with cells [{ mode, fill, crop, exifOrientation }] in reading order
+     * @returns {Object} - Normalized collage settings
+     */
+    normalize(collage) {
+        const normalized = { ...this.DEFAULTS, ...collage };
+
+        const layout = this.LAYOUTS[normalized.layout];
+        if (!layout) {
+            throw new Error(`Unknown collage layout: ${normalized.layout}`);
+        }
+
+        for (const key of ['gutter', 'border']) {
+            const value = Number(normalized[key]);
+            if (!(Number.isInteger(value) && value >= 0 && value <= this.MAX_SPACING)) {
+                throw new Error(`Collage ${key} must be a whole number of pixels from 0 to ${this.MAX_SPACING}: ${collage[key]}`);
+            }
+            normalized[key] = value;
+        }
+
+        const color = normalized.borderColor;
+        if (!Array.isArray(color) || color.length !== 3 || !color.every(c => Number.isInteger(c) && c >= 0 && c <= 255)) {
+            throw new Error('Collage border color must be [r, g, b] with values from 0 to 255');
+        }
+        normalized.borderColor = color.slice();
+
+        const cells = normalized.cells || [];
+        if (cells.length !== layout.cells.length) {
+            throw new Error(`The ${layout.name} collage needs ${layout.cells.length} photos, got ${cells.length}`);
+        }
+        normalized.cells = cells.map(cell => {
+            let mode = cell.mode || 'cover';
+            mode = ImageConverter.MODE_ALIASES[mode] || mode;
+            if (!ImageConverter.MODES[mode]) {
+                throw new Error(`Unknown resize mode: ${cell.mode}`);
+            }
+            const fill = cell.fill || 'white';
+            if (!ImageConverter.FILLS[fill]) {
+                throw new Error(`Unknown fill: ${cell.fill}`);
+            }
+            return {
+                mode, fill,
+                crop: ImageConverter.normalizeCrop(cell.crop),
+                exifOrientation: ImageConverter.normalizeExifOrientation(cell.exifOrientation)
+            };
+        });
+
+        return normalized;
+    },
+
+    /**
+     * Output size of a collage: 'auto' means landscape, since the
+     * layouts are drawn for it
+     * @param {Object} settings - Normalized conversion options
+     * @returns {Object} - { width, height }
+     */
+    getDimensions(settings) {
+        const orientation = settings.orientation === 'auto' ? 'landscape' : settings.orientation;
+        return DisplayProfiles.getDimensions(DisplayProfiles.get(settings.profile), orientation);
+    },
+
+    /**
+     * Cell rectangles in output pixels
+     * @param {Object} collage - Normalized collage settings
+     * @param {number} width - Output width
+     * @param {number} height - Output height
+     * @param {number} scale - Output scale, for reduced-size previews (default: 1)
+     * @returns {Array} - { x, y, width, height } per cell, in reading order
+     */
+    cellRects(collage, width, height, scale = 1) {
+        const layout = this.LAYOUTS[collage.layout];
+        const portrait = height > width;
+        const columns = portrait ? layout.rows : layout.columns;
+        const rows = portrait ? layout.columns : layout.rows;
+        const gutter = Math.round(collage.gutter * scale);
+        const border = Math.round(collage.border * scale);
+
+        const innerWidth = width - 2 * border - (columns - 1) * gutter;
+        const innerHeight = height - 2 * border - (rows - 1) * gutter;
+        if (innerWidth < columns || innerHeight < rows) {
+            throw new Error('The collage gutter and border leave no room for the photos');
+        }
+
+        // Grid line positions, so neighbouring cells share their rounding
+        const edge = (i, count, inner) => border + Math.round(i * inner / count) + i * gutter;
+
+        const rects = layout.cells.map(cell => {
+            const [column, row, columnSpan, rowSpan] = portrait ? [cell[1], cell[0], cell[3], cell[2]] : cell;
+            const x = edge(column, columns, innerWidth);
+            const y = edge(row, rows, innerHeight);
+            return {
+                x: x,
+                y: y,
+                width: edge(column + columnSpan, columns, innerWidth) - gutter - x,
+                height: edge(row + rowSpan, rows, innerHeight) - gutter - y
+            };
+        });
+
+        // Turning the grid for portrait reorders the cells; photos go left to right, top to bottom
+        return rects.sort((a, b) => a.y - b.y || a.x - b.x);
+    },
+
+    /**
+     * Crop and resize each photo into its cell
+     * @param {Array} images - Loaded source images or rasters, in reading order
+     * @param {Object} collage - Normalized collage settings
+     * @param {Object} target - Output dimensions { width, height }
+     * @param {number} scale - Output scale, for reduced-size previews (default: 1)
+     * @returns {ImageData} - Composite, border color between the cells
+     */
+    compose(images, collage, target, scale = 1) {
+        if (images.length !== collage.cells.length) {
+            throw new Error(`The collage has ${collage.cells.length} cells but ${images.length} photos`);
+        }
+
+        const canvas = Raster.create(target.width, target.height, [...collage.borderColor, 255]);
+        this.cellRects(collage, target.width, target.height, scale).forEach((rect, i) => {
+            const cell = collage.cells[i];
+            const pixels = Exif.orient(ImageConverter.getPixels(images[i]), cell.exifOrientation);
+            const crop = cell.crop || (cell.mode === 'smart' ? ImageConverter.getSmartCrop(pixels, rect) : null);
+            const source = crop ? ImageConverter.applyCrop(pixels, crop) : pixels;
+            const resized = ImageConverter.resize(source, rect, cell);
+
+            for (let y = 0; y < rect.height; y++) {
+                const from = y * rect.width * 4;
+                canvas.data.set(resized.data.subarray(from, from + rect.width * 4), ((rect.y + y) * target.width + rect.x) * 4);
+            }
+        });
+
+        return ImageConverter.createImageData(canvas.data, target.width, target.height);
+    },
+
+    /**
+     * Mask that keeps the gutters and border in one solid palette color
+     * @param {Object} collage - Normalized collage settings
+     * @param {number} width - Output width
+     * @param {number} height - Output height
+     * @param {Array} colors - Device colors of the palette
+     * @param {number} scale - Output scale, for reduced-size previews (default: 1)
+     * @returns {Int16Array} - Palette index outside the cells, -1 inside
+     */
+    mask(collage, width, height, colors, scale = 1) {
+        const mask = new Int16Array(width * height).fill(Overlays.nearestIndex(collage.borderColor, colors));
+        for (const rect of this.cellRects(collage, width, height, scale)) {
+            for (let y = rect.y; y < rect.y + rect.height; y++) {
+                mask.fill(-1, y * width + rect.x, y * width + rect.x + rect.width);
+            }
+        }
+        return mask;
+    },
+
+    /**
+     * Name a collage output is saved under
+     * @param {Object} collage - Collage settings
+     * @returns {string}
+     */
+    sourceName(collage) {
+        return `collage-${collage.layout}`;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Collage;
+}
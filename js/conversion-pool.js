@@ -0,0 +1,282 @@
+/**
+ * Conversion Pool
+ * Runs conversions in a pool of Web Workers (see convert-worker.js), one
+ * per CPU core, so dithering never blocks the page. Queued and running
+ * jobs can be cancelled; running workers are terminated and replaced.
+ *
+ * Browsers without OffscreenCanvas/createImageBitmap, and pages where
+ * workers can't load (file:// URLs), fall back to converting on the main
+ * thread one image at a time.
+ */
+
+const ConversionPool = {
+    WORKER_URL: 'js/convert-worker.js',
+
+    size: 1,
+
+    // Worker slots: { worker, ready, job }
+    slots: [],
+
+    // Jobs waiting for a free slot
+    queue: [],
+
+    nextId: 1,
+
+    // Cleared when a worker fails to load
+    useWorkers: true,
+
+    // Job running on the main thread in fallback mode
+    mainJob: null,
+
+    /**
+     * Set the pool size
+     * @param {number} size - Number of workers (default: CPU core count)
+     */
+    init(size) {
+        const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency;
+        this.size = Math.max(1, size || cores || 2);
+        this.useWorkers = typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap !== 'undefined';
+    },
+
+    /**
+     * Queue a conversion
+     * @param {File} file - Image file to convert
+     * @param {Object} options - Conversion options as passed to ImageConverter.convert
+     * @param {Function} onProgress - Called with the finished fraction, 0-1 (optional)
+     * @param {AbortSignal} signal - Cancels this job (optional)
+     * @returns {Promise<Object>} - Same result as ImageConverter.convert; rejects with an AbortError when cancelled
+     */
+    convert(file, options, onProgress = null, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(this.cancelError());
+                return;
+            }
+            const job = { id: this.nextId++, file, options, onProgress, resolve, reject };
+            if (signal) {
+                signal.addEventListener('abort', () => this.cancel(job), { once: true });
+            }
+            this.queue.push(job);
+            this.pump();
+        });
+    },
+
+    /**
+     * Number of jobs queued or running, not counting a cancelled main-thread
+     * conversion that is still finishing
+     * @returns {number}
+     */
+    activeCount() {
+        return this.queue.length +
+            this.slots.filter(slot => slot.job).length +
+            (this.mainJob && !this.mainJob.cancelled ? 1 : 0);
+    },
+
+    /**
+     * Cancel every queued and running job
+     */
+    cancelAll() {
+        const jobs = this.queue.splice(0);
+
+        for (const slot of this.slots) {
+            if (slot.job) {
+                jobs.push(slot.job);
+                slot.worker.terminate();
+            }
+        }
+        this.slots = this.slots.filter(slot => !slot.job);
+
+        // A main-thread conversion can't be interrupted; its result is dropped
+        // and the next job waits for it to finish
+        if (this.mainJob && !this.mainJob.cancelled) {
+            jobs.push(this.mainJob);
+            this.mainJob.cancelled = true;
+        }
+
+        for (const job of jobs) {
+            job.reject(this.cancelError());
+        }
+    },
+
+    /**
+     * Cancel one job: dropped from the queue, or its worker terminated and
+     * replaced. Finished jobs are left alone.
+     * @param {Object} job - Job from convert()
+     */
+    cancel(job) {
+        const queued = this.queue.indexOf(job);
+        const slot = this.slots.find(s => s.job === job);
+        if (queued !== -1) {
+            this.queue.splice(queued, 1);
+        } else if (slot) {
+            slot.worker.terminate();
+            this.slots = this.slots.filter(s => s !== slot);
+        } else if (this.mainJob === job && !job.cancelled) {
+            // Can't be interrupted; the next job waits for it to finish
+            job.cancelled = true;
+        } else {
+            return;
+        }
+
+        job.reject(this.cancelError());
+        this.pump();
+    },
+
+    cancelError() {
+        const error = new Error('Conversion cancelled');
+        error.name = 'AbortError';
+        return error;
+    },
+
+    // Start queued jobs on idle workers, creating workers up to the pool size
+    pump() {
+        if (!this.useWorkers) {
+            this.pumpMainThread();
+            return;
+        }
+
+        while (this.queue.length > 0) {
+            let slot = this.slots.find(s => !s.job);
+            if (!slot && this.slots.length < this.size) {
+                slot = this.createSlot();
+            }
+            if (!slot) return;
+
+            this.start(slot, this.queue.shift());
+        }
+    },
+
+    createSlot() {
+        const slot = { worker: new Worker(this.WORKER_URL), ready: false, job: null };
+
+        slot.worker.onmessage = (e) => this.handleMessage(slot, e.data);
+        slot.worker.onerror = (e) => {
+            e.preventDefault();
+            this.handleCrash(slot, e.message);
+        };
+
+        this.slots.push(slot);
+        return slot;
+    },
+
+    // Send a job to an idle worker; a job whose options don't check out fails and leaves the slot free
+    start(slot, job) {
+        let message;
+        try {
+            const settings = ImageConverter.normalizeOptions(job.options);
+            const palette = Palettes.get(settings.palette);
+            const profile = DisplayProfiles.get(settings.profile);
+
+            // The worker has the built-in ones
+            message = {
+                type: 'convert',
+                id: job.id,
+                file: job.file,
+                options: job.options,
+                palettes: palette.custom ? { [settings.palette]: palette } : {},
+                profiles: profile.custom ? { [settings.profile]: profile } : {}
+            };
+        } catch (error) {
+            job.reject(error);
+            return;
+        }
+
+        slot.job = job;
+        slot.worker.postMessage(message);
+    },
+
+    handleMessage(slot, message) {
+        if (message.type === 'ready') {
+            slot.ready = true;
+            return;
+        }
+
+        const job = slot.job;
+        if (!job || job.id !== message.id) return;
+
+        if (message.type === 'progress') {
+            if (job.onProgress) job.onProgress(message.fraction);
+            return;
+        }
+
+        slot.job = null;
+        if (message.type === 'done') {
+            try {
+                job.resolve(this.completeResult(message.result, job.options));
+            } catch (error) {
+                job.reject(error);
+            }
+        } else {
+            job.reject(new Error(message.message));
+        }
+        this.pump();
+    },
+
+    // A worker died: before it ever loaded means workers don't work here
+    handleCrash(slot, message) {
+        slot.worker.terminate();
+        this.slots = this.slots.filter(s => s !== slot);
+
+        if (!slot.ready) {
+            console.warn('Conversion worker unavailable, converting on the main thread:', message);
+            this.useWorkers = false;
+            if (slot.job) this.queue.unshift(slot.job);
+            for (const other of this.slots) {
+                other.worker.terminate();
+                if (other.job) this.queue.unshift(other.job);
+            }
+            this.slots = [];
+        } else if (slot.job) {
+            slot.job.reject(new Error(message || 'Conversion worker crashed'));
+        }
+        this.pump();
+    },
+
+    /**
+     * Rebuild the parts of a result that can't leave the worker
+     * @param {Object} result - { indices, width, height, blob, orientation, filename } from the worker
+     * @param {Object} options - Conversion options of the job
+     * @returns {Object} - Result as returned by ImageConverter.convert
+     */
+    completeResult(result, options) {
+        const settings = ImageConverter.normalizeOptions(options);
+        const palette = Palettes.get(settings.palette);
+        const complete = {
+            ...result,
+            palette: palette,
+            imageData: ImageConverter.renderIndices(result.indices, result.width, result.height, Palettes.deviceColors(palette))
+        };
+        complete.dataURL = ImageConverter.renderPreviewDataURL(complete, settings);
+        return complete;
+    },
+
+    // Fallback: one conversion at a time on the main thread
+    async pumpMainThread() {
+        if (this.mainJob || this.queue.length === 0) return;
+
+        const job = this.queue.shift();
+        this.mainJob = job;
+
+        // Let the page update before the thread is busy
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        if (!job.cancelled) {
+            try {
+                const result = await ImageConverter.convert(job.file, job.options, job.onProgress);
+                if (!job.cancelled) job.resolve(result);
+            } catch (error) {
+                if (!job.cancelled) job.reject(error);
+            }
+        }
+
+        if (this.mainJob === job) this.mainJob = null;
+        this.pumpMainThread();
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConversionPool;
+}
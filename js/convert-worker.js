@@ -0,0 +1,84 @@
+/**
+ * Conversion Worker
+ * Runs ImageConverter.process off the main thread, decoding with
+ * createImageBitmap and drawing on OffscreenCanvas. Driven by ConversionPool.
+ *
+ * Messages in:  { type: 'convert', id, file, options, palettes, profiles }
+ *               (file is an array, one per cell, for a collage; palettes
+ *               and profiles hold the user-defined ones the job uses, by key)
+ * Messages out: { type: 'ready' } once the scripts are loaded,
+ *               { type: 'progress', id, fraction },
+ *               { type: 'done', id, result: { indices, width, height, blob, orientation, filename } },
+ *               { type: 'error', id, message }
+ */
+
+importScripts(
+    'libs/color-space.js',
+    'libs/palette-lut.js',
+    'libs/raster.js',
+    'libs/floyd-steinberg.js',
+    'libs/ordered-dither.js',
+    'libs/adjustments.js',
+    'libs/smart-crop.js',
+    'palettes.js',
+    'profiles.js',
+    'bmp-encoder.js',
+    'png-encoder.js',
+    'zip-writer.js',
+    'packed-encoder.js',
+    'exif.js',
+    'overlays.js',
+    'collage.js',
+    'wall.js',
+    'converter.js'
+);
+
+// Add or replace the entries that changed. An unchanged palette keeps its
+// object, which the color and lookup table caches are keyed by
+function updateEntries(table, entries) {
+    for (const [key, entry] of Object.entries(entries)) {
+        if (!table[key] || JSON.stringify(table[key]) !== JSON.stringify(entry)) {
+            table[key] = entry;
+        }
+    }
+}
+
+self.onmessage = async (e) => {
+    const { type, id, file, options, palettes, profiles } = e.data;
+    if (type !== 'convert') return;
+
+    // User-defined palettes and profiles live in the page's localStorage,
+    // so the page sends the ones this job uses
+    updateEntries(Palettes.PALETTES, palettes);
+    updateEntries(DisplayProfiles.PROFILES, profiles);
+
+    try {
+        const settings = ImageConverter.normalizeOptions(await ImageConverter.withExif(options, file));
+        const img = await ImageConverter.loadSource(file);
+        let result;
+        try {
+            result = await ImageConverter.process(img, settings, ImageConverter.getSourceName(file, settings), fraction => {
+                self.postMessage({ type: 'progress', id, fraction });
+            });
+        } finally {
+            ImageConverter.releaseSource(img);
+        }
+
+        self.postMessage({
+            type: 'done',
+            id: id,
+            result: {
+                indices: result.indices,
+                width: result.width,
+                height: result.height,
+                blob: result.blob,
+                orientation: result.orientation,
+                filename: result.filename
+            }
+        }, [result.indices.buffer]);
+    } catch (error) {
+        self.postMessage({ type: 'error', id, message: error.message });
+    }
+};
+
+self.postMessage({ type: 'ready' });
@@ -1,186 +1,1169 @@
 /**
  * Image Converter
- * Handles resizing and color quantization for 7-color e-ink displays
+ * Handles resizing and color quantization for e-ink displays.
+ * Target size and palette come from the chosen display profile.
+ * Resizing runs on raw pixels through Raster, so the browser, the workers
+ * and the Node CLI (cli/7color.js) produce identical output.
  */
 
 const ImageConverter = {
-    // Target dimensions
-    LANDSCAPE: { width: 800, height: 480 },
-    PORTRAIT: { width: 480, height: 800 },
+    // Resize modes
+    MODES: {
+        fit: 'Fit (letterbox)',
+        cover: 'Cover (crop)',
+        smart: 'Smart crop',
+        stretch: 'Stretch'
+    },
+
+    // Older mode names, kept so existing callers keep working
+    MODE_ALIASES: {
+        scale: 'fit',
+        cut: 'cover'
+    },
+
+    // Short dither names, as accepted by the CLI and the HTTP API
+    DITHER_ALIASES: {
+        fs: 'floyd-steinberg',
+        jjn: 'jarvis-judice-ninke',
+        sierra2: 'sierra-two-row',
+        bayer: 'bayer-4',
+        bayer2: 'bayer-2',
+        bayer4: 'bayer-4',
+        bayer8: 'bayer-8'
+    },
+
+    // Letterbox fills for 'fit' mode
+    FILLS: {
+        white: 'White',
+        black: 'Black',
+        blur: 'Blurred edges'
+    },
+
+    ORIENTATIONS: {
+        auto: 'Auto',
+        landscape: 'Landscape',
+        portrait: 'Portrait'
+    },
+
+    // Photo date at the start of output filenames (see options.dateInName), as Overlays.formatDate takes it
+    FILENAME_DATE_FORMAT: 'YYYYMMDD_HHmm',
+
+    // What to do with a photo the other way round than a fixed frame orientation
+    FRAME_ROTATIONS: {
+        none: 'Crop or letterbox',
+        cw: 'Rotate 90° clockwise',
+        ccw: 'Rotate 90° counter-clockwise'
+    },
+
+    // Share of the quantization error passed on to neighbors
+    ATTENUATIONS: {
+        1: '100%',
+        0.9: '90%',
+        0.8: '80%',
+        0.7: '70%',
+        0.5: '50%'
+    },
+
+    // Output file formats
+    FORMATS: {
+        'bmp': { name: 'BMP 24-bit', extension: 'bmp' },
+        'bmp4': { name: 'BMP 4-bit indexed', extension: 'bmp' },
+        'bmp8': { name: 'BMP 8-bit indexed', extension: 'bmp' },
+        'png': { name: 'PNG indexed', extension: 'png' },
+        'epd': { name: 'Packed frame buffer (epd driver)', extension: 'bin' },
+        'header': { name: 'C header (Arduino)', extension: 'h' }
+    },
+
+    // Which palette colors the on-screen preview shows
+    PREVIEWS: {
+        device: 'Device colors',
+        measured: 'Panel (measured)'
+    },
+
+    // Downscale factor used to blur the letterbox background
+    BLUR_FACTOR: 24,
+
+    // Longest side of the live adjustment preview
+    LIVE_PREVIEW_SIZE: 320,
 
     /**
-     * Load an image from a File object
+     * Load an image from a File object, pixels as stored: the EXIF
+     * orientation is left to process() (see options.exifOrientation)
      * @param {File} file - Image file
-     * @returns {Promise<HTMLImageElement>} - Loaded image
+     * @returns {Promise<HTMLImageElement|ImageBitmap>} - Loaded image (an ImageBitmap inside workers)
      */
-    loadImage(file) {
+    async loadImage(file) {
+        const blob = await Exif.withoutOrientation(file);
+
+        // Workers have no Image element
+        if (typeof Image === 'undefined') {
+            return createImageBitmap(blob).catch(() => {
+                throw new Error('Failed to load image');
+            });
+        }
+
         return new Promise((resolve, reject) => {
             const img = new Image();
             img.onload = () => resolve(img);
             img.onerror = () => reject(new Error('Failed to load image'));
-            img.src = URL.createObjectURL(file);
+            img.src = URL.createObjectURL(blob);
         });
     },
 
     /**
-     * Determine target dimensions based on image aspect ratio
+     * Free a loaded image
+     * @param {HTMLImageElement|ImageBitmap} img - Result of loadImage()
+     */
+    releaseImage(img) {
+        if (typeof img.close === 'function') {
+            img.close();
+        } else {
+            URL.revokeObjectURL(img.src);
+        }
+    },
+
+    /**
+     * Get the RGBA pixels of a loaded image
+     * @param {HTMLImageElement|ImageBitmap|Object} img - Result of loadImage(), or a raster { width, height, data }
+     * @returns {Object} - Raster { width, height, data }, the raster itself when given one
+     */
+    getPixels(img) {
+        if (img.data) return img;
+
+        const canvas = this.createCanvas(img.width, img.height);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0);
+        return ctx.getImageData(0, 0, img.width, img.height);
+    },
+
+    /**
+     * Wrap pixels as ImageData where it exists (Node has none)
+     * @param {Uint8ClampedArray} data - RGBA pixels
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @returns {ImageData|Object} - ImageData, or a plain raster { width, height, data }
+     */
+    createImageData(data, width, height) {
+        return typeof ImageData === 'undefined'
+            ? { width, height, data }
+            : new ImageData(data, width, height);
+    },
+
+    /**
+     * Determine target dimensions for a profile
      * @param {number} width - Original width
      * @param {number} height - Original height
+     * @param {Object} profile - Display profile (default: DisplayProfiles.DEFAULT)
+     * @param {string} orientation - 'landscape', 'portrait', or 'auto' (default: 'auto')
      * @returns {Object} - Target dimensions { width, height }
      */
-    getTargetDimensions(width, height) {
-        // Auto-detect orientation based on aspect ratio
-        if (width > height) {
-            return this.LANDSCAPE;
-        } else {
-            return this.PORTRAIT;
+    getTargetDimensions(width, height, profile = DisplayProfiles.get(DisplayProfiles.DEFAULT), orientation = 'auto') {
+        if (orientation === 'auto') {
+            // Auto-detect orientation based on aspect ratio
+            orientation = width > height ? 'landscape' : 'portrait';
         }
+        return DisplayProfiles.getDimensions(profile, orientation);
     },
 
     /**
-     * Resize image using 'scale' mode (fit and center on white background)
-     * This matches the Python script's default behavior
-     * @param {HTMLImageElement} img - Source image
-     * @param {Object} target - Target dimensions { width, height }
-     * @returns {ImageData} - Resized image data
+     * Size a source is resized to: one frame, or a whole wall of them
+     * @param {number} width - Source width
+     * @param {number} height - Source height
+     * @param {Object} settings - Normalized options (see normalizeOptions)
+     * @returns {Object} - Target dimensions { width, height }
      */
-    resizeScale(img, target) {
+    getOutputDimensions(width, height, settings) {
+        const profile = DisplayProfiles.get(settings.profile);
+        if (settings.wall) {
+            const { width: wallWidth, height: wallHeight } = Wall.getLayout(settings.wall, profile);
+            return { width: wallWidth, height: wallHeight };
+        }
+        return this.getTargetDimensions(width, height, profile, settings.orientation);
+    },
+
+    /**
+     * Create a canvas of the given size (an OffscreenCanvas inside workers)
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @returns {HTMLCanvasElement|OffscreenCanvas} - New canvas
+     */
+    createCanvas(width, height) {
+        if (typeof document === 'undefined') {
+            return new OffscreenCanvas(width, height);
+        }
         const canvas = document.createElement('canvas');
-        canvas.width = target.width;
-        canvas.height = target.height;
-        const ctx = canvas.getContext('2d');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    },
 
-        // Fill with white background
-        ctx.fillStyle = '#FFFFFF';
-        ctx.fillRect(0, 0, target.width, target.height);
+    /**
+     * Size of an image after rotating it in 90° steps
+     * @param {HTMLImageElement|HTMLCanvasElement} img - Source image
+     * @param {number} rotation - 0, 90, 180 or 270 (clockwise)
+     * @returns {Object} - Rotated dimensions { width, height }
+     */
+    rotatedSize(img, rotation) {
+        return rotation % 180 === 0
+            ? { width: img.width, height: img.height }
+            : { width: img.height, height: img.width };
+    },
+
+    /**
+     * Draw an image rotated in 90° steps with its rotated top-left corner
+     * at the current origin
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {HTMLImageElement|HTMLCanvasElement} img - Source image
+     * @param {number} rotation - 0, 90, 180 or 270 (clockwise)
+     * @param {number} scale - Scale applied to the source image (default: 1)
+     */
+    drawRotated(ctx, img, rotation, scale = 1) {
+        const rotated = this.rotatedSize(img, rotation);
+        ctx.save();
+        ctx.translate(rotated.width * scale / 2, rotated.height * scale / 2);
+        ctx.rotate(rotation * Math.PI / 180);
+        ctx.drawImage(img, -img.width * scale / 2, -img.height * scale / 2, img.width * scale, img.height * scale);
+        ctx.restore();
+    },
 
-        // Calculate scale to cover the target area
-        const scaleRatio = Math.max(
-            target.width / img.width,
-            target.height / img.height
+    /**
+     * Quarter turn that makes a source match a fixed frame orientation,
+     * when the options ask for turning instead of cropping
+     * @param {number} width - Source width, after any crop
+     * @param {number} height - Source height, after any crop
+     * @param {Object} settings - Normalized options (see normalizeOptions)
+     * @returns {number} - Clockwise rotation: 0, 90 or 270
+     */
+    getFrameRotation(width, height, settings) {
+        // Each frame of a wall has its own orientation; the photo spans them as it is
+        if (settings.wall || settings.frameRotation === 'none' || settings.orientation === 'auto' || width === height) return 0;
+
+        const target = DisplayProfiles.getDimensions(DisplayProfiles.get(settings.profile), settings.orientation);
+        if (target.width === target.height || (width > height) === (target.width > target.height)) return 0;
+        return settings.frameRotation === 'cw' ? 90 : 270;
+    },
+
+    /**
+     * Frame shape for choosing a crop on an image of the given size: the
+     * target, turned when the image will be rotated onto the frame
+     * @param {number} width - Upright image width
+     * @param {number} height - Upright image height
+     * @param {Object} settings - Normalized options (see normalizeOptions)
+     * @returns {Object} - { width, height }
+     */
+    getCropTarget(width, height, settings) {
+        const target = this.getOutputDimensions(width, height, settings);
+        return this.getFrameRotation(width, height, settings)
+            ? { width: target.height, height: target.width }
+            : target;
+    },
+
+    /**
+     * Upright, cropped and (if asked) frame-rotated pixels of a loaded image
+     * @param {HTMLImageElement|ImageBitmap|Object} img - Loaded source image or raster
+     * @param {Object} settings - Normalized options (see normalizeOptions)
+     * @returns {Object} - Raster ready for resizing
+     */
+    getSource(img, settings) {
+        const pixels = Exif.orient(this.getPixels(img), settings.exifOrientation);
+
+        // Rotate and crop as chosen in the crop editor, else where smart crop suggests
+        const crop = settings.crop || (settings.mode === 'smart'
+            ? this.getSmartCrop(pixels, this.getCropTarget(pixels.width, pixels.height, settings))
+            : null);
+        const source = crop ? this.applyCrop(pixels, crop) : pixels;
+        return Raster.rotate(source, this.getFrameRotation(source.width, source.height, settings));
+    },
+
+    /**
+     * Crop that keeps the most important part of an image at the target's
+     * shape (see SmartCrop). Used by 'smart' mode when no crop was chosen,
+     * and as the crop editor's starting frame.
+     * @param {Object} pixels - Upright source raster
+     * @param {Object} target - Target dimensions { width, height }
+     * @returns {Object} - Crop { rotation, x, y, width, height }
+     */
+    getSmartCrop(pixels, target) {
+        return { rotation: 0, ...SmartCrop.find(pixels, target.width / target.height) };
+    },
+
+    /**
+     * Rotate an image and cut out the crop rectangle
+     * @param {Object} pixels - Source raster (see getPixels)
+     * @param {Object} crop - { rotation, x, y, width, height } in rotated image pixels
+     * @returns {Object} - Cropped raster, white where the rectangle reaches past the image edge
+     */
+    applyCrop(pixels, crop) {
+        return Raster.crop(Raster.rotate(pixels, crop.rotation), crop);
+    },
+
+    /**
+     * Calculate where a scaled image lands inside the target, centered
+     * @param {Object} img - Source raster, or anything with width and height
+     * @param {Object} target - Target dimensions { width, height }
+     * @param {number} scaleRatio - Scale applied to the source image
+     * @returns {Object} - Placement { left, top, width, height }
+     */
+    centerPlacement(img, target, scaleRatio) {
+        const width = Math.round(img.width * scaleRatio);
+        const height = Math.round(img.height * scaleRatio);
+
+        return {
+            left: Math.floor((target.width - width) / 2),
+            top: Math.floor((target.height - height) / 2),
+            width: width,
+            height: height
+        };
+    },
+
+    /**
+     * Create the letterbox background for 'fit' mode
+     * @param {Object} pixels - Source raster
+     * @param {Object} target - Target dimensions { width, height }
+     * @param {string} fill - 'white', 'black' or 'blur'
+     * @returns {Object} - Background raster of the target size
+     */
+    createBackground(pixels, target, fill) {
+        if (fill !== 'blur') {
+            const value = fill === 'black' ? 0 : 255;
+            return Raster.create(target.width, target.height, [value, value, value, 255]);
+        }
+
+        // Blurred edges: shrink a cover-scaled copy to a tiny raster and
+        // stretch it back up, letting the bilinear enlargement do the blur
+        const small = Raster.create(
+            Math.max(1, Math.round(target.width / this.BLUR_FACTOR)),
+            Math.max(1, Math.round(target.height / this.BLUR_FACTOR)),
+            [255, 255, 255, 255]
         );
+        const cover = this.centerPlacement(pixels, small, Math.max(
+            small.width / pixels.width,
+            small.height / pixels.height
+        ));
+        Raster.draw(small, pixels, cover.left, cover.top, cover.width, cover.height);
+
+        const background = Raster.create(target.width, target.height);
+        return Raster.draw(background, small, 0, 0, target.width, target.height);
+    },
 
-        // Calculate resized dimensions
-        const resizedWidth = Math.round(img.width * scaleRatio);
-        const resizedHeight = Math.round(img.height * scaleRatio);
+    /**
+     * Resize image using 'fit' mode (whole image visible, letterboxed)
+     * @param {Object} pixels - Source raster
+     * @param {Object} target - Target dimensions { width, height }
+     * @param {string} fill - Letterbox fill: 'white', 'black' or 'blur' (default: 'white')
+     * @returns {ImageData} - Resized image data
+     */
+    resizeFit(pixels, target, fill = 'white') {
+        const canvas = this.createBackground(pixels, target, fill);
 
-        // Center the image
-        const left = Math.floor((target.width - resizedWidth) / 2);
-        const top = Math.floor((target.height - resizedHeight) / 2);
+        // Calculate scale so the whole image fits inside the target area
+        const placement = this.centerPlacement(pixels, target, Math.min(
+            target.width / pixels.width,
+            target.height / pixels.height
+        ));
 
-        // Draw resized image
-        ctx.drawImage(img, left, top, resizedWidth, resizedHeight);
+        Raster.draw(canvas, pixels, placement.left, placement.top, placement.width, placement.height);
 
-        return ctx.getImageData(0, 0, target.width, target.height);
+        return this.createImageData(canvas.data, target.width, target.height);
     },
 
     /**
-     * Resize image using 'cut' mode (crop to fit)
-     * @param {HTMLImageElement} img - Source image
+     * Resize image using 'cover' mode (fill the target, cropping the overflow)
+     * @param {Object} pixels - Source raster
      * @param {Object} target - Target dimensions { width, height }
      * @returns {ImageData} - Resized image data
      */
-    resizeCut(img, target) {
-        const canvas = document.createElement('canvas');
-        canvas.width = target.width;
-        canvas.height = target.height;
-        const ctx = canvas.getContext('2d');
+    resizeCover(pixels, target) {
+        // White background
+        const canvas = Raster.create(target.width, target.height, [255, 255, 255, 255]);
 
-        // Fill with white background
-        ctx.fillStyle = '#FFFFFF';
-        ctx.fillRect(0, 0, target.width, target.height);
+        // Calculate scale to cover the target area (some parts will be cropped)
+        const placement = this.centerPlacement(pixels, target, Math.max(
+            target.width / pixels.width,
+            target.height / pixels.height
+        ));
 
-        // Calculate scale to cover the target area
-        const scaleRatio = Math.max(
-            target.width / img.width,
-            target.height / img.height
-        );
+        Raster.draw(canvas, pixels, placement.left, placement.top, placement.width, placement.height);
+
+        return this.createImageData(canvas.data, target.width, target.height);
+    },
+
+    /**
+     * Resize image using 'stretch' mode (ignore aspect ratio)
+     * @param {Object} pixels - Source raster
+     * @param {Object} target - Target dimensions { width, height }
+     * @returns {ImageData} - Resized image data
+     */
+    resizeStretch(pixels, target) {
+        const canvas = Raster.create(target.width, target.height);
+
+        Raster.draw(canvas, pixels, 0, 0, target.width, target.height);
+
+        return this.createImageData(canvas.data, target.width, target.height);
+    },
+
+    /**
+     * Resize image with the given mode
+     * @param {Object} pixels - Source raster (see getPixels)
+     * @param {Object} target - Target dimensions { width, height }
+     * @param {Object} options - Normalized options (see normalizeOptions)
+     * @returns {ImageData} - Resized image data
+     */
+    resize(pixels, target, options) {
+        switch (options.mode) {
+            // A smart-cropped source already has the target's shape
+            case 'cover':
+            case 'smart':
+                return this.resizeCover(pixels, target);
+            case 'stretch':
+                return this.resizeStretch(pixels, target);
+            default:
+                return this.resizeFit(pixels, target, options.fill);
+        }
+    },
+
+    /**
+     * Display profile choices
+     * @returns {Object} - Map of profile key -> display name
+     */
+    getProfileOptions() {
+        const options = {};
+        for (const [key, profile] of Object.entries(DisplayProfiles.PROFILES)) {
+            options[key] = profile.name;
+        }
+        return options;
+    },
+
+    /**
+     * Palette choices
+     * @returns {Object} - Map of palette key -> display name
+     */
+    getPaletteOptions() {
+        const options = {};
+        for (const [key, palette] of Object.entries(Palettes.PALETTES)) {
+            options[key] = palette.name;
+        }
+        return options;
+    },
+
+    /**
+     * Color matching choices
+     * @returns {Object} - Map of metric key -> display name
+     */
+    getMetricOptions() {
+        const options = {};
+        for (const [key, metric] of Object.entries(ColorSpace.METRICS)) {
+            options[key] = metric.name;
+        }
+        return options;
+    },
+
+    /**
+     * Dithering choices: every error diffusion kernel, the ordered
+     * threshold matrices, and plain quantization
+     * @returns {Object} - Map of dither key -> display name
+     */
+    getDitherOptions() {
+        const options = {};
+        for (const [key, kernel] of Object.entries(FloydSteinberg.KERNELS)) {
+            options[key] = kernel.name;
+        }
+        for (const [key, method] of Object.entries(OrderedDither.METHODS)) {
+            options[key] = method.name;
+        }
+        options.none = 'None';
+        return options;
+    },
+
+    /**
+     * Whether a dither key is an error diffusion kernel
+     * @param {string} dither - Dither key
+     * @returns {boolean}
+     */
+    isErrorDiffusion(dither) {
+        return Object.prototype.hasOwnProperty.call(FloydSteinberg.KERNELS, dither);
+    },
+
+    /**
+     * Quantize image data to the palette with the chosen dithering
+     * Matching runs against the palette's measured colors; the image data
+     * receives the device colors.
+     * @param {ImageData} imageData - Resized image data, modified in place
+     * @param {Object} settings - Normalized options (see normalizeOptions)
+     * @param {Function} onProgress - Called with the finished fraction while dithering (optional)
+     * @param {Int16Array} fixed - Palette index forced per pixel, -1 where free (optional, see renderOverlays)
+     * @returns {Object} - { imageData, indices, palette }
+     */
+    quantize(imageData, settings, onProgress = null, fixed = null) {
+        const palette = Palettes.get(settings.palette);
+        const matchColors = Palettes.matchColors(palette);
+        const indices = new Uint8Array(imageData.width * imageData.height);
+
+        if (OrderedDither.METHODS[settings.dither]) {
+            OrderedDither.dither(imageData, matchColors, {
+                method: settings.dither,
+                metric: settings.metric,
+                outputPalette: Palettes.deviceColors(palette),
+                indices: indices,
+                fixed: fixed,
+                onProgress: onProgress
+            });
+        } else {
+            FloydSteinberg.dither(imageData, matchColors, settings.dither !== 'none', {
+                kernel: settings.dither === 'none' ? undefined : settings.dither,
+                serpentine: settings.serpentine,
+                attenuation: settings.attenuation,
+                metric: settings.metric,
+                linearLight: settings.linearLight,
+                outputPalette: Palettes.deviceColors(palette),
+                indices: indices,
+                fixed: fixed,
+                onProgress: onProgress
+            });
+        }
+
+        return { imageData, indices, palette };
+    },
+
+    /**
+     * Render the text overlays into a mask of fixed palette indices
+     * @param {Object} settings - Normalized options (see normalizeOptions)
+     * @param {number} width - Output width
+     * @param {number} height - Output height
+     * @param {string} sourceName - Original filename, for the {filename} field
+     * @param {number} scale - Output scale, for reduced-size previews (default: 1)
+     * @returns {Int16Array|null} - Mask for quantize(), or null without overlays
+     */
+    renderOverlays(settings, width, height, sourceName, scale = 1) {
+        if (!settings.overlays) return null;
+
+        if (typeof document === 'undefined' && typeof OffscreenCanvas === 'undefined') {
+            throw new Error('Text overlays need a browser canvas to draw the text');
+        }
+
+        const colors = Palettes.deviceColors(Palettes.get(settings.palette));
+        return Overlays.render(settings.overlays, this.createCanvas(width, height), colors, {
+            fields: { ...settings.overlayFields, filename: sourceName },
+            scale: scale
+        });
+    },
+
+    /**
+     * Combine the collage gutters and the text overlays into one mask of
+     * fixed palette indices, text on top
+     * @param {Object} settings - Normalized options (see normalizeOptions)
+     * @param {number} width - Output width
+     * @param {number} height - Output height
+     * @param {string} sourceName - Original filename, for the {filename} field
+     * @param {number} scale - Output scale, for reduced-size previews (default: 1)
+     * @returns {Int16Array|null} - Mask for quantize(), or null if nothing is fixed
+     */
+    renderFixed(settings, width, height, sourceName, scale = 1) {
+        const overlays = this.renderOverlays(settings, width, height, sourceName, scale);
+        if (!settings.collage) return overlays;
+
+        const colors = Palettes.deviceColors(Palettes.get(settings.palette));
+        const mask = Collage.mask(settings.collage, width, height, colors, scale);
+        if (overlays) {
+            for (let i = 0; i < mask.length; i++) {
+                if (overlays[i] >= 0) mask[i] = overlays[i];
+            }
+        }
+        return mask;
+    },
+
+    /**
+     * Paint palette indices with the given colors
+     * @param {Uint8Array} indices - Palette index per pixel
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {Array} colors - Array of RGB color arrays
+     * @returns {ImageData} - Rendered image data
+     */
+    renderIndices(indices, width, height, colors) {
+        const imageData = this.createImageData(new Uint8ClampedArray(width * height * 4), width, height);
+        const data = imageData.data;
+
+        for (let i = 0; i < indices.length; i++) {
+            const color = colors[indices[i]];
+            data[i * 4] = color[0];
+            data[i * 4 + 1] = color[1];
+            data[i * 4 + 2] = color[2];
+            data[i * 4 + 3] = 255;
+        }
+
+        return imageData;
+    },
+
+    /**
+     * Fill in defaults and resolve legacy option values
+     * @param {Object} options - Conversion options as passed to convert()
+     * @returns {Object} - Normalized options { profile, mode, fill, orientation, dither, serpentine, attenuation, metric, linearLight, palette, preview, format, controllerCodes, frameRotation, exifOrientation, crop, adjustments, overlays, overlayFields, collage, wall, dateInName }
+     */
+    normalizeOptions(options = {}) {
+        const profile = options.profile || DisplayProfiles.DEFAULT;
+        if (!DisplayProfiles.PROFILES[profile]) {
+            throw new Error(`Unknown display profile: ${options.profile}`);
+        }
+        const profileInfo = DisplayProfiles.get(profile);
+
+        let mode = options.mode || 'fit';
+        mode = this.MODE_ALIASES[mode] || mode;
+        if (!this.MODES[mode]) {
+            throw new Error(`Unknown resize mode: ${options.mode}`);
+        }
+
+        const fill = options.fill || 'white';
+        if (!this.FILLS[fill]) {
+            throw new Error(`Unknown fill: ${options.fill}`);
+        }
+
+        let orientation = options.orientation || 'auto';
+        if (!this.ORIENTATIONS[orientation]) {
+            throw new Error(`Unknown orientation: ${options.orientation}`);
+        }
+        // Panels mounted one way round only get that orientation
+        if (profileInfo.orientation !== 'any') {
+            orientation = profileInfo.orientation;
+        }
+
+        let dither = options.dither;
+        if (dither === undefined || dither === true) {
+            dither = 'floyd-steinberg';
+        } else if (dither === false) {
+            dither = 'none';
+        }
+        dither = this.DITHER_ALIASES[dither] || dither;
+        if (dither !== 'none' && !this.isErrorDiffusion(dither) && !OrderedDither.METHODS[dither]) {
+            throw new Error(`Unknown dithering: ${options.dither}`);
+        }
+
+        const serpentine = options.serpentine === true;
+
+        const attenuation = options.attenuation === undefined ? 1 : Number(options.attenuation);
+        if (!(attenuation >= 0 && attenuation <= 1)) {
+            throw new Error(`Error attenuation must be between 0 and 1: ${options.attenuation}`);
+        }
+
+        const metric = options.metric || 'rgb';
+        if (!ColorSpace.METRICS[metric]) {
+            throw new Error(`Unknown color metric: ${options.metric}`);
+        }
+
+        const linearLight = options.linearLight === true;
+
+        const palette = options.palette || profileInfo.palette;
+        if (!Palettes.PALETTES[palette]) {
+            throw new Error(`Unknown palette: ${options.palette}`);
+        }
+
+        const preview = options.preview || 'device';
+        if (!this.PREVIEWS[preview]) {
+            throw new Error(`Unknown preview: ${options.preview}`);
+        }
+
+        const format = options.format || profileInfo.format;
+        if (!this.FORMATS[format]) {
+            throw new Error(`Unknown output format: ${options.format}`);
+        }
+
+        let controllerCodes = options.controllerCodes || profileInfo.controllerCodes || null;
+        if (typeof controllerCodes === 'string') {
+            controllerCodes = DisplayProfiles.parseCodes(controllerCodes);
+        }
+
+        const frameRotation = options.frameRotation || 'none';
+        if (!this.FRAME_ROTATIONS[frameRotation]) {
+            throw new Error(`Unknown frame rotation: ${options.frameRotation}`);
+        }
 
-        // Calculate resized dimensions
-        const resizedWidth = Math.round(img.width * scaleRatio);
-        const resizedHeight = Math.round(img.height * scaleRatio);
+        const exifOrientation = this.normalizeExifOrientation(options.exifOrientation);
 
-        // Center the image (some parts will be cropped)
-        const left = Math.floor((target.width - resizedWidth) / 2);
-        const top = Math.floor((target.height - resizedHeight) / 2);
+        const crop = this.normalizeCrop(options.crop);
 
-        // Draw resized image
-        ctx.drawImage(img, left, top, resizedWidth, resizedHeight);
+        const adjustments = options.adjustments ? Adjustments.normalize(options.adjustments) : null;
 
-        return ctx.getImageData(0, 0, target.width, target.height);
+        let overlays = options.overlays ? Overlays.normalize(options.overlays) : null;
+        if (overlays && overlays.length === 0) {
+            overlays = null;
+        }
+
+        const fields = options.overlayFields || {};
+        const overlayFields = {
+            date: fields.date === undefined || fields.date === null ? null : Number(new Date(fields.date)),
+            caption: fields.caption ? String(fields.caption) : ''
+        };
+
+        const collage = options.collage ? Collage.normalize(options.collage) : null;
+
+        const wall = options.wall ? Wall.normalize(options.wall) : null;
+        if (wall && collage) {
+            throw new Error('A collage cannot be split across a wall');
+        }
+        if (wall) {
+            Wall.checkSize(wall, profileInfo);
+        }
+
+        const dateInName = options.dateInName === true;
+
+        return {
+            profile, mode, fill, orientation, dither, serpentine, attenuation,
+            metric, linearLight, palette, preview, format, controllerCodes, frameRotation, exifOrientation,
+            crop, adjustments, overlays, overlayFields, collage, wall, dateInName
+        };
     },
 
     /**
-     * Convert an image file to 7-color e-ink format
+     * Check an EXIF orientation value
+     * @param {number} orientation - 1-8, or undefined for upright
+     * @returns {number}
+     */
+    normalizeExifOrientation(orientation) {
+        if (orientation === undefined || orientation === null) return 1;
+        const value = Number(orientation);
+        if (!Exif.TRANSFORMS[value]) {
+            throw new Error(`EXIF orientation must be 1 to 8: ${orientation}`);
+        }
+        return value;
+    },
+
+    /**
+     * Check a crop rectangle and round it to whole pixels
+     * @param {Object|null} crop - { rotation, x, y, width, height } in rotated image pixels
+     * @returns {Object|null} - Normalized crop, or null for none
+     */
+    normalizeCrop(crop) {
+        if (!crop) return null;
+
+        const { rotation = 0, x, y, width, height } = crop;
+        if (![0, 90, 180, 270].includes(rotation)) {
+            throw new Error(`Crop rotation must be 0, 90, 180 or 270: ${rotation}`);
+        }
+        if (!(x >= 0 && y >= 0 && width >= 1 && height >= 1)) {
+            throw new Error('Crop rectangle needs a non-negative position and a size of at least 1 pixel');
+        }
+        return {
+            rotation: rotation,
+            x: Math.round(x),
+            y: Math.round(y),
+            width: Math.round(width),
+            height: Math.round(height)
+        };
+    },
+
+    /**
+     * Convert an image file to e-ink format
      * @param {File} file - Image file to convert
      * @param {Object} options - Conversion options
-     * @param {string} options.mode - 'scale' or 'cut' (default: 'scale')
-     * @param {boolean} options.dither - Apply dithering (default: true)
+     * @param {string} options.profile - Key of DisplayProfiles.PROFILES (default: DisplayProfiles.DEFAULT)
+     * @param {string} options.mode - 'fit', 'cover', 'smart' (cover around the most important part) or 'stretch' (default: 'fit')
+     * @param {string} options.fill - Letterbox fill for 'fit': 'white', 'black' or 'blur' (default: 'white')
      * @param {string} options.orientation - 'landscape', 'portrait', or 'auto' (default: 'auto')
+     * @param {string|boolean} options.dither - Key from FloydSteinberg.KERNELS, OrderedDither.METHODS or 'none' (default: 'floyd-steinberg')
+     * @param {boolean} options.serpentine - Alternate scan direction every row (default: false)
+     * @param {number} options.attenuation - Fraction of the error to diffuse, 0-1 (default: 1)
+     * @param {string} options.metric - Key of ColorSpace.METRICS used for color matching (default: 'rgb')
+     * @param {boolean} options.linearLight - Diffuse error in linear light (default: false)
+     * @param {string} options.palette - Key of Palettes.PALETTES (default: the profile's palette)
+     * @param {string} options.preview - Preview with 'device' or 'measured' colors (default: 'device')
+     * @param {string} options.format - Key of FORMATS (default: the profile's format)
+     * @param {Array|string} options.controllerCodes - Controller code per palette slot for packed output (default: the profile's)
+     * @param {string} options.frameRotation - Key of FRAME_ROTATIONS, for photos the other way round than a fixed orientation (default: 'none')
+     * @param {number} options.exifOrientation - EXIF orientation of the file, 1-8 (default: read from the file)
+     * @param {Object} options.crop - Rotation and crop rectangle { rotation, x, y, width, height } applied before resizing (default: none)
+     * @param {Object} options.adjustments - Tone and sharpening applied before dithering, see Adjustments.CONTROLS (default: none)
+     * @param {Array} options.overlays - Text blocks drawn undithered on top, see Overlays.createBlock (default: none)
+     * @param {Object} options.overlayFields - { date, caption } for the overlay text fields (default: the EXIF capture date, else the file's date)
+     * @param {Object} options.collage - Layout, spacing and per-cell crop and mode, see Collage.normalize; file is then an array, one per cell (default: none)
+     * @param {Object} options.wall - Grid, bezel gaps and frame orientations, see Wall.normalize; the output is then a ZIP with one file per frame (default: none)
+     * @param {boolean} options.dateInName - Start the output filename with the photo date, overlayFields.date (default: false)
+     * @param {Function} onProgress - Called with the finished fraction, 0-1 (optional)
      * @returns {Promise<Object>} - Conversion result { imageData, blob, dataURL }
      */
-    async convert(file, options = {}) {
-        const mode = options.mode || 'scale';
-        const dither = options.dither !== false; // Default to true (Floyd-Steinberg)
-        const orientation = options.orientation || 'auto';
+    async convert(file, options = {}, onProgress = null) {
+        options = await this.withExif(options, file);
+        const settings = this.normalizeOptions(options);
+
+        // Load image, freed however processing ends
+        const img = await this.loadSource(file);
+        let result;
+        try {
+            result = await this.process(img, settings, this.getSourceName(file, settings), onProgress);
+        } finally {
+            this.releaseSource(img);
+        }
 
-        // Load image
-        const img = await this.loadImage(file);
+        return { ...result, dataURL: this.renderPreviewDataURL(result, settings) };
+    },
 
-        // Determine target dimensions
-        let target;
-        if (orientation === 'landscape') {
-            target = this.LANDSCAPE;
-        } else if (orientation === 'portrait') {
-            target = this.PORTRAIT;
-        } else {
-            target = this.getTargetDimensions(img.width, img.height);
+    /**
+     * Load a source file, or every cell's file of a collage. If one cell
+     * fails, the cells that did load are released before the error is thrown.
+     * @param {File|Array} file - Image file, or an array of them
+     * @returns {Promise<Object|Array>} - Loaded image, or an array of them (see loadImage)
+     */
+    async loadSource(file) {
+        if (!Array.isArray(file)) return this.loadImage(file);
+
+        const results = await Promise.allSettled(file.map(f => this.loadImage(f)));
+        const failed = results.find(result => result.status === 'rejected');
+        if (failed) {
+            this.releaseSource(results.filter(result => result.status === 'fulfilled').map(result => result.value));
+            throw failed.reason;
+        }
+        return results.map(result => result.value);
+    },
+
+    /**
+     * Release images from loadSource
+     * @param {Object|Array} img - Loaded image, or an array of them
+     */
+    releaseSource(img) {
+        for (const image of [].concat(img)) {
+            this.releaseImage(image);
         }
+    },
+
+    /**
+     * Name the output of a source is saved under
+     * @param {File|Array} file - Image file, or an array of them for a collage
+     * @param {Object} settings - Normalized options
+     * @returns {string}
+     */
+    getSourceName(file, settings) {
+        return settings.collage ? Collage.sourceName(settings.collage) : file.name;
+    },
+
+    /**
+     * Fill in what the file's EXIF says, where the options don't already:
+     * its orientation (per cell for a collage) and the capture date
+     * @param {Object} options - Conversion options
+     * @param {File|Array} file - Source file, or an array of them for a collage
+     * @returns {Promise<Object>} - Completed options
+     */
+    async withExif(options, file) {
+        const files = [].concat(file);
+        const needed = options.exifOrientation === undefined ||
+            (options.collage && options.collage.cells.some(cell => cell.exifOrientation === undefined));
+        const fields = options.overlayFields || {};
+        const hasDate = fields.date !== undefined && fields.date !== null;
+        if (!needed && hasDate) return options;
+
+        const exif = await Promise.all(files.map(f => Exif.readFile(f)));
+        const completed = { ...options };
+        if (completed.exifOrientation === undefined) {
+            completed.exifOrientation = Array.isArray(file) ? 1 : exif[0].orientation;
+        }
+        if (completed.collage) {
+            completed.collage = {
+                ...completed.collage,
+                cells: completed.collage.cells.map((cell, i) => cell.exifOrientation === undefined && exif[i]
+                    ? { ...cell, exifOrientation: exif[i].orientation }
+                    : cell)
+            };
+        }
+        if (!hasDate && exif[0].date !== null) {
+            completed.overlayFields = { ...fields, date: exif[0].date };
+        }
+        return this.withFileDate(completed, file);
+    },
+
+    /**
+     * Use a file's modification date as the photo date unless one is given
+     * @param {Object} options - Conversion options
+     * @param {File|Array} file - Source file (the first one counts for a collage)
+     * @returns {Object} - Options with overlayFields.date set where known
+     */
+    withFileDate(options, file) {
+        const fields = options.overlayFields || {};
+        if (fields.date !== undefined && fields.date !== null) return options;
+        if (Array.isArray(file)) file = file[0];
+        if (!file || !file.lastModified) return options;
+        return { ...options, overlayFields: { ...fields, date: file.lastModified } };
+    },
+
+    /**
+     * Run a loaded image through crop, resize, adjustments, dithering and
+     * encoding. Shared by convert(), the conversion worker and the CLI.
+     * @param {HTMLImageElement|ImageBitmap|Object|Array} img - Loaded source image, or a decoded raster { width, height, data }; an array of them for a collage
+     * @param {Object} options - Conversion options as passed to convert()
+     * @param {string} sourceName - Original filename
+     * @param {Function} onProgress - Called with the finished fraction, 0-1 (optional)
+     * @returns {Promise<Object>} - { imageData, indices, palette, width, height, blob, orientation, filename }
+     */
+    async process(img, options, sourceName, onProgress = null) {
+        const settings = this.normalizeOptions(options);
+        const progress = onProgress || (() => {});
 
-        // Resize image
         let imageData;
-        if (mode === 'cut') {
-            imageData = this.resizeCut(img, target);
+        if (settings.collage) {
+            // Every cell has its own crop and resize mode
+            imageData = Collage.compose(img, settings.collage, Collage.getDimensions(settings));
         } else {
-            imageData = this.resizeScale(img, target);
+            const source = this.getSource(img, settings);
+
+            // Determine target dimensions
+            const target = this.getOutputDimensions(source.width, source.height, settings);
+
+            // Resize image
+            imageData = this.resize(source, target, settings);
         }
+        const target = { width: imageData.width, height: imageData.height };
+        progress(0.1);
 
-        // Apply Floyd-Steinberg dithering with 7-color palette
-        const ditheredData = FloydSteinberg.dither(imageData, null, dither);
+        // Tone and sharpening
+        if (settings.adjustments) {
+            Adjustments.apply(imageData, settings.adjustments);
+        }
+        progress(0.2);
+
+        // Text overlays and collage gutters stay undithered
+        const fixed = this.renderFixed(settings, target.width, target.height, sourceName);
 
-        // Encode to BMP for download
-        const blob = BMPEncoder.encode(ditheredData);
+        // Dither to the palette (the bulk of the work)
+        const { imageData: ditheredData, indices, palette } = this.quantize(
+            imageData, settings, fraction => progress(0.2 + fraction * 0.7), fixed
+        );
+
+        const result = {
+            imageData: ditheredData,
+            indices: indices,
+            palette: palette,
+            width: target.width,
+            height: target.height
+        };
 
-        // Create PNG preview (browsers render PNG much better than BMP)
-        const previewCanvas = document.createElement('canvas');
-        previewCanvas.width = target.width;
-        previewCanvas.height = target.height;
-        const previewCtx = previewCanvas.getContext('2d');
-        previewCtx.putImageData(ditheredData, 0, 0);
-        const previewDataURL = previewCanvas.toDataURL('image/png');
+        // Encode the download (device colors)
+        const blob = await this.encodeOutput(result, settings, sourceName);
+        progress(1);
 
-        // Clean up
-        URL.revokeObjectURL(img.src);
+        const orientation = target.width > target.height ? 'landscape' : 'portrait';
 
         return {
-            imageData: ditheredData,
+            ...result,
             blob: blob,
-            dataURL: previewDataURL,
-            width: target.width,
-            height: target.height,
-            orientation: target.width > target.height ? 'landscape' : 'portrait'
+            orientation: orientation,
+            filename: this.getOutputFilename(sourceName, { ...settings, orientation })
         };
     },
 
+    /**
+     * PNG data URL of a conversion result for on-screen preview
+     * (browsers render PNG much better than BMP)
+     * @param {Object} result - { imageData, indices, palette, width, height }
+     * @param {Object} options - Conversion options (preview picks device or measured colors)
+     * @returns {string} - Data URL
+     */
+    renderPreviewDataURL(result, options) {
+        const { indices, palette, width, height } = result;
+        const previewData = this.normalizeOptions(options).preview === 'measured'
+            ? this.renderIndices(indices, width, height, Palettes.matchColors(palette))
+            : result.imageData;
+
+        const previewCanvas = this.createCanvas(width, height);
+        previewCanvas.getContext('2d').putImageData(previewData, 0, 0);
+        return previewCanvas.toDataURL('image/png');
+    },
+
+    /**
+     * Crop and resize an image for the live adjustment preview: the
+     * full output framing, scaled down to LIVE_PREVIEW_SIZE
+     * @param {HTMLImageElement|Array} img - Loaded source image, or an array of them for a collage
+     * @param {Object} options - Conversion options as passed to convert()
+     * @param {number} maxSize - Longest side (default: LIVE_PREVIEW_SIZE; Infinity for the full output size)
+     * @returns {Object} - { imageData, scale } with scale relative to the full output
+     */
+    getPreviewBase(img, options, maxSize = this.LIVE_PREVIEW_SIZE) {
+        const settings = this.normalizeOptions(options);
+        let source = null;
+        let target;
+        if (settings.collage) {
+            target = Collage.getDimensions(settings);
+        } else {
+            source = this.getSource(img, settings);
+            target = this.getOutputDimensions(source.width, source.height, settings);
+        }
+
+        const scale = Math.min(1, maxSize / Math.max(target.width, target.height));
+        const small = {
+            width: Math.max(1, Math.round(target.width * scale)),
+            height: Math.max(1, Math.round(target.height * scale))
+        };
+
+        const imageData = settings.collage
+            ? Collage.compose(img, settings.collage, small, scale)
+            : this.resize(source, small, settings);
+        return { imageData: imageData, scale: scale };
+    },
+
+    /**
+     * Adjust, overlay and dither a preview base without touching it
+     * @param {Object} base - Result of getPreviewBase()
+     * @param {Object} options - Conversion options as passed to convert()
+     * @param {string} sourceName - Original filename, for the {filename} overlay field
+     * @returns {ImageData} - Dithered preview in the chosen preview colors
+     */
+    renderLivePreview(base, options, sourceName = '') {
+        const settings = this.normalizeOptions(options);
+        const { width, height } = base.imageData;
+        const imageData = this.createImageData(new Uint8ClampedArray(base.imageData.data), width, height);
+
+        if (settings.adjustments) {
+            Adjustments.apply(imageData, settings.adjustments, { scale: base.scale });
+        }
+
+        const fixed = this.renderFixed(settings, width, height, sourceName, base.scale);
+        const { imageData: ditheredData, indices, palette } = this.quantize(imageData, settings, null, fixed);
+        return settings.preview === 'measured'
+            ? this.renderIndices(indices, width, height, Palettes.matchColors(palette))
+            : ditheredData;
+    },
+
+    /**
+     * Encode a conversion result in the chosen output format. Works from the
+     * stored palette indices, so switching formats doesn't need a new dither.
+     * @param {Object} result - { imageData, indices, palette, width, height }
+     * @param {Object} settings - Conversion settings (format, profile, controllerCodes, wall)
+     * @param {string} sourceName - Original filename, used in C header comments
+     * @returns {Promise<Blob>} - Output file; a ZIP of every frame's file for a wall
+     */
+    async encodeOutput(result, settings, sourceName = '') {
+        settings = this.normalizeOptions(settings);
+        if (settings.wall) {
+            const panels = await this.encodePanels(result, settings, sourceName);
+            return ZipWriter.create(panels.map(panel => ({ path: panel.filename, data: panel.blob })));
+        }
+        return this.encodeFrame(result, settings, sourceName);
+    },
+
+    /**
+     * Cut a wall's result into its frames and encode each one
+     * @param {Object} result - { imageData, indices, palette, width, height } of the whole wall
+     * @param {Object} settings - Conversion settings with a wall
+     * @param {string} sourceName - Original filename
+     * @returns {Promise<Array>} - { filename, blob } per frame, in reading order
+     */
+    async encodePanels(result, settings, sourceName = '') {
+        settings = this.normalizeOptions(settings);
+        const layout = Wall.getLayout(settings.wall, DisplayProfiles.get(settings.profile));
+        const deviceColors = Palettes.deviceColors(result.palette);
+
+        const panels = [];
+        for (const panel of Wall.split(result, layout)) {
+            const frame = {
+                indices: panel.indices,
+                palette: result.palette,
+                width: panel.width,
+                height: panel.height
+            };
+            // Plain BMP is encoded from the RGB image
+            if (settings.format === 'bmp') {
+                frame.imageData = this.renderIndices(panel.indices, panel.width, panel.height, deviceColors);
+            }
+            panels.push({
+                filename: this.getOutputFilename(sourceName, { ...settings, panel }),
+                blob: await this.encodeFrame(frame, settings, sourceName)
+            });
+        }
+        return panels;
+    },
+
+    /**
+     * Encode the result of one frame
+     * @param {Object} result - { imageData, indices, palette, width, height }
+     * @param {Object} settings - Normalized options
+     * @param {string} sourceName - Original filename, used in C header comments
+     * @returns {Promise<Blob>} - Output file
+     */
+    async encodeFrame(result, settings, sourceName) {
+        const { indices, width, height, palette } = result;
+        const deviceColors = Palettes.deviceColors(palette);
+
+        switch (settings.format) {
+            case 'bmp4':
+                return BMPEncoder.encodeIndexed(indices, width, height, deviceColors, 4);
+            case 'bmp8':
+                return BMPEncoder.encodeIndexed(indices, width, height, deviceColors, 8);
+            case 'png':
+                return PNGEncoder.encodeIndexed(indices, width, height, deviceColors);
+            case 'epd':
+            case 'header': {
+                const bitsPerPixel = DisplayProfiles.get(settings.profile).packedBits || 4;
+                const packed = PackedEncoder.pack(indices, width, height, {
+                    codes: settings.controllerCodes,
+                    bitsPerPixel: bitsPerPixel,
+                    paletteSize: deviceColors.length
+                });
+                if (settings.format === 'epd') {
+                    return PackedEncoder.toBlob(packed);
+                }
+                const header = PackedEncoder.toCHeader(packed, { width, height, bitsPerPixel, source: sourceName });
+                return new Blob([header], { type: 'text/x-c' });
+            }
+            default:
+                return BMPEncoder.encode(result.imageData);
+        }
+    },
+
     /**
      * Generate output filename
      * @param {string} originalName - Original filename
-     * @param {string} mode - Conversion mode
+     * @param {Object|string} settings - Conversion settings, or just the mode; with a wall, panel names one frame's file (see Wall.split)
      * @returns {string} - Output filename
      */
-    getOutputFilename(originalName, mode = 'scale') {
+    getOutputFilename(originalName, settings = {}) {
+        if (typeof settings === 'string') {
+            settings = { mode: settings };
+        }
+        const {
+            profile, mode, fill, orientation, dither, serpentine, attenuation, metric, linearLight, palette, format,
+            collage, wall, dateInName, overlayFields
+        } = this.normalizeOptions(settings);
+        const panel = wall && settings.panel;
+
         const baseName = originalName.replace(/\.[^/.]+$/, '');
-        return `${baseName}_${mode}_output.bmp`;
+        const parts = [baseName];
+        // Sorts by when the photo was taken
+        if (dateInName && overlayFields.date !== null) {
+            parts.unshift(Overlays.formatDate(new Date(overlayFields.date), this.FILENAME_DATE_FORMAT));
+        }
+        if (profile !== DisplayProfiles.DEFAULT) {
+            parts.push(profile);
+        }
+        // Collage cells each have their own mode
+        if (!collage) {
+            parts.push(mode === 'fit' && fill !== 'white' ? `${mode}-${fill}` : mode);
+        }
+        // Frames of a wall each have their own orientation
+        if (wall) {
+            parts.push(`wall-${Wall.gridKey(wall)}`);
+            if (panel) parts.push(Wall.panelName(panel), panel.orientation);
+        } else if (orientation !== 'auto') {
+            parts.push(orientation);
+        }
+        if (dither === 'none') {
+            parts.push('nodither');
+        } else if (dither !== 'floyd-steinberg') {
+            parts.push(dither);
+        }
+        if (this.isErrorDiffusion(dither)) {
+            if (serpentine) parts.push('serpentine');
+            if (attenuation !== 1) parts.push(`att${attenuation}`);
+        }
+        if (metric !== 'rgb') {
+            parts.push(metric);
+        }
+        if (linearLight && this.isErrorDiffusion(dither)) {
+            parts.push('linear');
+        }
+        if (palette !== DisplayProfiles.get(profile).palette) {
+            parts.push(palette);
+        }
+        if (format === 'bmp4' || format === 'bmp8') {
+            parts.push(format.slice(3) + 'bit');
+        }
+        const extension = wall && !panel ? 'zip' : this.FORMATS[format].extension;
+        return `${parts.join('_')}_output.${extension}`;
     }
 };
 
@@ -0,0 +1,281 @@
+/**
+ * Crop Editor
+ * Shows the target frame over the original image. Drag or use the arrow
+ * keys to move it, zoom with the wheel or +/-, rotate in 90° steps with R.
+ * The result is a crop { rotation, x, y, width, height } in rotated image
+ * pixels, as taken by ImageConverter.convert.
+ */
+
+const CropEditor = {
+    root: null,
+    canvas: null,
+
+    // Image being edited and the callbacks for the current session
+    image: null,
+    getTarget: null,
+    onApply: null,
+
+    // View state: rotation, zoom (1 = largest frame that fits) and
+    // frame center in rotated image pixels
+    rotation: 0,
+    zoom: 1,
+    center: null,
+
+    // Canvas scale and the pointer position while dragging
+    scale: 1,
+    drag: null,
+
+    MAX_ZOOM: 8,
+    ZOOM_STEP: 1.1,
+
+    // Largest size of the editing canvas in CSS pixels
+    VIEW_WIDTH: 800,
+    VIEW_HEIGHT: 560,
+
+    /**
+     * Wire up the editor
+     * @param {HTMLElement} root - Editor overlay (see index.html)
+     */
+    init(root) {
+        this.root = root;
+        this.canvas = this.el('canvas');
+
+        this.el('rotate-left').addEventListener('click', () => this.rotate(-90));
+        this.el('rotate-right').addEventListener('click', () => this.rotate(90));
+        this.el('zoom-in').addEventListener('click', () => this.zoomBy(this.ZOOM_STEP));
+        this.el('zoom-out').addEventListener('click', () => this.zoomBy(1 / this.ZOOM_STEP));
+        this.el('reset').addEventListener('click', () => this.reset());
+        this.el('clear').addEventListener('click', () => this.close(null));
+        this.el('cancel').addEventListener('click', () => this.close());
+        this.el('apply').addEventListener('click', () => this.close(this.getCrop()));
+
+        this.canvas.addEventListener('pointerdown', (e) => {
+            this.drag = { x: e.clientX, y: e.clientY };
+            this.canvas.setPointerCapture(e.pointerId);
+        });
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (!this.drag) return;
+            // The canvas may be shown smaller than its pixel size
+            const scale = this.scale * this.canvas.getBoundingClientRect().width / this.canvas.width;
+            this.pan((e.clientX - this.drag.x) / scale, (e.clientY - this.drag.y) / scale);
+            this.drag = { x: e.clientX, y: e.clientY };
+        });
+        this.canvas.addEventListener('pointerup', () => { this.drag = null; });
+        this.canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.zoomBy(e.deltaY < 0 ? this.ZOOM_STEP : 1 / this.ZOOM_STEP);
+        });
+
+        root.addEventListener('keydown', (e) => this.handleKey(e));
+    },
+
+    // Find an editor element by its data-crop attribute
+    el(name) {
+        return this.root.querySelector(`[data-crop="${name}"]`);
+    },
+
+    /**
+     * Open the editor for an image
+     * @param {string} src - Image URL (the card's original data URL)
+     * @param {Object|null} crop - Current crop, or null for a centered frame
+     * @param {Function} getTarget - (width, height) => target dimensions for an image of that size
+     * @param {Function} onApply - Called with the new crop, or null to remove it
+     */
+    async open(src, crop, getTarget, onApply) {
+        this.image = await new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Failed to load image'));
+            img.src = src;
+        });
+        this.getTarget = getTarget;
+        this.onApply = onApply;
+
+        if (crop) {
+            this.setCrop(crop);
+        } else {
+            this.reset();
+        }
+
+        this.root.classList.add('visible');
+        this.root.focus();
+    },
+
+    /**
+     * Close the editor
+     * @param {Object|null} crop - Crop to hand to onApply; undefined closes without changes
+     */
+    close(crop) {
+        this.root.classList.remove('visible');
+        if (crop !== undefined) this.onApply(crop);
+        this.image = null;
+        this.drag = null;
+    },
+
+    reset() {
+        this.rotation = 0;
+        this.zoom = 1;
+        this.center = null;
+        this.render();
+    },
+
+    rotate(degrees) {
+        // Keep the frame on the same part of the picture
+        const size = ImageConverter.rotatedSize(this.image, this.rotation);
+        const frame = this.getFrame();
+        const x = frame.x + frame.width / 2;
+        const y = frame.y + frame.height / 2;
+        this.center = degrees > 0
+            ? { x: size.height - y, y: x }
+            : { x: y, y: size.width - x };
+        this.rotation = (this.rotation + degrees + 360) % 360;
+        this.render();
+    },
+
+    zoomBy(factor) {
+        this.zoom = Math.min(this.MAX_ZOOM, Math.max(1, this.zoom * factor));
+        this.render();
+    },
+
+    pan(dx, dy) {
+        this.center = { x: this.center.x + dx, y: this.center.y + dy };
+        this.render();
+    },
+
+    handleKey(e) {
+        if (!this.image) return;
+
+        // Arrow keys move by 1% of the image, 10% with Shift
+        const size = ImageConverter.rotatedSize(this.image, this.rotation);
+        const step = Math.max(size.width, size.height) * (e.shiftKey ? 0.1 : 0.01);
+
+        switch (e.key) {
+            case 'ArrowLeft': this.pan(-step, 0); break;
+            case 'ArrowRight': this.pan(step, 0); break;
+            case 'ArrowUp': this.pan(0, -step); break;
+            case 'ArrowDown': this.pan(0, step); break;
+            case '+': case '=': this.zoomBy(this.ZOOM_STEP); break;
+            case '-': case '_': this.zoomBy(1 / this.ZOOM_STEP); break;
+            case 'r': this.rotate(90); break;
+            case 'R': this.rotate(-90); break;
+            case '0': this.reset(); break;
+            case 'Enter': this.close(this.getCrop()); break;
+            case 'Escape': this.close(); break;
+            default: return;
+        }
+        e.preventDefault();
+    },
+
+    /**
+     * Largest frame with the target's aspect ratio that fits the rotated image
+     * @returns {Object} - { width, height } in rotated image pixels
+     */
+    getFullFrame() {
+        const size = ImageConverter.rotatedSize(this.image, this.rotation);
+        const target = this.getTarget(size.width, size.height);
+        const aspect = target.width / target.height;
+
+        return size.width / aspect > size.height
+            ? { width: size.height * aspect, height: size.height }
+            : { width: size.width, height: size.width / aspect };
+    },
+
+    /**
+     * The frame rectangle for the current view, kept inside the image
+     * @returns {Object} - { x, y, width, height } in rotated image pixels
+     */
+    getFrame() {
+        const size = ImageConverter.rotatedSize(this.image, this.rotation);
+        const full = this.getFullFrame();
+        const width = full.width / this.zoom;
+        const height = full.height / this.zoom;
+
+        const center = this.center || { x: size.width / 2, y: size.height / 2 };
+        const x = Math.min(Math.max(center.x - width / 2, 0), size.width - width);
+        const y = Math.min(Math.max(center.y - height / 2, 0), size.height - height);
+
+        // Store the clamped center so dragging past an edge doesn't build up
+        this.center = { x: x + width / 2, y: y + height / 2 };
+
+        return { x, y, width, height };
+    },
+
+    /**
+     * Current crop
+     * @returns {Object} - { rotation, x, y, width, height } in whole pixels
+     */
+    getCrop() {
+        const size = ImageConverter.rotatedSize(this.image, this.rotation);
+        const frame = this.getFrame();
+        const x = Math.round(frame.x);
+        const y = Math.round(frame.y);
+        return {
+            rotation: this.rotation,
+            x: x,
+            y: y,
+            width: Math.max(1, Math.min(Math.round(frame.width), size.width - x)),
+            height: Math.max(1, Math.min(Math.round(frame.height), size.height - y))
+        };
+    },
+
+    /**
+     * Restore the view from a stored crop
+     * @param {Object} crop - { rotation, x, y, width, height }
+     */
+    setCrop(crop) {
+        this.rotation = crop.rotation;
+        this.zoom = Math.min(this.MAX_ZOOM, Math.max(1, this.getFullFrame().width / crop.width));
+        this.center = { x: crop.x + crop.width / 2, y: crop.y + crop.height / 2 };
+        this.render();
+    },
+
+    render() {
+        if (!this.image) return;
+
+        const size = ImageConverter.rotatedSize(this.image, this.rotation);
+        const frame = this.getFrame();
+        this.scale = Math.min(this.VIEW_WIDTH / size.width, this.VIEW_HEIGHT / size.height);
+
+        const canvas = this.canvas;
+        canvas.width = Math.round(size.width * this.scale);
+        canvas.height = Math.round(size.height * this.scale);
+
+        const ctx = canvas.getContext('2d');
+        ImageConverter.drawRotated(ctx, this.image, this.rotation, this.scale);
+
+        // Dim everything outside the frame
+        const fx = frame.x * this.scale;
+        const fy = frame.y * this.scale;
+        const fw = frame.width * this.scale;
+        const fh = frame.height * this.scale;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+        ctx.beginPath();
+        ctx.rect(0, 0, canvas.width, canvas.height);
+        ctx.rect(fx, fy, fw, fh);
+        ctx.fill('evenodd');
+
+        // Frame outline and rule-of-thirds guides
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(fx, fy, fw, fh);
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let i = 1; i < 3; i++) {
+            ctx.moveTo(fx + fw * i / 3, fy);
+            ctx.lineTo(fx + fw * i / 3, fy + fh);
+            ctx.moveTo(fx, fy + fh * i / 3);
+            ctx.lineTo(fx + fw, fy + fh * i / 3);
+        }
+        ctx.stroke();
+
+        const target = this.getTarget(size.width, size.height);
+        this.el('info').textContent =
+            `${Math.round(frame.width)}x${Math.round(frame.height)} → ${target.width}x${target.height}, ` +
+            `rotated ${this.rotation}°, zoom ${this.zoom.toFixed(1)}x`;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CropEditor;
+}
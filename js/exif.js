@@ -0,0 +1,198 @@
+/**
+ * EXIF Reader
+ * Reads the orientation, capture date and camera from a JPEG's EXIF block.
+ *
+ * Browsers apply the orientation tag on their own when decoding, some only
+ * in some places (an <img> but not every canvas path). To get the same
+ * result everywhere, loadImage decodes a copy with the tag set to 1 and
+ * the rotation is applied explicitly with orient().
+ */
+
+const Exif = {
+    // Bytes read from the start of a file; the EXIF block must be in them
+    HEAD_BYTES: 256 * 1024,
+
+    // Flip (left-right mirror) then clockwise rotation that shows each
+    // orientation upright
+    TRANSFORMS: {
+        1: { flip: false, rotation: 0 },
+        2: { flip: true, rotation: 0 },
+        3: { flip: false, rotation: 180 },
+        4: { flip: true, rotation: 180 },
+        5: { flip: true, rotation: 270 },
+        6: { flip: false, rotation: 90 },
+        7: { flip: true, rotation: 90 },
+        8: { flip: false, rotation: 270 }
+    },
+
+    // TIFF tags read from the first IFD and the EXIF IFD
+    TAGS: {
+        make: 0x010F,
+        model: 0x0110,
+        orientation: 0x0112,
+        dateTime: 0x0132,
+        exifIFD: 0x8769,
+        dateTimeOriginal: 0x9003
+    },
+
+    /**
+     * Read EXIF from the file's bytes
+     * @param {Uint8Array} bytes - File contents (the first HEAD_BYTES are enough)
+     * @returns {Object} - { orientation, date, camera, orientationOffset }: orientation 1-8 (1 when
+     *                     missing), date in ms or null, camera text or '', byte offset of the orientation value or null
+     */
+    read(bytes) {
+        const info = { orientation: 1, date: null, camera: '', orientationOffset: null };
+        const tiff = this.findTIFF(bytes);
+        if (tiff === null) return info;
+
+        try {
+            const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            const little = view.getUint16(tiff) === 0x4949;
+            if (view.getUint16(tiff + 2, little) !== 42) return info;
+
+            const ifd0 = this.readIFD(view, tiff, tiff + view.getUint32(tiff + 4, little), little);
+            const exif = ifd0[this.TAGS.exifIFD]
+                ? this.readIFD(view, tiff, tiff + ifd0[this.TAGS.exifIFD].value, little)
+                : {};
+
+            const orientation = ifd0[this.TAGS.orientation];
+            if (orientation && this.TRANSFORMS[orientation.value]) {
+                info.orientation = orientation.value;
+                info.orientationOffset = orientation.offset;
+            }
+
+            const date = exif[this.TAGS.dateTimeOriginal] || ifd0[this.TAGS.dateTime];
+            info.date = date ? this.parseDate(date.text) : null;
+
+            const make = ifd0[this.TAGS.make] ? ifd0[this.TAGS.make].text : '';
+            const model = ifd0[this.TAGS.model] ? ifd0[this.TAGS.model].text : '';
+            // Most models already start with the make ("Canon EOS R6")
+            info.camera = model.toLowerCase().startsWith(make.toLowerCase()) ? model : `${make} ${model}`.trim();
+        } catch (error) {
+            // A damaged EXIF block shouldn't stop the photo from loading
+        }
+        return info;
+    },
+
+    /**
+     * Read EXIF from the start of a File or Blob
+     * @param {Blob} file - Image file
+     * @returns {Promise<Object>} - See read()
+     */
+    async readFile(file) {
+        return this.read(new Uint8Array(await file.slice(0, this.HEAD_BYTES).arrayBuffer()));
+    },
+
+    // Offset of the TIFF header inside the JPEG's APP1 "Exif" segment, or null
+    findTIFF(bytes) {
+        if (bytes.length < 4 || bytes[0] !== 0xFF || bytes[1] !== 0xD8) return null;
+
+        let offset = 2;
+        while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+            const marker = bytes[offset + 1];
+            const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+            // Image data starts at SOS; EXIF comes before it
+            if (marker === 0xDA || length < 2) return null;
+
+            const start = offset + 4;
+            if (marker === 0xE1 && start + 6 <= bytes.length &&
+                String.fromCharCode(...bytes.subarray(start, start + 4)) === 'Exif' &&
+                bytes[start + 4] === 0 && bytes[start + 5] === 0) {
+                return start + 6;
+            }
+            offset += 2 + length;
+        }
+        return null;
+    },
+
+    // Entries of one IFD by tag: { value, offset } for numbers, { text } for ASCII
+    readIFD(view, tiff, start, little) {
+        const entries = {};
+        const count = view.getUint16(start, little);
+
+        for (let i = 0; i < count; i++) {
+            const entry = start + 2 + i * 12;
+            const tag = view.getUint16(entry, little);
+            const type = view.getUint16(entry + 2, little);
+            const length = view.getUint32(entry + 4, little);
+
+            if (type === 3) {
+                entries[tag] = { value: view.getUint16(entry + 8, little), offset: entry + 8 };
+            } else if (type === 4) {
+                entries[tag] = { value: view.getUint32(entry + 8, little), offset: entry + 8 };
+            } else if (type === 2) {
+                // Up to 4 characters fit in the entry, longer text is stored elsewhere
+                const from = length <= 4 ? entry + 8 : tiff + view.getUint32(entry + 8, little);
+                let text = '';
+                for (let j = 0; j < length; j++) {
+                    const code = view.getUint8(from + j);
+                    if (code === 0) break;
+                    text += String.fromCharCode(code);
+                }
+                entries[tag] = { text: text.trim() };
+            }
+        }
+        return entries;
+    },
+
+    /**
+     * Parse an EXIF date, "YYYY:MM:DD HH:MM:SS" in the camera's local time
+     * @param {string} text - EXIF date text
+     * @returns {number|null} - ms since the epoch, or null if unset or malformed
+     */
+    parseDate(text) {
+        const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(text);
+        if (!match || match[1] === '0000') return null;
+
+        const [year, month, day, hours, minutes, seconds] = match.slice(1).map(Number);
+        const date = new Date(year, month - 1, day, hours, minutes, seconds);
+        return isNaN(date.getTime()) ? null : date.getTime();
+    },
+
+    /**
+     * Copy of a file with its orientation tag set to 1, so a decoder
+     * leaves the pixels as stored
+     * @param {Blob} file - Image file
+     * @returns {Promise<Blob>} - The file itself when it has no orientation to undo
+     */
+    async withoutOrientation(file) {
+        const head = new Uint8Array(await file.slice(0, this.HEAD_BYTES).arrayBuffer());
+        const info = this.read(head);
+        if (info.orientation === 1 || info.orientationOffset === null) return file;
+
+        // The value is a SHORT in the file's byte order; 1 is 0x0001 either way round
+        const little = head[this.findTIFF(head)] === 0x49;
+        head[info.orientationOffset] = little ? 1 : 0;
+        head[info.orientationOffset + 1] = little ? 0 : 1;
+        return new Blob([head, file.slice(head.length)], { type: file.type });
+    },
+
+    /**
+     * Turn stored pixels upright
+     * @param {Object} pixels - Raster as decoded, orientation not applied
+     * @param {number} orientation - EXIF orientation, 1-8
+     * @returns {Object} - Upright raster (pixels itself for 1)
+     */
+    orient(pixels, orientation) {
+        const transform = this.TRANSFORMS[orientation] || this.TRANSFORMS[1];
+        const flipped = transform.flip ? Raster.flip(pixels) : pixels;
+        return Raster.rotate(flipped, transform.rotation);
+    },
+
+    /**
+     * Size of the upright image
+     * @param {number} width - Stored width
+     * @param {number} height - Stored height
+     * @param {number} orientation - EXIF orientation, 1-8
+     * @returns {Object} - { width, height }
+     */
+    orientedSize(width, height, orientation) {
+        return orientation >= 5 && orientation <= 8 ? { width: height, height: width } : { width, height };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Exif;
+}
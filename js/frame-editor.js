@@ -0,0 +1,134 @@
+/**
+ * Frame Editor
+ * Add, edit and remove the networked frames images can be sent to. Frames
+ * are saved in localStorage through Frames.register, auth header included,
+ * so only save secrets on a browser you trust.
+ */
+
+const FrameEditor = {
+    root: null,
+    onSave: null,
+
+    // Key of the frame being edited (null for an unsaved new frame)
+    key: null,
+
+    // Form fields, by data-frame attribute
+    FIELDS: ['name', 'url', 'method', 'body', 'field', 'headerName', 'headerValue'],
+
+    /**
+     * Wire up the editor
+     * @param {HTMLElement} root - Editor container (see index.html)
+     * @param {Function} onSave - Called with the frame key after a save or delete
+     */
+    init(root, onSave) {
+        this.root = root;
+        this.onSave = onSave;
+
+        this.el('method').innerHTML = this.renderOptions(Frames.METHODS);
+        this.el('body').innerHTML = this.renderOptions(Frames.BODIES);
+
+        this.el('select').addEventListener('change', (e) => {
+            if (e.target.value) this.open(e.target.value);
+            else this.createNew();
+        });
+        this.el('body').addEventListener('change', () => this.updateFieldState());
+        this.el('new').addEventListener('click', () => this.createNew());
+        this.el('delete').addEventListener('click', () => this.deleteCurrent());
+        this.el('save').addEventListener('click', () => this.save());
+
+        const keys = Object.keys(Frames.FRAMES);
+        if (keys.length > 0) this.open(keys[0]);
+        else this.createNew();
+    },
+
+    // Find an editor element by its data-frame attribute
+    el(name) {
+        return this.root.querySelector(`[data-frame="${name}"]`);
+    },
+
+    renderOptions(options) {
+        return Object.entries(options).map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+    },
+
+    /**
+     * Load a frame into the form
+     * @param {string} key - Key of Frames.FRAMES
+     */
+    open(key) {
+        this.key = key;
+        this.fill(Frames.get(key));
+        this.render();
+    },
+
+    createNew() {
+        this.key = null;
+        this.fill({ name: '', url: 'http://', method: 'POST', body: 'multipart', field: 'image', headerName: '', headerValue: '' });
+        this.render();
+    },
+
+    fill(frame) {
+        for (const field of this.FIELDS) {
+            this.el(field).value = frame[field];
+        }
+    },
+
+    read() {
+        return Object.fromEntries(this.FIELDS.map(field => [field, this.el(field).value]));
+    },
+
+    deleteCurrent() {
+        if (this.key === null) return;
+        if (!confirm(`Delete frame "${Frames.get(this.key).name}"?`)) return;
+
+        const key = this.key;
+        Frames.remove(key);
+        this.onSave(key);
+        this.createNew();
+    },
+
+    save() {
+        const frame = this.read();
+        const key = this.key || Frames.keyFor(frame.name);
+        try {
+            Frames.register(key, frame);
+        } catch (error) {
+            this.showMessage(error.message, true);
+            return;
+        }
+
+        this.key = key;
+        this.onSave(key);
+        this.render();
+        this.showMessage('Saved');
+    },
+
+    // The form field name only matters for multipart uploads
+    updateFieldState() {
+        this.el('field').disabled = this.el('body').value !== 'multipart';
+    },
+
+    showMessage(text, isError = false) {
+        const message = this.el('message');
+        message.textContent = text;
+        message.classList.toggle('error', isError);
+    },
+
+    render() {
+        const select = this.el('select');
+        select.innerHTML = '';
+        for (const [key, name] of Object.entries(Frames.getOptions())) {
+            select.appendChild(new Option(name, key));
+        }
+        select.appendChild(new Option('New frame', ''));
+        select.value = this.key === null ? '' : this.key;
+
+        this.el('delete').disabled = this.key === null;
+        this.updateFieldState();
+        this.showMessage('');
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FrameEditor;
+}
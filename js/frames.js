@@ -0,0 +1,248 @@
+/**
+ * Frames
+ * Networked picture frames that converted images can be uploaded to, e.g.
+ * an ESP32 running a small web server. Each frame is an HTTP endpoint with
+ * its own method, body encoding and optional auth header. Frames are kept
+ * in localStorage.
+ *
+ * The upload runs from the page, so the frame has to allow cross-origin
+ * requests (CORS), and a page served over https can't reach a plain http
+ * frame. server/mock-frame.js is a stand-in frame for trying it out.
+ */
+
+const Frames = {
+    FRAMES: {},
+
+    // localStorage key for saved frames
+    STORAGE_KEY: 'eink-converter.frames',
+
+    METHODS: {
+        POST: 'POST',
+        PUT: 'PUT'
+    },
+
+    BODIES: {
+        multipart: 'Multipart form (file field)',
+        raw: 'Raw file as the body'
+    },
+
+    // Give up on a frame that stops answering mid-upload
+    TIMEOUT_MS: 60000,
+
+    /**
+     * Look up a frame by key
+     * @param {string} key - Key of FRAMES
+     * @returns {Object} - Frame
+     */
+    get(key) {
+        const frame = this.FRAMES[key];
+        if (!frame) {
+            throw new Error(`Unknown frame: ${key}`);
+        }
+        return frame;
+    },
+
+    /**
+     * Check a frame definition and fill in defaults
+     * @param {Object} frame - { name, url, method, body, field, headerName, headerValue }
+     * @returns {Object} - Normalized frame
+     */
+    validate(frame) {
+        const name = String(frame.name || '').trim();
+        if (!name) {
+            throw new Error('Frame needs a name');
+        }
+
+        const url = String(frame.url || '').trim();
+        let parsed;
+        try {
+            parsed = new URL(url.replace(/\{filename\}/g, 'image.bmp'));
+        } catch (error) {
+            throw new Error(`Frame URL is not a valid address: ${url}`);
+        }
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            throw new Error('Frame URL must start with http:// or https://');
+        }
+
+        const method = String(frame.method || 'POST').toUpperCase();
+        if (!this.METHODS[method]) {
+            throw new Error(`Unknown upload method: ${frame.method}`);
+        }
+
+        const body = frame.body || 'multipart';
+        if (!this.BODIES[body]) {
+            throw new Error(`Unknown upload body: ${frame.body}`);
+        }
+
+        const field = String(frame.field || 'image').trim();
+        const headerName = String(frame.headerName || '').trim();
+        if (headerName && !/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(headerName)) {
+            throw new Error(`Not a valid header name: ${headerName}`);
+        }
+
+        return {
+            name: name,
+            url: url,
+            method: method,
+            body: body,
+            field: field || 'image',
+            headerName: headerName,
+            headerValue: headerName ? String(frame.headerValue || '') : ''
+        };
+    },
+
+    /**
+     * Add or replace a frame and save the list
+     * @param {string} key - Frame key
+     * @param {Object} frame - Frame definition
+     * @returns {Object} - Stored frame
+     */
+    register(key, frame) {
+        this.FRAMES[key] = this.validate(frame);
+        this.save();
+        return this.FRAMES[key];
+    },
+
+    /**
+     * Remove a frame
+     * @param {string} key - Frame key
+     */
+    remove(key) {
+        if (this.FRAMES[key]) {
+            delete this.FRAMES[key];
+            this.save();
+        }
+    },
+
+    /**
+     * Pick an unused key for a frame name
+     * @param {string} name - Frame name
+     * @returns {string} - Frame key
+     */
+    keyFor(name) {
+        const base = 'frame-' + (String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'frame');
+        let key = base;
+        for (let n = 2; this.FRAMES[key]; n++) {
+            key = `${base}-${n}`;
+        }
+        return key;
+    },
+
+    /**
+     * Load saved frames from localStorage, skipping any that don't validate
+     */
+    load() {
+        if (typeof localStorage === 'undefined') return;
+
+        let saved;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '{}');
+        } catch (error) {
+            console.warn('Ignoring saved frames:', error);
+            return;
+        }
+        for (const [key, frame] of Object.entries(saved)) {
+            try {
+                this.FRAMES[key] = this.validate(frame);
+            } catch (error) {
+                console.warn(`Ignoring saved frame ${key}:`, error);
+            }
+        }
+    },
+
+    /**
+     * Write the frames to localStorage
+     */
+    save() {
+        if (typeof localStorage === 'undefined') return;
+
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.FRAMES));
+        } catch (error) {
+            console.warn('Could not save frames:', error);
+        }
+    },
+
+    /**
+     * Frame names for a select box
+     * @returns {Object} - key -> name
+     */
+    getOptions() {
+        return Object.fromEntries(Object.entries(this.FRAMES).map(([key, frame]) => [key, frame.name]));
+    },
+
+    cancelError() {
+        const error = new Error('Upload cancelled');
+        error.name = 'AbortError';
+        return error;
+    },
+
+    /**
+     * Upload a file to a frame
+     * @param {Object} frame - Frame definition
+     * @param {Blob} blob - File to send
+     * @param {string} filename - Filename, sent in the form and put in place of {filename} in the URL
+     * @param {Object} options - Options
+     * @param {Function} options.onProgress - Called with the uploaded fraction, 0-1 (optional)
+     * @param {AbortSignal} options.signal - Cancels the upload (optional)
+     * @returns {Promise<string>} - Response text; rejects with an AbortError when cancelled
+     */
+    send(frame, blob, filename, options = {}) {
+        const { onProgress = null, signal = null } = options;
+
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            xhr.open(frame.method, frame.url.replace(/\{filename\}/g, encodeURIComponent(filename)));
+            xhr.timeout = this.TIMEOUT_MS;
+
+            if (frame.headerName) {
+                xhr.setRequestHeader(frame.headerName, frame.headerValue);
+            }
+
+            // fetch() can't report upload progress, XMLHttpRequest can
+            if (onProgress) {
+                xhr.upload.addEventListener('progress', (e) => {
+                    if (e.lengthComputable) onProgress(e.loaded / e.total);
+                });
+            }
+
+            xhr.addEventListener('load', () => {
+                if (xhr.status >= 200 && xhr.status < 300) {
+                    resolve(xhr.responseText);
+                    return;
+                }
+                const detail = (xhr.responseText || '').trim().slice(0, 200);
+                reject(new Error(`${frame.name} answered ${xhr.status} ${xhr.statusText}${detail ? `: ${detail}` : ''}`));
+            });
+            xhr.addEventListener('error', () => {
+                reject(new Error(`Could not reach ${frame.name}. Check the address, and that the frame allows cross-origin uploads`));
+            });
+            xhr.addEventListener('timeout', () => {
+                reject(new Error(`${frame.name} did not answer within ${this.TIMEOUT_MS / 1000} s`));
+            });
+            xhr.addEventListener('abort', () => reject(this.cancelError()));
+
+            if (signal) {
+                if (signal.aborted) {
+                    reject(this.cancelError());
+                    return;
+                }
+                signal.addEventListener('abort', () => xhr.abort(), { once: true });
+            }
+
+            if (frame.body === 'raw') {
+                xhr.setRequestHeader('Content-Type', blob.type || 'application/octet-stream');
+                xhr.send(blob);
+            } else {
+                const form = new FormData();
+                form.append(frame.field, blob, filename);
+                xhr.send(form);
+            }
+        });
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Frames;
+}
@@ -0,0 +1,175 @@
+/**
+ * Image Store
+ * Keeps the image queue in IndexedDB so a reload or a closed tab doesn't
+ * lose it: one record per card with the source file(s), the card's
+ * settings and its converted output, plus the grid order.
+ *
+ * Records are { id, file, exif, settings, crop, adjustments, overlays,
+ * slide, collage, output } where file is a File (an array of them for a
+ * collage) and output is null or { blob, indices, width, height,
+ * orientation, filename }. The palette of an output is looked up again
+ * from settings.palette when it is restored.
+ *
+ * Check isAvailable() first. Methods reject when the database can't be
+ * opened (some private windows refuse it) or the quota is used up.
+ */
+
+const ImageStore = {
+    DB_NAME: 'eink-converter',
+    DB_VERSION: 1,
+
+    // Object stores: card records by id, and the grid order
+    IMAGES: 'images',
+    META: 'meta',
+    ORDER_KEY: 'order',
+
+    // Promise of the open database, or null before the first use
+    db: null,
+
+    /**
+     * Whether the browser offers IndexedDB at all
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    },
+
+    // Open the database once, creating the object stores on first use
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.IMAGES)) db.createObjectStore(this.IMAGES, { keyPath: 'id' });
+                    if (!db.objectStoreNames.contains(this.META)) db.createObjectStore(this.META);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('The image store is open in an older version of this page'));
+            });
+            // Let a later call try again
+            this.db.catch(() => { this.db = null; });
+        }
+        return this.db;
+    },
+
+    /**
+     * Run requests in one transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} fn - (images, meta) => request or value; object stores of the transaction
+     * @returns {Promise<*>} - Result of the request fn returned, once the transaction completes
+     */
+    async transaction(mode, fn) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction([this.IMAGES, this.META], mode);
+            const request = fn(tx.objectStore(this.IMAGES), tx.objectStore(this.META));
+            tx.oncomplete = () => resolve(request && 'result' in request ? request.result : request);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Image store transaction aborted'));
+        });
+    },
+
+    /**
+     * Add or replace a card's record
+     * @param {Object} record - See the module comment
+     * @returns {Promise<number>} - Approximate size of the record in bytes
+     */
+    async put(record) {
+        await this.transaction('readwrite', images => images.put(record));
+        return this.recordSize(record);
+    },
+
+    /**
+     * Delete a card's record
+     * @param {string} id - Card id
+     */
+    async delete(id) {
+        await this.transaction('readwrite', images => images.delete(id));
+    },
+
+    /**
+     * Delete every record and the grid order
+     */
+    async clear() {
+        await this.transaction('readwrite', (images, meta) => {
+            images.clear();
+            meta.clear();
+        });
+    },
+
+    /**
+     * Keep the grid order
+     * @param {Array} ids - Card ids in grid order
+     */
+    async saveOrder(ids) {
+        await this.transaction('readwrite', (images, meta) => meta.put(ids, this.ORDER_KEY));
+    },
+
+    /**
+     * All records, in grid order (records missing from the order go last)
+     * @returns {Promise<Array>}
+     */
+    async loadAll() {
+        let records, order;
+        await this.transaction('readonly', (images, meta) => {
+            const all = images.getAll();
+            const saved = meta.get(this.ORDER_KEY);
+            all.onsuccess = () => { records = all.result; };
+            saved.onsuccess = () => { order = saved.result || []; };
+        });
+
+        const position = new Map(order.map((id, i) => [id, i]));
+        const rank = record => position.has(record.id) ? position.get(record.id) : Infinity;
+        return records.sort((a, b) => rank(a) - rank(b));
+    },
+
+    /**
+     * Approximate bytes a record takes: files, output and palette indices,
+     * plus the settings as JSON
+     * @param {Object} record - See the module comment
+     * @returns {number}
+     */
+    recordSize(record) {
+        const { file, output, ...rest } = record;
+        let size = [].concat(file).reduce((sum, f) => sum + f.size, 0);
+        if (output) size += output.blob.size + output.indices.byteLength;
+        return size + JSON.stringify(rest).length;
+    },
+
+    /**
+     * What the browser reports for the whole site
+     * @returns {Promise<Object|null>} - { usage, quota } in bytes, or null when unknown
+     */
+    async estimate() {
+        if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) return null;
+        try {
+            const { usage, quota } = await navigator.storage.estimate();
+            return { usage, quota };
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Format a byte count for display
+     * @param {number} bytes
+     * @returns {string} - e.g. '3.2 MB'
+     */
+    formatSize(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageStore;
+}
@@ -0,0 +1,230 @@
+/**
+ * Image Adjustments
+ * Tone and detail corrections applied between resizing and dithering.
+ * A 7-color panel renders untouched photos muddy; a little extra
+ * saturation and contrast before dithering goes a long way.
+ *
+ * Order: levels (or auto-levels), gamma, brightness/contrast, S-curve,
+ * saturation, then unsharp mask.
+ */
+
+const Adjustments = {
+    /**
+     * Slider controls: range, step and neutral value
+     */
+    CONTROLS: {
+        brightness: { name: 'Brightness', min: -100, max: 100, step: 1, neutral: 0 },
+        contrast: { name: 'Contrast', min: -100, max: 100, step: 1, neutral: 0 },
+        saturation: { name: 'Saturation', min: -100, max: 100, step: 1, neutral: 0 },
+        gamma: { name: 'Gamma', min: 0.2, max: 3, step: 0.05, neutral: 1 },
+        curve: { name: 'S-curve', min: -100, max: 100, step: 1, neutral: 0 },
+        blackPoint: { name: 'Black point', min: 0, max: 254, step: 1, neutral: 0 },
+        whitePoint: { name: 'White point', min: 1, max: 255, step: 1, neutral: 255 },
+        sharpen: { name: 'Sharpen', min: 0, max: 300, step: 10, neutral: 0 },
+        sharpenRadius: { name: 'Sharpen radius', min: 0.5, max: 5, step: 0.5, neutral: 1 }
+    },
+
+    // Share of the darkest and brightest pixels auto-levels clips
+    AUTO_LEVELS_CLIP: 0.005,
+
+    /**
+     * Adjustments that leave the image unchanged
+     * @returns {Object} - Neutral value for every control, autoLevels off
+     */
+    defaults() {
+        const adjustments = { autoLevels: false };
+        for (const [key, control] of Object.entries(this.CONTROLS)) {
+            adjustments[key] = control.neutral;
+        }
+        return adjustments;
+    },
+
+    /**
+     * Fill in neutral values and check ranges
+     * @param {Object} adjustments - Partial adjustments
+     * @returns {Object} - Complete adjustments
+     */
+    normalize(adjustments = {}) {
+        const normalized = this.defaults();
+        for (const [key, control] of Object.entries(this.CONTROLS)) {
+            if (adjustments[key] === undefined) continue;
+
+            const value = Number(adjustments[key]);
+            if (!(value >= control.min && value <= control.max)) {
+                throw new Error(`${control.name} must be between ${control.min} and ${control.max}: ${adjustments[key]}`);
+            }
+            normalized[key] = value;
+        }
+        if (normalized.whitePoint <= normalized.blackPoint) {
+            throw new Error('White point must be above the black point');
+        }
+        normalized.autoLevels = adjustments.autoLevels === true;
+        return normalized;
+    },
+
+    /**
+     * Whether the adjustments change anything
+     * @param {Object} adjustments - Complete adjustments (see normalize)
+     * @returns {boolean}
+     */
+    isNeutral(adjustments) {
+        if (adjustments.autoLevels) return false;
+        return Object.entries(this.CONTROLS).every(([key, control]) =>
+            key === 'sharpenRadius' || adjustments[key] === control.neutral
+        );
+    },
+
+    /**
+     * Black and white points that clip a small share of pixels by luminance
+     * @param {ImageData} imageData - Image to measure
+     * @returns {Object} - { blackPoint, whitePoint }
+     */
+    findLevels(imageData) {
+        const data = imageData.data;
+        const histogram = new Uint32Array(256);
+        for (let i = 0; i < data.length; i += 4) {
+            histogram[Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2])]++;
+        }
+
+        const clip = (data.length / 4) * this.AUTO_LEVELS_CLIP;
+        let blackPoint = 0;
+        for (let sum = 0; blackPoint < 255 && (sum += histogram[blackPoint]) <= clip; blackPoint++);
+        let whitePoint = 255;
+        for (let sum = 0; whitePoint > 0 && (sum += histogram[whitePoint]) <= clip; whitePoint--);
+
+        // Flat images have nothing to stretch
+        if (whitePoint <= blackPoint) {
+            return { blackPoint: 0, whitePoint: 255 };
+        }
+        return { blackPoint, whitePoint };
+    },
+
+    /**
+     * Lookup table for the per-channel tone corrections
+     * @param {Object} adjustments - Complete adjustments with the levels to use
+     * @returns {Uint8ClampedArray} - 256 output values
+     */
+    buildToneCurve(adjustments) {
+        const { blackPoint, whitePoint, gamma, brightness, contrast, curve } = adjustments;
+
+        // Slope around mid-gray: +100 triples it, -100 cuts it to a third
+        const contrastFactor = Math.pow(3, contrast / 100);
+        const s = curve / 100;
+
+        const lut = new Uint8ClampedArray(256);
+        for (let v = 0; v < 256; v++) {
+            let x = Math.min(1, Math.max(0, (v - blackPoint) / (whitePoint - blackPoint)));
+            x = Math.pow(x, 1 / gamma);
+            x = (x - 0.5) * contrastFactor + 0.5 + brightness / 200;
+            x = Math.min(1, Math.max(0, x));
+
+            // Blend towards smoothstep (more midtone contrast) or its inverse (less)
+            if (s > 0) {
+                x += s * (x * x * (3 - 2 * x) - x);
+            } else if (s < 0) {
+                x += -s * (0.5 - Math.sin(Math.asin(1 - 2 * x) / 3) - x);
+            }
+
+            lut[v] = Math.round(x * 255);
+        }
+        return lut;
+    },
+
+    /**
+     * Blur the RGB channels with three box passes (close to a Gaussian)
+     * @param {Uint8ClampedArray} data - RGBA pixels
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} radius - Blur radius in pixels
+     * @returns {Float32Array} - Blurred RGB values, three per pixel
+     */
+    blur(data, width, height, radius) {
+        const pixels = width * height;
+        let src = new Float32Array(pixels * 3);
+        let dst = new Float32Array(pixels * 3);
+        for (let i = 0; i < pixels; i++) {
+            src[i * 3] = data[i * 4];
+            src[i * 3 + 1] = data[i * 4 + 1];
+            src[i * 3 + 2] = data[i * 4 + 2];
+        }
+
+        // Three box passes of this half-width have roughly the variance of the Gaussian
+        const r = Math.max(1, Math.round(Math.sqrt(radius * radius + 0.25) - 0.5));
+        const size = 2 * r + 1;
+
+        const pass = (length, lines, step, lineStep) => {
+            for (let line = 0; line < lines; line++) {
+                const base = line * lineStep;
+                for (let c = 0; c < 3; c++) {
+                    const at = i => base + Math.min(length - 1, Math.max(0, i)) * step + c;
+                    let sum = 0;
+                    for (let i = -r; i <= r; i++) sum += src[at(i)];
+                    for (let i = 0; i < length; i++) {
+                        dst[base + i * step + c] = sum / size;
+                        sum += src[at(i + r + 1)] - src[at(i - r)];
+                    }
+                }
+            }
+            [src, dst] = [dst, src];
+        };
+
+        for (let n = 0; n < 3; n++) {
+            pass(width, height, 3, width * 3);
+            pass(height, width, width * 3, 3);
+        }
+        return src;
+    },
+
+    /**
+     * Apply adjustments to image data in place
+     * @param {ImageData} imageData - Resized image data, modified in place
+     * @param {Object} adjustments - Adjustments (see CONTROLS; missing values are neutral)
+     * @param {Object} options - Options
+     * @param {number} options.scale - Size relative to the full output, scales the sharpen radius (default: 1)
+     * @returns {ImageData} - The same image data
+     */
+    apply(imageData, adjustments, options = {}) {
+        const adj = this.normalize(adjustments);
+        if (this.isNeutral(adj)) return imageData;
+
+        const data = imageData.data;
+        const levels = adj.autoLevels ? this.findLevels(imageData) : adj;
+        const lut = this.buildToneCurve({ ...adj, blackPoint: levels.blackPoint, whitePoint: levels.whitePoint });
+        const saturation = 1 + adj.saturation / 100;
+
+        for (let i = 0; i < data.length; i += 4) {
+            let r = lut[data[i]];
+            let g = lut[data[i + 1]];
+            let b = lut[data[i + 2]];
+
+            if (saturation !== 1) {
+                const luma = 0.299 * r + 0.587 * g + 0.114 * b;
+                r = luma + (r - luma) * saturation;
+                g = luma + (g - luma) * saturation;
+                b = luma + (b - luma) * saturation;
+            }
+
+            data[i] = r;
+            data[i + 1] = g;
+            data[i + 2] = b;
+        }
+
+        if (adj.sharpen > 0) {
+            const amount = adj.sharpen / 100;
+            const radius = adj.sharpenRadius * (options.scale || 1);
+            const blurred = this.blur(data, imageData.width, imageData.height, radius);
+            for (let p = 0, i = 0; i < data.length; i += 4, p += 3) {
+                data[i] += amount * (data[i] - blurred[p]);
+                data[i + 1] += amount * (data[i + 1] - blurred[p + 1]);
+                data[i + 2] += amount * (data[i + 2] - blurred[p + 2]);
+            }
+        }
+
+        return imageData;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Adjustments;
+}
@@ -0,0 +1,207 @@
+/**
+ * Color Space Helpers
+ * sRGB <-> linear light, CIELAB, and the color distance metrics used to
+ * match pixels against the palette.
+ */
+
+const ColorSpace = {
+    /**
+     * Color distance metrics
+     * transform maps an sRGB color (0-255 per channel) into the space the
+     * distance is measured in; distance compares two transformed colors.
+     * Distances only need to order correctly, so squared values are fine.
+     */
+    METRICS: {
+        'rgb': {
+            name: 'sRGB (Euclidean)',
+            transform: (r, g, b) => [r, g, b],
+            distance: (c1, c2) => ColorSpace.squaredDistance(c1, c2)
+        },
+        'linear-rgb': {
+            name: 'Linear RGB',
+            transform: (r, g, b) => [
+                ColorSpace.srgbToLinear(r) * 255,
+                ColorSpace.srgbToLinear(g) * 255,
+                ColorSpace.srgbToLinear(b) * 255
+            ],
+            distance: (c1, c2) => ColorSpace.squaredDistance(c1, c2)
+        },
+        'redmean': {
+            name: 'Redmean',
+            transform: (r, g, b) => [r, g, b],
+            distance: (c1, c2) => ColorSpace.redmeanDistance(c1, c2)
+        },
+        'cie76': {
+            name: 'CIELAB ΔE76',
+            transform: (r, g, b) => ColorSpace.rgbToLab(r, g, b),
+            distance: (c1, c2) => ColorSpace.squaredDistance(c1, c2)
+        },
+        'ciede2000': {
+            name: 'CIEDE2000',
+            transform: (r, g, b) => ColorSpace.rgbToLab(r, g, b),
+            distance: (c1, c2) => ColorSpace.deltaE2000(c1, c2)
+        }
+    },
+
+    /**
+     * Convert an sRGB channel to linear light
+     * @param {number} value - sRGB channel, 0-255
+     * @returns {number} - Linear value, 0-1
+     */
+    srgbToLinear(value) {
+        const c = value / 255;
+        return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    },
+
+    /**
+     * Convert a linear light channel back to sRGB
+     * @param {number} value - Linear value, 0-1
+     * @returns {number} - sRGB channel, 0-255 (not rounded)
+     */
+    linearToSrgb(value) {
+        const c = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+        return Math.max(0, Math.min(255, c * 255));
+    },
+
+    /**
+     * Convert an sRGB color to CIELAB (D65 white point)
+     * @param {number} r - Red, 0-255
+     * @param {number} g - Green, 0-255
+     * @param {number} b - Blue, 0-255
+     * @returns {Array} - [L, a, b]
+     */
+    rgbToLab(r, g, b) {
+        return this.rgbToLabInto(r, g, b, [0, 0, 0]);
+    },
+
+    /**
+     * rgbToLab writing into an existing array, for per-pixel use without allocation
+     * @param {number} r - Red, 0-255
+     * @param {number} g - Green, 0-255
+     * @param {number} b - Blue, 0-255
+     * @param {Array|Float64Array} out - Receives [L, a, b]
+     * @returns {Array|Float64Array} - out
+     */
+    rgbToLabInto(r, g, b, out) {
+        const lr = this.srgbToLinear(r);
+        const lg = this.srgbToLinear(g);
+        const lb = this.srgbToLinear(b);
+
+        // Linear sRGB -> XYZ, normalized to the D65 white
+        const x = (0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / 0.95047;
+        const y = 0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb;
+        const z = (0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / 1.08883;
+
+        const f = t => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+        const fx = f(x);
+        const fy = f(y);
+        const fz = f(z);
+
+        out[0] = 116 * fy - 16;
+        out[1] = 500 * (fx - fy);
+        out[2] = 200 * (fy - fz);
+        return out;
+    },
+
+    /**
+     * Squared Euclidean distance between two 3-component colors
+     */
+    squaredDistance(c1, c2) {
+        const d0 = c1[0] - c2[0];
+        const d1 = c1[1] - c2[1];
+        const d2 = c1[2] - c2[2];
+        return d0 * d0 + d1 * d1 + d2 * d2;
+    },
+
+    /**
+     * "Redmean" weighted RGB distance (squared)
+     * Cheap approximation of perceived difference: weights shift between
+     * red and blue depending on how red the two colors are.
+     */
+    redmeanDistance(c1, c2) {
+        const rMean = (c1[0] + c2[0]) / 2;
+        const dr = c1[0] - c2[0];
+        const dg = c1[1] - c2[1];
+        const db = c1[2] - c2[2];
+        return (2 + rMean / 256) * dr * dr + 4 * dg * dg + (2 + (255 - rMean) / 256) * db * db;
+    },
+
+    /**
+     * CIEDE2000 color difference between two CIELAB colors
+     * Follows Sharma, Wu & Dalal (2005) with kL = kC = kH = 1.
+     * @param {Array} lab1 - [L, a, b]
+     * @param {Array} lab2 - [L, a, b]
+     * @returns {number} - ΔE00
+     */
+    deltaE2000(lab1, lab2) {
+        const [L1, a1, b1] = lab1;
+        const [L2, a2, b2] = lab2;
+        const rad = Math.PI / 180;
+
+        const C1 = Math.hypot(a1, b1);
+        const C2 = Math.hypot(a2, b2);
+        const cMean7 = Math.pow((C1 + C2) / 2, 7);
+        const G = 0.5 * (1 - Math.sqrt(cMean7 / (cMean7 + Math.pow(25, 7))));
+
+        const a1p = a1 * (1 + G);
+        const a2p = a2 * (1 + G);
+        const C1p = Math.hypot(a1p, b1);
+        const C2p = Math.hypot(a2p, b2);
+
+        const hue = (b, a) => {
+            if (a === 0 && b === 0) return 0;
+            const h = Math.atan2(b, a) / rad;
+            return h < 0 ? h + 360 : h;
+        };
+        const h1p = hue(b1, a1p);
+        const h2p = hue(b2, a2p);
+
+        const dLp = L2 - L1;
+        const dCp = C2p - C1p;
+
+        let dhp = 0;
+        if (C1p * C2p !== 0) {
+            dhp = h2p - h1p;
+            if (dhp > 180) dhp -= 360;
+            else if (dhp < -180) dhp += 360;
+        }
+        const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(dhp / 2 * rad);
+
+        const Lp = (L1 + L2) / 2;
+        const Cp = (C1p + C2p) / 2;
+
+        let hp = h1p + h2p;
+        if (C1p * C2p !== 0) {
+            if (Math.abs(h1p - h2p) > 180) {
+                hp += h1p + h2p < 360 ? 360 : -360;
+            }
+            hp /= 2;
+        }
+
+        const T = 1
+            - 0.17 * Math.cos((hp - 30) * rad)
+            + 0.24 * Math.cos(2 * hp * rad)
+            + 0.32 * Math.cos((3 * hp + 6) * rad)
+            - 0.20 * Math.cos((4 * hp - 63) * rad);
+
+        const dTheta = 30 * Math.exp(-Math.pow((hp - 275) / 25, 2));
+        const Cp7 = Math.pow(Cp, 7);
+        const Rc = 2 * Math.sqrt(Cp7 / (Cp7 + Math.pow(25, 7)));
+        const Lp50 = (Lp - 50) * (Lp - 50);
+        const Sl = 1 + 0.015 * Lp50 / Math.sqrt(20 + Lp50);
+        const Sc = 1 + 0.045 * Cp;
+        const Sh = 1 + 0.015 * Cp * T;
+        const Rt = -Math.sin(2 * dTheta * rad) * Rc;
+
+        const tl = dLp / Sl;
+        const tc = dCp / Sc;
+        const th = dHp / Sh;
+
+        return Math.sqrt(tl * tl + tc * tc + th * th + Rt * tc * th);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ColorSpace;
+}
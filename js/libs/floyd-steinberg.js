@@ -1,7 +1,9 @@
 /**
- * Floyd-Steinberg Dithering Algorithm
- * Adapted for 7-color e-ink displays
+ * Error Diffusion Dithering
+ * Floyd-Steinberg and related kernels, adapted for 7-color e-ink displays
  * Based on: https://github.com/MortimerWittgenstein/FloydSteinbergAlgorithm
+ * Requires ColorSpace for perceptual color matching and linear light,
+ * and PaletteLUT for the nearest-color search.
  */
 
 const FloydSteinberg = {
@@ -19,6 +21,83 @@ const FloydSteinberg = {
         [255, 128, 0]    // Orange
     ],
 
+    /**
+     * Error diffusion kernels
+     * Each entry is [dx, dy, weight]; weights are divided by the divisor.
+     * dx is mirrored on right-to-left rows when scanning serpentine.
+     */
+    KERNELS: {
+        'floyd-steinberg': {
+            name: 'Floyd-Steinberg',
+            divisor: 16,
+            offsets: [
+                [1, 0, 7],
+                [-1, 1, 3], [0, 1, 5], [1, 1, 1]
+            ]
+        },
+        'atkinson': {
+            // Only 6/8 of the error is passed on, which keeps highlights clean
+            name: 'Atkinson',
+            divisor: 8,
+            offsets: [
+                [1, 0, 1], [2, 0, 1],
+                [-1, 1, 1], [0, 1, 1], [1, 1, 1],
+                [0, 2, 1]
+            ]
+        },
+        'jarvis-judice-ninke': {
+            name: 'Jarvis-Judice-Ninke',
+            divisor: 48,
+            offsets: [
+                [1, 0, 7], [2, 0, 5],
+                [-2, 1, 3], [-1, 1, 5], [0, 1, 7], [1, 1, 5], [2, 1, 3],
+                [-2, 2, 1], [-1, 2, 3], [0, 2, 5], [1, 2, 3], [2, 2, 1]
+            ]
+        },
+        'stucki': {
+            name: 'Stucki',
+            divisor: 42,
+            offsets: [
+                [1, 0, 8], [2, 0, 4],
+                [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2],
+                [-2, 2, 1], [-1, 2, 2], [0, 2, 4], [1, 2, 2], [2, 2, 1]
+            ]
+        },
+        'burkes': {
+            name: 'Burkes',
+            divisor: 32,
+            offsets: [
+                [1, 0, 8], [2, 0, 4],
+                [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2]
+            ]
+        },
+        'sierra': {
+            name: 'Sierra',
+            divisor: 32,
+            offsets: [
+                [1, 0, 5], [2, 0, 3],
+                [-2, 1, 2], [-1, 1, 4], [0, 1, 5], [1, 1, 4], [2, 1, 2],
+                [-1, 2, 2], [0, 2, 3], [1, 2, 2]
+            ]
+        },
+        'sierra-two-row': {
+            name: 'Sierra Two-Row',
+            divisor: 16,
+            offsets: [
+                [1, 0, 4], [2, 0, 3],
+                [-2, 1, 1], [-1, 1, 2], [0, 1, 3], [1, 1, 2], [2, 1, 1]
+            ]
+        },
+        'sierra-lite': {
+            name: 'Sierra Lite',
+            divisor: 4,
+            offsets: [
+                [1, 0, 2],
+                [-1, 1, 1], [0, 1, 1]
+            ]
+        }
+    },
+
     /**
      * Calculate squared Euclidean distance between two RGB colors
      */
@@ -29,18 +108,104 @@ const FloydSteinberg = {
         return dr * dr + dg * dg + db * db;
     },
 
+    // Palettes converted into each metric's color space, keyed by palette
+    metricPalettes: new WeakMap(),
+
+    /**
+     * Get the palette converted into a metric's color space
+     * @param {Array} palette - Array of RGB color arrays
+     * @param {string} metric - Key of ColorSpace.METRICS
+     * @returns {Array} - Converted colors, same order as palette
+     */
+    getMetricPalette(palette, metric) {
+        let byMetric = this.metricPalettes.get(palette);
+        if (!byMetric) {
+            byMetric = {};
+            this.metricPalettes.set(palette, byMetric);
+        }
+
+        if (!byMetric[metric]) {
+            const info = ColorSpace.METRICS[metric];
+            if (!info) {
+                throw new Error(`Unknown color metric: ${metric}`);
+            }
+            byMetric[metric] = palette.map(color => info.transform(color[0], color[1], color[2]));
+        }
+
+        return byMetric[metric];
+    },
+
     /**
      * Find the nearest color in the palette
+     * @param {number} r - Red, 0-255
+     * @param {number} g - Green, 0-255
+     * @param {number} b - Blue, 0-255
+     * @param {Array} palette - Array of RGB color arrays
+     * @param {string} metric - Key of ColorSpace.METRICS (default: 'rgb')
+     * @returns {Array} - Nearest palette color
+     */
+    findNearestColor(r, g, b, palette, metric = 'rgb') {
+        return palette[this.findNearestIndex(r, g, b, palette, metric)];
+    },
+
+    /**
+     * Find the index of the nearest color in the palette
+     * @param {number} r - Red, 0-255
+     * @param {number} g - Green, 0-255
+     * @param {number} b - Blue, 0-255
+     * @param {Array} palette - Array of RGB color arrays
+     * @param {string} metric - Key of ColorSpace.METRICS (default: 'rgb')
+     * @returns {number} - Palette index
+     */
+    findNearestIndex(r, g, b, palette, metric = 'rgb') {
+        return PaletteLUT.get(palette, metric).nearest(r, g, b);
+    },
+
+    /**
+     * Find the index of the nearest color by comparing every palette entry.
+     * Reference for PaletteLUT, which must give the same answers.
+     * @param {number} r - Red, 0-255
+     * @param {number} g - Green, 0-255
+     * @param {number} b - Blue, 0-255
+     * @param {Array} palette - Array of RGB color arrays
+     * @param {string} metric - Key of ColorSpace.METRICS (default: 'rgb')
+     * @returns {number} - Palette index
+     */
+    findNearestIndexExhaustive(r, g, b, palette, metric = 'rgb') {
+        if (metric !== 'rgb') {
+            return this.findNearestIndexByMetric(r, g, b, palette, metric);
+        }
+
+        let minDist = Infinity;
+        let nearest = 0;
+
+        for (let i = 0; i < palette.length; i++) {
+            const dist = this.colorDistance([r, g, b], palette[i]);
+            if (dist < minDist) {
+                minDist = dist;
+                nearest = i;
+            }
+        }
+
+        return nearest;
+    },
+
+    /**
+     * Find the nearest palette index using a perceptual or weighted metric
      */
-    findNearestColor(r, g, b, palette) {
+    findNearestIndexByMetric(r, g, b, palette, metric) {
+        const info = ColorSpace.METRICS[metric];
+        const converted = this.getMetricPalette(palette, metric);
+        const color = info.transform(r, g, b);
+
         let minDist = Infinity;
-        let nearest = palette[0];
+        let nearest = 0;
 
-        for (const color of palette) {
-            const dist = this.colorDistance([r, g, b], color);
+        for (let i = 0; i < converted.length; i++) {
+            const dist = info.distance(color, converted[i]);
             if (dist < minDist) {
                 minDist = dist;
-                nearest = color;
+                nearest = i;
             }
         }
 
@@ -48,92 +213,143 @@ const FloydSteinberg = {
     },
 
     /**
-     * Apply Floyd-Steinberg dithering to image data
+     * Apply error diffusion dithering to image data
      * @param {ImageData} imageData - Canvas ImageData object
      * @param {Array} palette - Array of RGB color arrays (defaults to EINK_PALETTE)
      * @param {boolean} dither - Whether to apply dithering (true) or just quantize (false)
+     * @param {Object} options - Diffusion options
+     * @param {string} options.kernel - Key of KERNELS (default: 'floyd-steinberg')
+     * @param {boolean} options.serpentine - Alternate scan direction every row (default: false)
+     * @param {number} options.attenuation - Fraction of the error to pass on, 0-1 (default: 1)
+     * @param {string} options.metric - Key of ColorSpace.METRICS used for matching (default: 'rgb')
+     * @param {boolean} options.linearLight - Diffuse error in linear light instead of sRGB (default: false)
+     * @param {Array} options.outputPalette - Colors written to the output, same order as palette (default: palette)
+     * @param {Uint8Array} options.indices - Receives the chosen palette index of every pixel
+     * @param {Int16Array} options.fixed - Palette index forced per pixel, -1 where free (e.g. overlay text).
+     *                                     Fixed pixels neither pass on nor take up error.
+     * @param {Function} options.onProgress - Called with the finished fraction every 32 rows
      * @returns {ImageData} - Modified ImageData
      */
-    dither(imageData, palette = null, dither = true) {
+    dither(imageData, palette = null, dither = true, options = {}) {
         palette = palette || this.EINK_PALETTE;
 
+        const kernel = this.KERNELS[options.kernel || 'floyd-steinberg'];
+        if (!kernel) {
+            throw new Error(`Unknown dithering kernel: ${options.kernel}`);
+        }
+        const serpentine = options.serpentine === true;
+        const attenuation = options.attenuation === undefined ? 1 : options.attenuation;
+        const metric = options.metric || 'rgb';
+        const linearLight = options.linearLight === true;
+        const outputPalette = options.outputPalette || palette;
+        const indices = options.indices || null;
+        const fixed = options.fixed || null;
+        const onProgress = options.onProgress || null;
+        const lut = PaletteLUT.get(palette, metric);
+
         const width = imageData.width;
         const height = imageData.height;
         const data = imageData.data;
 
+        // Flatten the kernel so the inner loop doesn't touch nested arrays
+        const taps = kernel.offsets.length;
+        const tapX = new Int32Array(taps);
+        const tapY = new Int32Array(taps);
+        const tapWeight = new Float32Array(taps);
+        kernel.offsets.forEach(([dx, dy, weight], i) => {
+            tapX[i] = dx;
+            tapY[i] = dy;
+            tapWeight[i] = weight / kernel.divisor * attenuation;
+        });
+
         // Create a floating point copy for error diffusion
         const pixels = new Float32Array(width * height * 3);
 
+        // In linear light mode the working values are linear intensities
+        // scaled to 0-255, so error is measured as emitted light
+        const toWorking = linearLight
+            ? value => ColorSpace.srgbToLinear(value) * 255
+            : value => value;
+        const toSrgb = linearLight
+            ? value => ColorSpace.linearToSrgb(value / 255)
+            : value => value;
+
+        // Palette in working values and output colors, flat for the inner loop
+        const workingColors = new Float64Array(palette.length * 3);
+        const outputColors = new Float64Array(palette.length * 3);
+        palette.forEach((color, i) => {
+            for (let c = 0; c < 3; c++) {
+                workingColors[i * 3 + c] = toWorking(color[c]);
+                outputColors[i * 3 + c] = outputPalette[i][c];
+            }
+        });
+
         // Copy original RGB data
         for (let i = 0; i < width * height; i++) {
-            pixels[i * 3] = data[i * 4];         // R
-            pixels[i * 3 + 1] = data[i * 4 + 1]; // G
-            pixels[i * 3 + 2] = data[i * 4 + 2]; // B
+            pixels[i * 3] = toWorking(data[i * 4]);         // R
+            pixels[i * 3 + 1] = toWorking(data[i * 4 + 1]); // G
+            pixels[i * 3 + 2] = toWorking(data[i * 4 + 2]); // B
         }
 
         // Process each pixel
         for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
+            // Serpentine scanning runs odd rows right to left
+            const reverse = serpentine && (y & 1) === 1;
+            const direction = reverse ? -1 : 1;
+
+            for (let i = 0; i < width; i++) {
+                const x = reverse ? width - 1 - i : i;
                 const idx = (y * width + x) * 3;
 
+                // Fixed pixels are written as given; error that reached them is dropped
+                const fixedIndex = fixed ? fixed[y * width + x] : -1;
+                if (fixedIndex >= 0) {
+                    const outIdx = (y * width + x) * 4;
+                    data[outIdx] = outputColors[fixedIndex * 3];
+                    data[outIdx + 1] = outputColors[fixedIndex * 3 + 1];
+                    data[outIdx + 2] = outputColors[fixedIndex * 3 + 2];
+                    if (indices) indices[y * width + x] = fixedIndex;
+                    continue;
+                }
+
                 // Get current pixel color (clamped)
                 const oldR = Math.max(0, Math.min(255, pixels[idx]));
                 const oldG = Math.max(0, Math.min(255, pixels[idx + 1]));
                 const oldB = Math.max(0, Math.min(255, pixels[idx + 2]));
 
                 // Find nearest palette color
-                const newColor = this.findNearestColor(oldR, oldG, oldB, palette);
-                const newR = newColor[0];
-                const newG = newColor[1];
-                const newB = newColor[2];
+                const index = lut.nearest(toSrgb(oldR), toSrgb(oldG), toSrgb(oldB));
 
                 // Set the new color in the output
                 const outIdx = (y * width + x) * 4;
-                data[outIdx] = newR;
-                data[outIdx + 1] = newG;
-                data[outIdx + 2] = newB;
+                data[outIdx] = outputColors[index * 3];
+                data[outIdx + 1] = outputColors[index * 3 + 1];
+                data[outIdx + 2] = outputColors[index * 3 + 2];
                 // Alpha stays unchanged
+                if (indices) indices[y * width + x] = index;
 
                 if (dither) {
                     // Calculate quantization error
-                    const errR = oldR - newR;
-                    const errG = oldG - newG;
-                    const errB = oldB - newB;
-
-                    // Distribute error to neighboring pixels (Floyd-Steinberg coefficients)
-                    // Right pixel: 7/16
-                    if (x + 1 < width) {
-                        const rightIdx = idx + 3;
-                        pixels[rightIdx] += errR * 7 / 16;
-                        pixels[rightIdx + 1] += errG * 7 / 16;
-                        pixels[rightIdx + 2] += errB * 7 / 16;
-                    }
-
-                    // Bottom-left pixel: 3/16
-                    if (x > 0 && y + 1 < height) {
-                        const blIdx = ((y + 1) * width + (x - 1)) * 3;
-                        pixels[blIdx] += errR * 3 / 16;
-                        pixels[blIdx + 1] += errG * 3 / 16;
-                        pixels[blIdx + 2] += errB * 3 / 16;
-                    }
+                    const errR = oldR - workingColors[index * 3];
+                    const errG = oldG - workingColors[index * 3 + 1];
+                    const errB = oldB - workingColors[index * 3 + 2];
 
-                    // Bottom pixel: 5/16
-                    if (y + 1 < height) {
-                        const bottomIdx = ((y + 1) * width + x) * 3;
-                        pixels[bottomIdx] += errR * 5 / 16;
-                        pixels[bottomIdx + 1] += errG * 5 / 16;
-                        pixels[bottomIdx + 2] += errB * 5 / 16;
-                    }
+                    // Distribute error to neighboring pixels using the kernel weights
+                    for (let t = 0; t < taps; t++) {
+                        const nx = x + tapX[t] * direction;
+                        const ny = y + tapY[t];
+                        if (nx < 0 || nx >= width || ny >= height) continue;
 
-                    // Bottom-right pixel: 1/16
-                    if (x + 1 < width && y + 1 < height) {
-                        const brIdx = ((y + 1) * width + (x + 1)) * 3;
-                        pixels[brIdx] += errR * 1 / 16;
-                        pixels[brIdx + 1] += errG * 1 / 16;
-                        pixels[brIdx + 2] += errB * 1 / 16;
+                        const nIdx = (ny * width + nx) * 3;
+                        const weight = tapWeight[t];
+                        pixels[nIdx] += errR * weight;
+                        pixels[nIdx + 1] += errG * weight;
+                        pixels[nIdx + 2] += errB * weight;
                     }
                 }
             }
+
+            if (onProgress && (y & 31) === 31) onProgress((y + 1) / height);
         }
 
         return imageData;
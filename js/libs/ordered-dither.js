@@ -0,0 +1,264 @@
+/**
+ * Ordered Dithering
+ * Bayer and blue-noise threshold matrices for multi-color palettes.
+ * No error is propagated, so a small change in the source only changes
+ * the pixels it touches.
+ * Requires FloydSteinberg (shared palette) and PaletteLUT (nearest-color search).
+ */
+
+const OrderedDither = {
+    /**
+     * Available threshold matrices
+     */
+    METHODS: {
+        'bayer-2': { name: 'Bayer 2x2', type: 'bayer', size: 2 },
+        'bayer-4': { name: 'Bayer 4x4', type: 'bayer', size: 4 },
+        'bayer-8': { name: 'Bayer 8x8', type: 'bayer', size: 8 },
+        'blue-noise': { name: 'Blue noise', type: 'blue-noise', size: 64 }
+    },
+
+    // Generated matrices, keyed by method
+    cache: {},
+
+    /**
+     * Build a Bayer index matrix of the given size (power of two)
+     * @param {number} size - Matrix width and height
+     * @returns {Uint16Array} - Ranks 0..size*size-1, row-major
+     */
+    bayerMatrix(size) {
+        let matrix = new Uint16Array([0]);
+        let n = 1;
+
+        // M(2n) = [4M, 4M+2; 4M+3, 4M+1]
+        while (n < size) {
+            const next = new Uint16Array(n * 2 * n * 2);
+            for (let y = 0; y < n; y++) {
+                for (let x = 0; x < n; x++) {
+                    const v = matrix[y * n + x] * 4;
+                    next[y * 2 * n + x] = v;
+                    next[y * 2 * n + x + n] = v + 2;
+                    next[(y + n) * 2 * n + x] = v + 3;
+                    next[(y + n) * 2 * n + x + n] = v + 1;
+                }
+            }
+            matrix = next;
+            n *= 2;
+        }
+
+        return matrix;
+    },
+
+    /**
+     * Generate a blue-noise rank matrix with the void-and-cluster method
+     * (Ulichney 1993). Deterministic, so every run produces the same matrix.
+     * @param {number} size - Matrix width and height
+     * @returns {Uint16Array} - Ranks 0..size*size-1, row-major
+     */
+    blueNoiseMatrix(size) {
+        const total = size * size;
+        const sigma = 1.5;
+
+        // Gaussian falloff for every toroidal offset
+        const falloff = new Float32Array(total);
+        for (let dy = 0; dy < size; dy++) {
+            for (let dx = 0; dx < size; dx++) {
+                const wx = Math.min(dx, size - dx);
+                const wy = Math.min(dy, size - dy);
+                falloff[dy * size + dx] = Math.exp(-(wx * wx + wy * wy) / (2 * sigma * sigma));
+            }
+        }
+
+        const pattern = new Uint8Array(total);
+        const energy = new Float32Array(total);
+
+        const toggle = (pattern, energy, index, value) => {
+            pattern[index] = value;
+            const sign = value ? 1 : -1;
+            const px = index % size;
+            const py = (index - px) / size;
+            for (let y = 0; y < size; y++) {
+                const row = ((y - py + size) % size) * size;
+                for (let x = 0; x < size; x++) {
+                    energy[y * size + x] += sign * falloff[row + (x - px + size) % size];
+                }
+            }
+        };
+
+        // Tightest cluster: the set pixel with the most energy
+        const tightestCluster = (pattern, energy) => {
+            let best = -1;
+            for (let i = 0; i < total; i++) {
+                if (pattern[i] && (best < 0 || energy[i] > energy[best])) best = i;
+            }
+            return best;
+        };
+
+        // Largest void: the empty pixel with the least energy
+        const largestVoid = (pattern, energy) => {
+            let best = -1;
+            for (let i = 0; i < total; i++) {
+                if (!pattern[i] && (best < 0 || energy[i] < energy[best])) best = i;
+            }
+            return best;
+        };
+
+        // Seeded initial pattern (mulberry32) covering ~10% of the pixels
+        let seed = 0x7c0105;
+        const random = () => {
+            seed = (seed + 0x6D2B79F5) | 0;
+            let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+        const initialCount = Math.round(total / 10);
+        for (let placed = 0; placed < initialCount;) {
+            const index = Math.floor(random() * total);
+            if (!pattern[index]) {
+                toggle(pattern, energy, index, 1);
+                placed++;
+            }
+        }
+
+        // Relax the initial pattern until it is evenly spread
+        for (;;) {
+            const cluster = tightestCluster(pattern, energy);
+            toggle(pattern, energy, cluster, 0);
+            const gap = largestVoid(pattern, energy);
+            toggle(pattern, energy, gap, 1);
+            if (gap === cluster) break;
+        }
+
+        const ranks = new Uint16Array(total);
+
+        // Phase 1: rank the initial points by removing tightest clusters
+        const phasePattern = pattern.slice();
+        const phaseEnergy = energy.slice();
+        for (let rank = initialCount - 1; rank >= 0; rank--) {
+            const cluster = tightestCluster(phasePattern, phaseEnergy);
+            toggle(phasePattern, phaseEnergy, cluster, 0);
+            ranks[cluster] = rank;
+        }
+
+        // Phase 2: fill the largest voids until every pixel is ranked
+        for (let rank = initialCount; rank < total; rank++) {
+            const gap = largestVoid(pattern, energy);
+            toggle(pattern, energy, gap, 1);
+            ranks[gap] = rank;
+        }
+
+        return ranks;
+    },
+
+    /**
+     * Get the threshold matrix for a method, centered on zero
+     * @param {string} method - Key of METHODS
+     * @returns {Object} - { size, thresholds } with thresholds in [-0.5, 0.5)
+     */
+    getThresholds(method) {
+        if (this.cache[method]) return this.cache[method];
+
+        const info = this.METHODS[method];
+        if (!info) {
+            throw new Error(`Unknown ordered dithering method: ${method}`);
+        }
+
+        const ranks = info.type === 'bayer'
+            ? this.bayerMatrix(info.size)
+            : this.blueNoiseMatrix(info.size);
+
+        const count = info.size * info.size;
+        const thresholds = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            thresholds[i] = (ranks[i] + 0.5) / count - 0.5;
+        }
+
+        this.cache[method] = { size: info.size, thresholds };
+        return this.cache[method];
+    },
+
+    /**
+     * Estimate how far apart the palette colors are. The threshold offset is
+     * scaled by this so it can push a pixel across to a neighboring color
+     * but no further.
+     * @param {Array} palette - Array of RGB color arrays
+     * @returns {number} - Per-channel offset range
+     */
+    paletteSpread(palette) {
+        if (palette.length < 2) return 0;
+
+        let sum = 0;
+        for (const color of palette) {
+            let nearest = Infinity;
+            for (const other of palette) {
+                if (other === color) continue;
+                nearest = Math.min(nearest, FloydSteinberg.colorDistance(color, other));
+            }
+            sum += Math.sqrt(nearest);
+        }
+
+        // Mean nearest-neighbor distance, spread over the three channels
+        return sum / palette.length / Math.sqrt(3);
+    },
+
+    /**
+     * Apply ordered dithering to image data
+     * @param {ImageData} imageData - Canvas ImageData object
+     * @param {Array} palette - Array of RGB color arrays (defaults to FloydSteinberg.EINK_PALETTE)
+     * @param {Object} options - Dithering options
+     * @param {string} options.method - Key of METHODS (default: 'bayer-4')
+     * @param {number} options.spread - Override the per-channel offset range
+     * @param {string} options.metric - Key of ColorSpace.METRICS used for matching (default: 'rgb')
+     * @param {Array} options.outputPalette - Colors written to the output, same order as palette (default: palette)
+     * @param {Uint8Array} options.indices - Receives the chosen palette index of every pixel
+     * @param {Int16Array} options.fixed - Palette index forced per pixel, -1 where free (e.g. overlay text)
+     * @param {Function} options.onProgress - Called with the finished fraction every 32 rows
+     * @returns {ImageData} - Modified ImageData
+     */
+    dither(imageData, palette = null, options = {}) {
+        palette = palette || FloydSteinberg.EINK_PALETTE;
+
+        const { size, thresholds } = this.getThresholds(options.method || 'bayer-4');
+        const spread = options.spread === undefined ? this.paletteSpread(palette) : options.spread;
+        const metric = options.metric || 'rgb';
+        const outputPalette = options.outputPalette || palette;
+        const indices = options.indices || null;
+        const fixed = options.fixed || null;
+        const onProgress = options.onProgress || null;
+        const lut = PaletteLUT.get(palette, metric);
+
+        const width = imageData.width;
+        const height = imageData.height;
+        const data = imageData.data;
+
+        for (let y = 0; y < height; y++) {
+            const row = (y % size) * size;
+
+            for (let x = 0; x < width; x++) {
+                const idx = (y * width + x) * 4;
+                const offset = thresholds[row + x % size] * spread;
+
+                const r = Math.max(0, Math.min(255, data[idx] + offset));
+                const g = Math.max(0, Math.min(255, data[idx + 1] + offset));
+                const b = Math.max(0, Math.min(255, data[idx + 2] + offset));
+
+                const fixedIndex = fixed ? fixed[y * width + x] : -1;
+                const index = fixedIndex >= 0 ? fixedIndex : lut.nearest(r, g, b);
+                const color = outputPalette[index];
+                data[idx] = color[0];
+                data[idx + 1] = color[1];
+                data[idx + 2] = color[2];
+                // Alpha stays unchanged
+                if (indices) indices[y * width + x] = index;
+            }
+
+            if (onProgress && (y & 31) === 31) onProgress((y + 1) / height);
+        }
+
+        return imageData;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrderedDither;
+}
@@ -0,0 +1,325 @@
+/**
+ * Palette Lookup
+ * Nearest-color search for the dithering engines, built once per palette
+ * and metric and reused for every pixel without allocating.
+ *
+ * rgb, linear-rgb, redmean and cie76 use a 32x32x32 grid over the RGB
+ * cube. Each cell lists only the palette colors that can be nearest to
+ * some color inside it (found with exact distance bounds), so most pixels
+ * resolve with no distance computation at all and the rest compare two or
+ * three candidates. Results are identical to the exhaustive search
+ * (FloydSteinberg.findNearestIndexExhaustive), ties included.
+ *
+ * ciede2000 has no cheap bound, so its results are memoized per whole RGB
+ * value instead (16 MB per palette). Tolerance: inputs are rounded to whole
+ * 0-255 values first, so a fractional input (as produced by error
+ * diffusion) within half a unit of a decision boundary can get the
+ * neighbouring color. That is about 0.3% of random colors. Ordered
+ * dithering output differs in as few pixels; with error diffusion each
+ * changed decision shifts the pattern after it, so more pixels differ
+ * while the overall tone stays the same.
+ *
+ * bench/quantize.js checks both claims and times the speedup.
+ */
+
+const PaletteLUT = {
+    // Grid cells are 2^CELL_BITS RGB units wide: 32 cells per channel
+    CELL_BITS: 3,
+
+    // Slack on the distance bounds so rounding in the color transforms
+    // can never prune the true nearest color
+    EPSILON: 1e-6,
+
+    // Built lookups, keyed by palette then metric
+    cache: new WeakMap(),
+
+    /**
+     * Get the lookup for a palette and metric, building it on first use
+     * @param {Array} palette - Array of RGB color arrays
+     * @param {string} metric - Key of ColorSpace.METRICS (default: 'rgb')
+     * @returns {Object} - Lookup with nearest(r, g, b) -> palette index
+     */
+    get(palette, metric = 'rgb') {
+        let byMetric = this.cache.get(palette);
+        if (!byMetric) {
+            byMetric = {};
+            this.cache.set(palette, byMetric);
+        }
+
+        if (!byMetric[metric]) {
+            if (!ColorSpace.METRICS[metric]) {
+                throw new Error(`Unknown color metric: ${metric}`);
+            }
+            byMetric[metric] = metric === 'ciede2000'
+                ? this.buildMemo(palette, metric)
+                : this.buildGrid(palette, metric);
+        }
+
+        return byMetric[metric];
+    },
+
+    /**
+     * Bounding box of an RGB cell in a metric's color space. Every
+     * transform here is monotonic per channel (XYZ mixes linear channels
+     * with positive weights), so the corners bound the whole cell.
+     * @param {string} metric - Metric key
+     * @param {Array} lo - Low RGB corner
+     * @param {Array} hi - High RGB corner
+     * @returns {Float64Array} - [lo0, lo1, lo2, hi0, hi1, hi2]
+     */
+    cellBox(metric, lo, hi) {
+        const box = new Float64Array(6);
+
+        if (metric === 'linear-rgb') {
+            for (let c = 0; c < 3; c++) {
+                box[c] = ColorSpace.srgbToLinear(lo[c]) * 255;
+                box[c + 3] = ColorSpace.srgbToLinear(hi[c]) * 255;
+            }
+        } else if (metric === 'cie76') {
+            // L follows fy; a = 500 (fx - fy) and b = 200 (fy - fz) take their
+            // extremes with one term at the low corner and the other at the high
+            const labLo = ColorSpace.rgbToLab(lo[0], lo[1], lo[2]);
+            const labHi = ColorSpace.rgbToLab(hi[0], hi[1], hi[2]);
+            const f = lab => {
+                const fy = (lab[0] + 16) / 116;
+                return { fx: lab[1] / 500 + fy, fy: fy, fz: fy - lab[2] / 200 };
+            };
+            const fLo = f(labLo);
+            const fHi = f(labHi);
+
+            box[0] = labLo[0];
+            box[3] = labHi[0];
+            box[1] = 500 * (fLo.fx - fHi.fy);
+            box[4] = 500 * (fHi.fx - fLo.fy);
+            box[2] = 200 * (fLo.fy - fHi.fz);
+            box[5] = 200 * (fHi.fy - fLo.fz);
+        } else {
+            box.set(lo, 0);
+            box.set(hi, 3);
+        }
+
+        for (let c = 0; c < 3; c++) {
+            box[c] -= this.EPSILON;
+            box[c + 3] += this.EPSILON;
+        }
+        return box;
+    },
+
+    /**
+     * Smallest and largest distance from a palette color to any point of a box
+     * @param {string} metric - Metric key
+     * @param {Float64Array} box - Result of cellBox()
+     * @param {Float64Array} colors - Palette in metric space, three values per color
+     * @param {number} i - Palette index
+     * @returns {Array} - [min, max]
+     */
+    distanceRange(metric, box, colors, i) {
+        const near = [0, 0, 0];
+        const far = [0, 0, 0];
+        for (let c = 0; c < 3; c++) {
+            const value = colors[i * 3 + c];
+            const toLo = value - box[c];
+            const toHi = box[c + 3] - value;
+            near[c] = value < box[c] ? -toLo : value > box[c + 3] ? -toHi : 0;
+            far[c] = Math.max(Math.abs(toLo), Math.abs(toHi));
+        }
+
+        if (metric === 'redmean') {
+            // Red and blue weights depend on the mean red of the pair
+            const meanLo = (box[0] + colors[i * 3]) / 2;
+            const meanHi = (box[3] + colors[i * 3]) / 2;
+            const min = (2 + meanLo / 256) * near[0] * near[0] + 4 * near[1] * near[1] +
+                (2 + (255 - meanHi) / 256) * near[2] * near[2];
+            const max = (2 + meanHi / 256) * far[0] * far[0] + 4 * far[1] * far[1] +
+                (2 + (255 - meanLo) / 256) * far[2] * far[2];
+            return [min, max];
+        }
+
+        return [
+            near[0] * near[0] + near[1] * near[1] + near[2] * near[2],
+            far[0] * far[0] + far[1] * far[1] + far[2] * far[2]
+        ];
+    },
+
+    /**
+     * Build the candidate grid for an exactly boundable metric
+     * @param {Array} palette - Array of RGB color arrays
+     * @param {string} metric - 'rgb', 'linear-rgb', 'redmean' or 'cie76'
+     * @returns {Object} - Lookup with nearest(r, g, b)
+     */
+    buildGrid(palette, metric) {
+        const info = ColorSpace.METRICS[metric];
+        const count = palette.length;
+
+        // Palette in the metric's color space (redmean works on plain RGB)
+        const colors = new Float64Array(count * 3);
+        palette.forEach((color, i) => colors.set(info.transform(color[0], color[1], color[2]), i * 3));
+
+        const bits = this.CELL_BITS;
+        const size = 1 << bits;
+        const cells = 256 >> bits;
+        const cellStart = new Uint32Array(cells * cells * cells + 1);
+        const list = [];
+        const ranges = new Array(count);
+
+        for (let cell = 0; cell < cells * cells * cells; cell++) {
+            const lo = [
+                Math.floor(cell / (cells * cells)) * size,
+                (Math.floor(cell / cells) % cells) * size,
+                (cell % cells) * size
+            ];
+            const hi = lo.map(v => Math.min(255, v + size));
+            const box = this.cellBox(metric, lo, hi);
+
+            // A color can only win if its best case beats every color's worst case
+            let threshold = Infinity;
+            for (let i = 0; i < count; i++) {
+                ranges[i] = this.distanceRange(metric, box, colors, i);
+                threshold = Math.min(threshold, ranges[i][1]);
+            }
+
+            cellStart[cell] = list.length;
+            for (let i = 0; i < count; i++) {
+                if (ranges[i][0] <= threshold) list.push(i);
+            }
+        }
+        cellStart[cells * cells * cells] = list.length;
+
+        const candidates = Uint16Array.from(list);
+        const all = Uint16Array.from({ length: count }, (_, i) => i);
+        const search = this.createSearch(metric, colors);
+
+        return {
+            metric: metric,
+            cellStart: cellStart,
+            candidates: candidates,
+            nearest(r, g, b) {
+                // Out-of-range input isn't covered by the grid
+                if (!(r >= 0 && r <= 255 && g >= 0 && g <= 255 && b >= 0 && b <= 255)) {
+                    return search(r, g, b, all, 0, count);
+                }
+
+                // The cell index is the top bits of each channel
+                const cell = ((r >> bits) * cells + (g >> bits)) * cells + (b >> bits);
+                const start = cellStart[cell];
+                const end = cellStart[cell + 1];
+                return end - start === 1 ? candidates[start] : search(r, g, b, candidates, start, end);
+            }
+        };
+    },
+
+    /**
+     * Distance loop over a list of palette indices, using the same
+     * arithmetic as ColorSpace.METRICS so results match bit for bit
+     * @param {string} metric - Metric key
+     * @param {Float64Array} colors - Palette in metric space
+     * @returns {Function} - (r, g, b, list, start, end) -> nearest palette index
+     */
+    createSearch(metric, colors) {
+        const scratch = new Float64Array(3);
+
+        // Input color in the metric's space, written to scratch
+        const transform = {
+            'rgb': (r, g, b) => { scratch[0] = r; scratch[1] = g; scratch[2] = b; },
+            'redmean': (r, g, b) => { scratch[0] = r; scratch[1] = g; scratch[2] = b; },
+            'linear-rgb': (r, g, b) => {
+                scratch[0] = ColorSpace.srgbToLinear(r) * 255;
+                scratch[1] = ColorSpace.srgbToLinear(g) * 255;
+                scratch[2] = ColorSpace.srgbToLinear(b) * 255;
+            },
+            'cie76': (r, g, b) => { ColorSpace.rgbToLabInto(r, g, b, scratch); }
+        }[metric];
+
+        const redmean = metric === 'redmean';
+
+        return (r, g, b, list, start, end) => {
+            transform(r, g, b);
+            const c0 = scratch[0];
+            const c1 = scratch[1];
+            const c2 = scratch[2];
+
+            let minDist = Infinity;
+            let nearest = list[start];
+
+            for (let k = start; k < end; k++) {
+                const i = list[k];
+                const d0 = c0 - colors[i * 3];
+                const d1 = c1 - colors[i * 3 + 1];
+                const d2 = c2 - colors[i * 3 + 2];
+
+                let dist;
+                if (redmean) {
+                    const rMean = (c0 + colors[i * 3]) / 2;
+                    dist = (2 + rMean / 256) * d0 * d0 + 4 * d1 * d1 + (2 + (255 - rMean) / 256) * d2 * d2;
+                } else {
+                    dist = d0 * d0 + d1 * d1 + d2 * d2;
+                }
+
+                if (dist < minDist) {
+                    minDist = dist;
+                    nearest = i;
+                }
+            }
+
+            return nearest;
+        };
+    },
+
+    /**
+     * Build the memo for a metric without usable bounds (ciede2000)
+     * @param {Array} palette - Array of RGB color arrays
+     * @param {string} metric - Metric key
+     * @returns {Object} - Lookup with nearest(r, g, b)
+     */
+    buildMemo(palette, metric) {
+        const info = ColorSpace.METRICS[metric];
+        const converted = palette.map(color => info.transform(color[0], color[1], color[2]));
+
+        const exhaustive = (r, g, b) => {
+            const color = info.transform(r, g, b);
+            let minDist = Infinity;
+            let nearest = 0;
+            for (let i = 0; i < converted.length; i++) {
+                const dist = info.distance(color, converted[i]);
+                if (dist < minDist) {
+                    minDist = dist;
+                    nearest = i;
+                }
+            }
+            return nearest;
+        };
+
+        // One entry per 24-bit color, filled on first use
+        const unknown = palette.length < 255 ? 255 : 65535;
+        let memo = null;
+
+        return {
+            metric: metric,
+            nearest(r, g, b) {
+                if (!(r >= 0 && r <= 255 && g >= 0 && g <= 255 && b >= 0 && b <= 255)) {
+                    return exhaustive(r, g, b);
+                }
+                if (!memo) {
+                    memo = (unknown === 255 ? new Uint8Array(1 << 24) : new Uint16Array(1 << 24)).fill(unknown);
+                }
+
+                const ri = Math.round(r);
+                const gi = Math.round(g);
+                const bi = Math.round(b);
+                const key = (ri << 16) | (gi << 8) | bi;
+
+                let index = memo[key];
+                if (index === unknown) {
+                    index = exhaustive(ri, gi, bi);
+                    memo[key] = index;
+                }
+                return index;
+            }
+        };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PaletteLUT;
+}
@@ -0,0 +1,278 @@
+/**
+ * Raster Operations
+ * Rotating, cropping and resampling RGBA pixels in plain JavaScript, so
+ * the browser, the conversion workers and the Node CLI produce the same
+ * resized image bit for bit. Canvas drawImage smoothing differs between
+ * browsers and doesn't exist in Node.
+ *
+ * A raster is { width, height, data } with data a Uint8ClampedArray of
+ * unpremultiplied RGBA, as in ImageData (an ImageData is a raster).
+ */
+
+const Raster = {
+    /**
+     * Create a raster filled with one color
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @param {Array} color - RGBA fill (default: transparent black)
+     * @returns {Object} - Raster { width, height, data }
+     */
+    create(width, height, color = [0, 0, 0, 0]) {
+        const data = new Uint8ClampedArray(width * height * 4);
+        if (color.some(value => value !== 0)) {
+            for (let i = 0; i < data.length; i += 4) {
+                data[i] = color[0];
+                data[i + 1] = color[1];
+                data[i + 2] = color[2];
+                data[i + 3] = color[3];
+            }
+        }
+        return { width, height, data };
+    },
+
+    /**
+     * Rotate clockwise in 90° steps
+     * @param {Object} src - Source raster
+     * @param {number} rotation - 0, 90, 180 or 270
+     * @returns {Object} - Rotated raster (src itself for 0)
+     */
+    rotate(src, rotation) {
+        if (rotation === 0) return src;
+
+        const { width, height } = src;
+        const quarter = rotation % 180 !== 0;
+        const dst = this.create(quarter ? height : width, quarter ? width : height);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let target;
+                if (rotation === 90) {
+                    target = x * height + (height - 1 - y);
+                } else if (rotation === 180) {
+                    target = (height - 1 - y) * width + (width - 1 - x);
+                } else {
+                    target = (width - 1 - x) * height + y;
+                }
+                const from = (y * width + x) * 4;
+                const to = target * 4;
+                dst.data[to] = src.data[from];
+                dst.data[to + 1] = src.data[from + 1];
+                dst.data[to + 2] = src.data[from + 2];
+                dst.data[to + 3] = src.data[from + 3];
+            }
+        }
+
+        return dst;
+    },
+
+    /**
+     * Mirror left to right
+     * @param {Object} src - Source raster
+     * @returns {Object} - Mirrored raster
+     */
+    flip(src) {
+        const { width, height } = src;
+        const dst = this.create(width, height);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const from = (y * width + x) * 4;
+                const to = (y * width + width - 1 - x) * 4;
+                dst.data[to] = src.data[from];
+                dst.data[to + 1] = src.data[from + 1];
+                dst.data[to + 2] = src.data[from + 2];
+                dst.data[to + 3] = src.data[from + 3];
+            }
+        }
+
+        return dst;
+    },
+
+    /**
+     * Cut out a rectangle. Parts outside the source, and transparent
+     * pixels, show the background.
+     * @param {Object} src - Source raster
+     * @param {Object} rect - { x, y, width, height } in whole pixels
+     * @param {Array} background - RGBA color (default: opaque white)
+     * @returns {Object} - New raster of the rectangle's size
+     */
+    crop(src, rect, background = [255, 255, 255, 255]) {
+        const dst = this.create(rect.width, rect.height, background);
+
+        for (let y = 0; y < rect.height; y++) {
+            const sy = rect.y + y;
+            if (sy < 0 || sy >= src.height) continue;
+            for (let x = 0; x < rect.width; x++) {
+                const sx = rect.x + x;
+                if (sx < 0 || sx >= src.width) continue;
+
+                const i = (sy * src.width + sx) * 4;
+                const a = src.data[i + 3] / 255;
+                this.blendPixel(dst.data, (y * rect.width + x) * 4,
+                    src.data[i] * a, src.data[i + 1] * a, src.data[i + 2] * a, a);
+            }
+        }
+
+        return dst;
+    },
+
+    /**
+     * Composite a premultiplied color over a destination pixel (source-over)
+     * @param {Uint8ClampedArray} data - Destination pixels
+     * @param {number} i - Byte offset of the pixel
+     * @param {number} r - Premultiplied red, 0-255
+     * @param {number} g - Premultiplied green, 0-255
+     * @param {number} b - Premultiplied blue, 0-255
+     * @param {number} a - Alpha, 0-1
+     */
+    blendPixel(data, i, r, g, b, a) {
+        // Opaque, allowing for rounding in the filter weights
+        if (a > 0.999999) {
+            data[i] = r / a;
+            data[i + 1] = g / a;
+            data[i + 2] = b / a;
+            data[i + 3] = 255;
+            return;
+        }
+
+        const under = data[i + 3] / 255 * (1 - a);
+        const alpha = a + under;
+        if (alpha <= 0) return;
+
+        data[i] = (r + data[i] * under) / alpha;
+        data[i + 1] = (g + data[i + 1] * under) / alpha;
+        data[i + 2] = (b + data[i + 2] * under) / alpha;
+        data[i + 3] = alpha * 255;
+    },
+
+    /**
+     * Resampling weights along one axis: a triangle filter widened to the
+     * scale factor when shrinking, so every source pixel contributes
+     * (bilinear when enlarging, area-like averaging when shrinking)
+     * @param {number} srcSize - Source length in pixels
+     * @param {number} dstSize - Scaled length in pixels
+     * @param {number} start - First output pixel wanted, in scaled coordinates
+     * @param {number} count - Number of output pixels wanted
+     * @returns {Object} - { first, taps, weights }: output pixel i reads taps source pixels from first[i]
+     */
+    weights(srcSize, dstSize, start, count) {
+        const scale = srcSize / dstSize;
+        const support = Math.max(1, scale);
+        const taps = Math.ceil(support) * 2 + 1;
+        const first = new Int32Array(count);
+        const weights = new Float32Array(count * taps);
+
+        for (let i = 0; i < count; i++) {
+            const center = (start + i + 0.5) * scale - 0.5;
+            const lo = Math.max(0, Math.ceil(center - support));
+            const hi = Math.min(srcSize - 1, Math.floor(center + support));
+            first[i] = lo;
+
+            let sum = 0;
+            for (let j = lo; j <= hi && j - lo < taps; j++) {
+                const weight = Math.max(0, 1 - Math.abs(j - center) / support);
+                weights[i * taps + j - lo] = weight;
+                sum += weight;
+            }
+
+            if (sum > 0) {
+                for (let k = 0; k < taps; k++) weights[i * taps + k] /= sum;
+            } else {
+                // Past the edge: repeat the nearest source pixel
+                first[i] = Math.min(srcSize - 1, Math.max(0, Math.round(center)));
+                weights[i * taps] = 1;
+            }
+        }
+
+        return { first, taps, weights };
+    },
+
+    /**
+     * Scale a raster to width x height and composite it over dst with its
+     * top-left corner at (left, top). Only the part inside dst is computed.
+     * @param {Object} dst - Destination raster, modified in place
+     * @param {Object} src - Source raster
+     * @param {number} left - Destination x of the scaled image
+     * @param {number} top - Destination y of the scaled image
+     * @param {number} width - Scaled width
+     * @param {number} height - Scaled height
+     * @returns {Object} - dst
+     */
+    draw(dst, src, left, top, width, height) {
+        const x0 = Math.max(0, left);
+        const y0 = Math.max(0, top);
+        const x1 = Math.min(dst.width, left + width);
+        const y1 = Math.min(dst.height, top + height);
+        if (x1 <= x0 || y1 <= y0 || src.width === 0 || src.height === 0) return dst;
+
+        const columns = x1 - x0;
+        const rows = y1 - y0;
+        const horizontal = this.weights(src.width, width, x0 - left, columns);
+        const vertical = this.weights(src.height, height, y0 - top, rows);
+
+        // Source rows the vertical pass reads
+        const rowFirst = vertical.first[0];
+        let rowLast = rowFirst;
+        for (let i = 0; i < rows; i++) {
+            for (let k = vertical.taps - 1; k >= 0; k--) {
+                if (vertical.weights[i * vertical.taps + k] !== 0) {
+                    rowLast = Math.max(rowLast, vertical.first[i] + k);
+                    break;
+                }
+            }
+        }
+
+        // Horizontal pass into premultiplied floats, one row per source row
+        const sdata = src.data;
+        const line = new Float32Array((rowLast - rowFirst + 1) * columns * 4);
+        for (let sy = rowFirst; sy <= rowLast; sy++) {
+            const rowBase = sy * src.width;
+            const lineBase = (sy - rowFirst) * columns;
+            for (let i = 0; i < columns; i++) {
+                let r = 0, g = 0, b = 0, a = 0;
+                const from = horizontal.first[i];
+                for (let k = 0; k < horizontal.taps; k++) {
+                    const weight = horizontal.weights[i * horizontal.taps + k];
+                    if (weight === 0) continue;
+                    const s = (rowBase + from + k) * 4;
+                    const wa = weight * sdata[s + 3] / 255;
+                    r += sdata[s] * wa;
+                    g += sdata[s + 1] * wa;
+                    b += sdata[s + 2] * wa;
+                    a += wa;
+                }
+                const o = (lineBase + i) * 4;
+                line[o] = r;
+                line[o + 1] = g;
+                line[o + 2] = b;
+                line[o + 3] = a;
+            }
+        }
+
+        // Vertical pass, composited straight into the destination
+        for (let j = 0; j < rows; j++) {
+            const from = vertical.first[j] - rowFirst;
+            for (let i = 0; i < columns; i++) {
+                let r = 0, g = 0, b = 0, a = 0;
+                for (let k = 0; k < vertical.taps; k++) {
+                    const weight = vertical.weights[j * vertical.taps + k];
+                    if (weight === 0) continue;
+                    const o = ((from + k) * columns + i) * 4;
+                    r += line[o] * weight;
+                    g += line[o + 1] * weight;
+                    b += line[o + 2] * weight;
+                    a += line[o + 3] * weight;
+                }
+                if (a <= 0) continue;
+                this.blendPixel(dst.data, ((y0 + j) * dst.width + x0 + i) * 4, r, g, b, Math.min(1, a));
+            }
+        }
+
+        return dst;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Raster;
+}
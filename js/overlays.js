@@ -0,0 +1,361 @@
+/**
+ * Overlays
+ * Text blocks (captions, dates, labels) burned into the picture. Blocks are
+ * rendered to a mask of fixed palette indices that the dithering engines
+ * copy to the output as is, so text stays crisp while the photo around it
+ * is still dithered.
+ *
+ * Text may use fields: {date} or {date:D MMM YYYY} for the photo date,
+ * {time}, {filename} and {caption}. Colors are RGB values matched to the
+ * nearest palette color, so a block keeps working when the palette changes.
+ * Saved sets of blocks (templates) live in localStorage.
+ */
+
+const Overlays = {
+    FONTS: {
+        'sans-serif': 'Sans-serif',
+        'serif': 'Serif',
+        'monospace': 'Monospace',
+        'Arial Black': 'Arial Black',
+        'Georgia': 'Georgia',
+        'Courier New': 'Courier New'
+    },
+
+    POSITIONS: {
+        'top-left': 'Top left',
+        'top': 'Top',
+        'top-right': 'Top right',
+        'left': 'Left',
+        'center': 'Center',
+        'right': 'Right',
+        'bottom-left': 'Bottom left',
+        'bottom': 'Bottom',
+        'bottom-right': 'Bottom right'
+    },
+
+    // Smallest and largest font size in output pixels
+    MIN_SIZE: 6,
+    MAX_SIZE: 400,
+
+    // Line height as a multiple of the font size
+    LINE_HEIGHT: 1.2,
+
+    // Anti-aliased text coverage at or above this alpha becomes text
+    COVERAGE_THRESHOLD: 128,
+
+    MONTHS: ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+        'August', 'September', 'October', 'November', 'December'],
+
+    // localStorage key for saved overlay templates
+    STORAGE_KEY: 'eink-converter.overlays',
+
+    // Saved templates: key -> { name, blocks }
+    TEMPLATES: {},
+
+    /**
+     * A new text block
+     * @param {Object} overrides - Values to change from the defaults
+     * @returns {Object} - Block { text, font, size, bold, position, margin, color, box, padding }
+     */
+    createBlock(overrides = {}) {
+        return {
+            text: 'Caption',
+            font: 'sans-serif',
+            size: 28,
+            bold: false,
+            position: 'bottom-right',
+            margin: 16,
+            color: [0, 0, 0],
+            box: [255, 255, 255],
+            padding: 6,
+            ...overrides
+        };
+    },
+
+    /**
+     * Check a list of blocks and fill in defaults
+     * @param {Array} blocks - Text blocks
+     * @returns {Array} - Normalized blocks (empty text dropped)
+     */
+    normalize(blocks) {
+        if (!Array.isArray(blocks)) {
+            throw new Error('Overlays must be a list of text blocks');
+        }
+
+        const color = (value, what) => {
+            if (!Array.isArray(value) || value.length !== 3 || !value.every(c => c >= 0 && c <= 255)) {
+                throw new Error(`Overlay ${what} must be an RGB color`);
+            }
+            return value.map(Math.round);
+        };
+
+        return blocks.filter(block => block && String(block.text || '').trim() !== '').map(block => {
+            const normalized = this.createBlock(block);
+            if (!this.FONTS[normalized.font]) {
+                throw new Error(`Unknown overlay font: ${normalized.font}`);
+            }
+            if (!this.POSITIONS[normalized.position]) {
+                throw new Error(`Unknown overlay position: ${normalized.position}`);
+            }
+            const size = Number(normalized.size);
+            if (!(size >= this.MIN_SIZE && size <= this.MAX_SIZE)) {
+                throw new Error(`Overlay text size must be between ${this.MIN_SIZE} and ${this.MAX_SIZE}: ${normalized.size}`);
+            }
+
+            return {
+                text: String(normalized.text),
+                font: normalized.font,
+                size: size,
+                bold: normalized.bold === true,
+                position: normalized.position,
+                margin: Math.max(0, Number(normalized.margin) || 0),
+                color: color(normalized.color, 'color'),
+                box: normalized.box ? color(normalized.box, 'box color') : null,
+                padding: Math.max(0, Number(normalized.padding) || 0)
+            };
+        });
+    },
+
+    /**
+     * Format a date with YYYY, YY, MMMM, MMM, MM, M, DD, D, HH and mm
+     * @param {Date} date - Date to format
+     * @param {string} format - e.g. 'D MMM YYYY'
+     * @returns {string}
+     */
+    formatDate(date, format) {
+        const pad = value => String(value).padStart(2, '0');
+        const tokens = {
+            YYYY: date.getFullYear(),
+            YY: pad(date.getFullYear() % 100),
+            MMMM: this.MONTHS[date.getMonth()],
+            MMM: this.MONTHS[date.getMonth()].slice(0, 3),
+            MM: pad(date.getMonth() + 1),
+            M: date.getMonth() + 1,
+            DD: pad(date.getDate()),
+            D: date.getDate(),
+            HH: pad(date.getHours()),
+            mm: pad(date.getMinutes())
+        };
+        return format.replace(/YYYY|YY|MMMM|MMM|MM|M|DD|D|HH|mm/g, token => tokens[token]);
+    },
+
+    /**
+     * Fill the fields into a block's text
+     * @param {string} text - Block text
+     * @param {Object} fields - { date: Date or timestamp, filename, caption }, any may be missing
+     * @returns {string}
+     */
+    expandText(text, fields = {}) {
+        const date = fields.date === undefined || fields.date === null ? null : new Date(fields.date);
+        const validDate = date && !isNaN(date.getTime()) ? date : null;
+
+        return text.replace(/\{(date|time|filename|caption)(?::([^}]*))?\}/g, (match, field, format) => {
+            switch (field) {
+                case 'date':
+                    return validDate ? this.formatDate(validDate, format || 'YYYY-MM-DD') : '';
+                case 'time':
+                    return validDate ? this.formatDate(validDate, format || 'HH:mm') : '';
+                case 'filename':
+                    return String(fields.filename || '').replace(/\.[^/.]+$/, '');
+                default:
+                    return String(fields.caption || '');
+            }
+        });
+    },
+
+    // Index of the palette color closest to an RGB value
+    nearestIndex(color, colors) {
+        let best = 0;
+        let bestDistance = Infinity;
+        colors.forEach((candidate, i) => {
+            const distance = (candidate[0] - color[0]) ** 2 + (candidate[1] - color[1]) ** 2 + (candidate[2] - color[2]) ** 2;
+            if (distance < bestDistance) {
+                best = i;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    },
+
+    // Vertical and horizontal anchor ('start', 'middle', 'end') of a position
+    anchors(position) {
+        const vertical = position.startsWith('top') ? 'start' : position.startsWith('bottom') ? 'end' : 'middle';
+        const horizontal = position.endsWith('left') ? 'start' : position.endsWith('right') ? 'end' : 'middle';
+        return [vertical, horizontal];
+    },
+
+    // Left or top edge of a block along one axis
+    align(anchor, available, extent, margin) {
+        if (anchor === 'start') return margin;
+        if (anchor === 'end') return available - margin - extent;
+        return Math.round((available - extent) / 2);
+    },
+
+    /**
+     * Render blocks into a mask of fixed palette indices
+     * @param {Array} blocks - Normalized blocks
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Scratch canvas of the output size
+     * @param {Array} colors - Device colors of the palette
+     * @param {Object} options - Options
+     * @param {Object} options.fields - Values for the text fields, see expandText
+     * @param {number} options.scale - Output scale, for reduced-size previews (default: 1)
+     * @returns {Int16Array} - Palette index per pixel, -1 where the photo shows
+     */
+    render(blocks, canvas, colors, options = {}) {
+        const scale = options.scale || 1;
+        const { width, height } = canvas;
+        const mask = new Int16Array(width * height).fill(-1);
+        const ctx = canvas.getContext('2d');
+
+        for (const block of blocks) {
+            const text = this.expandText(block.text, options.fields);
+            // Nothing to show, e.g. {caption} on an image without one
+            if (text.trim() === '') continue;
+
+            const lines = text.split('\n');
+            const size = Math.max(1, Math.round(block.size * scale));
+            const lineHeight = Math.round(size * this.LINE_HEIGHT);
+            const padding = block.box ? Math.round(block.padding * scale) : 0;
+            const margin = Math.round(block.margin * scale);
+
+            ctx.font = `${block.bold ? 'bold ' : ''}${size}px ${block.font}`;
+            const textWidth = Math.ceil(Math.max(...lines.map(line => ctx.measureText(line).width)));
+            const boxWidth = textWidth + padding * 2;
+            const boxHeight = lineHeight * lines.length + padding * 2;
+
+            const [vertical, horizontal] = this.anchors(block.position);
+            const left = this.align(horizontal, width, boxWidth, margin);
+            const top = this.align(vertical, height, boxHeight, margin);
+
+            // Visible part of the block
+            const x0 = Math.max(0, left);
+            const y0 = Math.max(0, top);
+            const x1 = Math.min(width, left + boxWidth);
+            const y1 = Math.min(height, top + boxHeight);
+            if (x1 <= x0 || y1 <= y0) continue;
+
+            if (block.box) {
+                const boxIndex = this.nearestIndex(block.box, colors);
+                for (let y = y0; y < y1; y++) {
+                    mask.fill(boxIndex, y * width + x0, y * width + x1);
+                }
+            }
+
+            ctx.clearRect(x0, y0, x1 - x0, y1 - y0);
+            ctx.fillStyle = '#000';
+            ctx.textBaseline = 'middle';
+            ctx.textAlign = horizontal === 'start' ? 'left' : horizontal === 'end' ? 'right' : 'center';
+            const textX = horizontal === 'start' ? left + padding
+                : horizontal === 'end' ? left + boxWidth - padding
+                    : left + boxWidth / 2;
+            lines.forEach((line, i) => {
+                ctx.fillText(line, textX, top + padding + lineHeight * (i + 0.5));
+            });
+
+            // Threshold the anti-aliased coverage so no half-tones reach the panel
+            const textIndex = this.nearestIndex(block.color, colors);
+            const coverage = ctx.getImageData(x0, y0, x1 - x0, y1 - y0).data;
+            const rowWidth = x1 - x0;
+            for (let y = y0; y < y1; y++) {
+                for (let x = x0; x < x1; x++) {
+                    if (coverage[((y - y0) * rowWidth + (x - x0)) * 4 + 3] >= this.COVERAGE_THRESHOLD) {
+                        mask[y * width + x] = textIndex;
+                    }
+                }
+            }
+        }
+
+        return mask;
+    },
+
+    /**
+     * Save a set of blocks as a template
+     * @param {string} name - Template name
+     * @param {Array} blocks - Text blocks
+     * @returns {string} - Template key
+     */
+    saveTemplate(name, blocks) {
+        name = String(name || '').trim();
+        if (!name) {
+            throw new Error('Template needs a name');
+        }
+
+        const existing = Object.keys(this.TEMPLATES).find(key => this.TEMPLATES[key].name === name);
+        const key = existing || this.keyFor(name);
+        this.TEMPLATES[key] = { name: name, blocks: this.normalize(blocks) };
+        this.saveTemplates();
+        return key;
+    },
+
+    /**
+     * Remove a saved template
+     * @param {string} key - Template key
+     */
+    removeTemplate(key) {
+        if (this.TEMPLATES[key]) {
+            delete this.TEMPLATES[key];
+            this.saveTemplates();
+        }
+    },
+
+    /**
+     * Copy of a template's blocks, ready to edit
+     * @param {string} key - Template key
+     * @returns {Array} - Blocks
+     */
+    getTemplate(key) {
+        const template = this.TEMPLATES[key];
+        if (!template) {
+            throw new Error(`Unknown overlay template: ${key}`);
+        }
+        return template.blocks.map(block => ({ ...block, color: block.color.slice(), box: block.box && block.box.slice() }));
+    },
+
+    /**
+     * Pick an unused key for a template name
+     * @param {string} name - Template name
+     * @returns {string} - Template key
+     */
+    keyFor(name) {
+        const base = 'overlay-' + (String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'template');
+        let key = base;
+        for (let n = 2; this.TEMPLATES[key]; n++) {
+            key = `${base}-${n}`;
+        }
+        return key;
+    },
+
+    /**
+     * Load saved templates from localStorage
+     */
+    loadTemplates() {
+        if (typeof localStorage === 'undefined') return;
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '{}');
+            for (const [key, template] of Object.entries(saved)) {
+                this.TEMPLATES[key] = { name: String(template.name), blocks: this.normalize(template.blocks) };
+            }
+        } catch (error) {
+            console.warn('Ignoring saved overlay templates:', error);
+        }
+    },
+
+    /**
+     * Write the templates to localStorage
+     */
+    saveTemplates() {
+        if (typeof localStorage === 'undefined') return;
+
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.TEMPLATES));
+        } catch (error) {
+            console.warn('Could not save overlay templates:', error);
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Overlays;
+}
@@ -0,0 +1,120 @@
+/**
+ * Packed Buffer Encoder
+ * Raw frame buffers in the layout the Waveshare e-paper drivers expect
+ * (epd7in3f, epd5in65f, ...), and C headers for embedding them in
+ * Arduino/ESP32 sketches.
+ *
+ * Pixels are packed left to right, top to bottom, several per byte with the
+ * leftmost pixel in the most significant bits. Palette slots are translated
+ * to controller color codes on the way.
+ */
+
+const PackedEncoder = {
+    /**
+     * Pack palette indices into controller codes
+     * @param {Uint8Array} indices - Palette index per pixel, row-major, top to bottom
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {Object} options - Packing options
+     * @param {Array} options.codes - Controller code for each palette slot (default: slot number)
+     * @param {number} options.bitsPerPixel - 4 (two pixels per byte) or 2 (four per byte) (default: 4)
+     * @param {number} options.paletteSize - Number of palette colors, checked against codes
+     * @returns {Uint8Array} - Packed buffer, each row padded to a whole byte
+     */
+    pack(indices, width, height, options = {}) {
+        const bitsPerPixel = options.bitsPerPixel || 4;
+        if (bitsPerPixel !== 4 && bitsPerPixel !== 2) {
+            throw new Error(`Packed output supports 2 or 4 bits per pixel, not ${bitsPerPixel}`);
+        }
+
+        const maxCode = (1 << bitsPerPixel) - 1;
+        const paletteSize = options.paletteSize || maxCode + 1;
+        const codes = options.codes || Array.from({ length: paletteSize }, (_, i) => i);
+
+        if (codes.length < paletteSize) {
+            throw new Error(`Controller code map has ${codes.length} entries but the palette has ${paletteSize} colors`);
+        }
+        for (const code of codes) {
+            if (!Number.isInteger(code) || code < 0 || code > maxCode) {
+                throw new Error(`Controller code ${code} does not fit in ${bitsPerPixel} bits`);
+            }
+        }
+
+        const pixelsPerByte = 8 / bitsPerPixel;
+        const rowBytes = Math.ceil(width / pixelsPerByte);
+        const buffer = new Uint8Array(rowBytes * height);
+
+        for (let y = 0; y < height; y++) {
+            const srcRow = y * width;
+            const dstRow = y * rowBytes;
+
+            for (let x = 0; x < width; x++) {
+                const slot = x % pixelsPerByte;
+                const shift = 8 - bitsPerPixel * (slot + 1);
+                buffer[dstRow + (x - slot) / pixelsPerByte] |= codes[indices[srcRow + x]] << shift;
+            }
+        }
+
+        return buffer;
+    },
+
+    /**
+     * Encode a packed buffer as a raw binary Blob
+     * @param {Uint8Array} buffer - Packed buffer from pack()
+     * @returns {Blob} - Binary file
+     */
+    toBlob(buffer) {
+        return new Blob([buffer], { type: 'application/octet-stream' });
+    },
+
+    /**
+     * Encode a packed buffer as a C header
+     * @param {Uint8Array} buffer - Packed buffer from pack()
+     * @param {Object} info - Header details
+     * @param {number} info.width - Image width
+     * @param {number} info.height - Image height
+     * @param {number} info.bitsPerPixel - Bits per pixel used to pack
+     * @param {string} info.name - Array name (default: 'image')
+     * @param {string} info.source - Source filename for the comment
+     * @returns {string} - Header source text
+     */
+    toCHeader(buffer, info) {
+        const name = (info.name || 'image').replace(/[^A-Za-z0-9_]/g, '_').replace(/^(\d)/, '_$1');
+        const upper = name.toUpperCase();
+        const pixelsPerByte = 8 / info.bitsPerPixel;
+
+        const lines = [];
+        for (let i = 0; i < buffer.length; i += 16) {
+            const bytes = Array.from(buffer.subarray(i, i + 16), b => '0x' + b.toString(16).padStart(2, '0'));
+            lines.push('    ' + bytes.join(', '));
+        }
+
+        return [
+            '// Generated by 7-Color E-Ink Converter',
+            info.source ? `// Source: ${info.source.replace(/[\r\n]/g, ' ')}` : null,
+            `// ${info.width}x${info.height}, ${info.bitsPerPixel} bits per pixel, ` +
+                `${pixelsPerByte} pixels per byte (leftmost pixel in the high bits)`,
+            '#pragma once',
+            '',
+            '#include <stdint.h>',
+            '',
+            '#ifndef PROGMEM',
+            '#define PROGMEM',
+            '#endif',
+            '',
+            `#define ${upper}_WIDTH ${info.width}`,
+            `#define ${upper}_HEIGHT ${info.height}`,
+            `#define ${upper}_BITS_PER_PIXEL ${info.bitsPerPixel}`,
+            '',
+            `const uint8_t ${name}[${buffer.length}] PROGMEM = {`,
+            lines.join(',\n'),
+            '};',
+            ''
+        ].filter(line => line !== null).join('\n');
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PackedEncoder;
+}
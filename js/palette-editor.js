@@ -0,0 +1,270 @@
+/**
+ * Palette Editor
+ * Create, edit, reorder, import and export palettes. Built-in palettes are
+ * read-only; duplicate one to tune it. Saved palettes live in localStorage
+ * through Palettes.register.
+ */
+
+const PaletteEditor = {
+    root: null,
+    onSave: null,
+
+    // Key of the palette being edited (null for an unsaved new palette)
+    key: null,
+
+    // Working copy: { name, colors: [{ name, device, measured }] }
+    draft: null,
+
+    /**
+     * Wire up the editor
+     * @param {HTMLElement} root - Editor container (see index.html)
+     * @param {Function} onSave - Called with the palette key after a save, import or delete
+     */
+    init(root, onSave) {
+        this.root = root;
+        this.onSave = onSave;
+
+        this.el('select').addEventListener('change', (e) => this.open(e.target.value));
+        this.el('name').addEventListener('input', (e) => { this.draft.name = e.target.value; });
+        this.el('new').addEventListener('click', () => this.createNew());
+        this.el('duplicate').addEventListener('click', () => this.duplicate());
+        this.el('delete').addEventListener('click', () => this.deleteCurrent());
+        this.el('export').addEventListener('click', () => this.exportCurrent());
+        this.el('import').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) this.importFile(e.target.files[0]);
+            e.target.value = '';
+        });
+        this.el('add').addEventListener('click', () => this.addColor());
+        this.el('save').addEventListener('click', () => this.save());
+
+        const colors = this.el('colors');
+        colors.addEventListener('input', (e) => this.editColor(e));
+        colors.addEventListener('click', (e) => this.colorAction(e));
+
+        this.open(Object.keys(Palettes.PALETTES)[0]);
+    },
+
+    // Find an editor element by its data-editor attribute
+    el(name) {
+        return this.root.querySelector(`[data-editor="${name}"]`);
+    },
+
+    // Built-in palettes can be looked at but not changed
+    isReadOnly() {
+        return this.key !== null && !Palettes.PALETTES[this.key].custom;
+    },
+
+    /**
+     * Load a palette into the editor
+     * @param {string} key - Key of Palettes.PALETTES
+     */
+    open(key) {
+        const palette = Palettes.get(key);
+        this.key = key;
+        this.draft = {
+            name: palette.name,
+            colors: palette.colors.map(color => ({
+                name: color.name,
+                device: color.device.slice(),
+                measured: (color.measured || color.device).slice()
+            }))
+        };
+        this.render();
+    },
+
+    createNew() {
+        this.key = null;
+        this.draft = {
+            name: 'New palette',
+            colors: [
+                { name: 'Black', device: [0, 0, 0], measured: [0, 0, 0] },
+                { name: 'White', device: [255, 255, 255], measured: [255, 255, 255] }
+            ]
+        };
+        this.render();
+    },
+
+    duplicate() {
+        this.key = null;
+        this.draft.name = `${this.draft.name} (copy)`;
+        this.render();
+    },
+
+    deleteCurrent() {
+        if (this.key === null || this.isReadOnly()) return;
+        if (!confirm(`Delete palette "${this.draft.name}"?`)) return;
+
+        const key = this.key;
+        Palettes.remove(key);
+        this.onSave(key);
+        this.open(Object.keys(Palettes.PALETTES)[0]);
+    },
+
+    addColor() {
+        if (this.isReadOnly()) return;
+        this.draft.colors.push({ name: `Color ${this.draft.colors.length + 1}`, device: [128, 128, 128], measured: [128, 128, 128] });
+        this.render();
+    },
+
+    save() {
+        if (this.isReadOnly()) return;
+
+        const key = this.key || Palettes.keyFor(this.draft.name);
+        try {
+            Palettes.register(key, this.draft);
+        } catch (error) {
+            this.showMessage(error.message, true);
+            return;
+        }
+
+        this.key = key;
+        this.onSave(key);
+        this.render();
+        this.showMessage('Saved');
+    },
+
+    exportCurrent() {
+        const text = Palettes.exportJSON(this.draft);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+        link.download = `${this.key || Palettes.keyFor(this.draft.name)}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    },
+
+    async importFile(file) {
+        try {
+            const palette = Palettes.importJSON(await file.text());
+            const key = Palettes.keyFor(palette.name);
+            Palettes.register(key, palette);
+            this.onSave(key);
+            this.open(key);
+            this.showMessage(`Imported "${palette.name}"`);
+        } catch (error) {
+            this.showMessage(error.message, true);
+        }
+    },
+
+    // Keep the draft in sync with the name, color and hex inputs of a row
+    editColor(e) {
+        const row = e.target.closest('[data-index]');
+        if (!row) return;
+
+        const color = this.draft.colors[Number(row.dataset.index)];
+        const field = e.target.dataset.field;
+
+        if (field === 'name') {
+            color.name = e.target.value;
+            return;
+        }
+
+        const which = field.replace('Hex', '');
+        try {
+            color[which] = Palettes.hexToRgb(e.target.value);
+        } catch (error) {
+            return; // Half-typed hex value
+        }
+
+        // Mirror the change into the sibling input and swatch
+        const hex = Palettes.rgbToHex(color[which]);
+        row.querySelector(`[data-field="${which}"]`).value = hex;
+        if (field !== `${which}Hex`) {
+            row.querySelector(`[data-field="${which}Hex"]`).value = hex;
+        }
+        if (which === 'device') {
+            row.querySelector('.color-dot').style.backgroundColor = hex;
+        }
+    },
+
+    // Move and remove buttons on a row
+    colorAction(e) {
+        const action = e.target.dataset.action;
+        const row = e.target.closest('[data-index]');
+        if (!action || !row || this.isReadOnly()) return;
+
+        const colors = this.draft.colors;
+        const index = Number(row.dataset.index);
+
+        if (action === 'remove') {
+            if (colors.length <= 2) {
+                this.showMessage('A palette needs at least two colors', true);
+                return;
+            }
+            colors.splice(index, 1);
+        } else {
+            const target = action === 'up' ? index - 1 : index + 1;
+            if (target < 0 || target >= colors.length) return;
+            [colors[index], colors[target]] = [colors[target], colors[index]];
+        }
+
+        this.render();
+    },
+
+    showMessage(text, isError = false) {
+        const message = this.el('message');
+        message.textContent = text;
+        message.classList.toggle('error', isError);
+    },
+
+    // Build one editable row; values are set as properties so palette
+    // names never go through innerHTML
+    renderRow(color, index, readOnly) {
+        const row = document.createElement('div');
+        row.className = 'palette-row';
+        row.dataset.index = index;
+
+        const add = (tag, props) => {
+            const node = document.createElement(tag);
+            Object.assign(node, props);
+            node.disabled = readOnly;
+            row.appendChild(node);
+            return node;
+        };
+
+        add('span', { className: 'color-dot', title: color.name }).style.backgroundColor = Palettes.rgbToHex(color.device);
+        add('button', { className: 'btn-small', textContent: '↑', title: 'Move up' }).dataset.action = 'up';
+        add('button', { className: 'btn-small', textContent: '↓', title: 'Move down' }).dataset.action = 'down';
+        add('input', { className: 'settings-select', value: color.name, title: 'Name' }).dataset.field = 'name';
+
+        for (const which of ['device', 'measured']) {
+            const hex = Palettes.rgbToHex(color[which]);
+            add('input', { type: 'color', value: hex, title: `${which} color` }).dataset.field = which;
+            add('input', { className: 'settings-select palette-hex', value: hex, title: `${which} hex` }).dataset.field = `${which}Hex`;
+        }
+
+        add('button', { className: 'btn-small btn-danger', textContent: '×', title: 'Remove color' }).dataset.action = 'remove';
+        return row;
+    },
+
+    render() {
+        const readOnly = this.isReadOnly();
+
+        const select = this.el('select');
+        select.innerHTML = '';
+        for (const [key, palette] of Object.entries(Palettes.PALETTES)) {
+            select.appendChild(new Option(palette.custom ? palette.name : `${palette.name} (built-in)`, key));
+        }
+        if (this.key === null) {
+            select.appendChild(new Option(`${this.draft.name} (unsaved)`, ''));
+        }
+        select.value = this.key === null ? '' : this.key;
+
+        const name = this.el('name');
+        name.value = this.draft.name;
+        name.disabled = readOnly;
+
+        const colors = this.el('colors');
+        colors.innerHTML = '';
+        this.draft.colors.forEach((color, i) => colors.appendChild(this.renderRow(color, i, readOnly)));
+
+        this.el('add').disabled = readOnly;
+        this.el('save').disabled = readOnly;
+        this.el('delete').disabled = readOnly || this.key === null;
+        this.showMessage(readOnly ? 'Built-in palette: duplicate it to make changes' : '');
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PaletteEditor;
+}
@@ -0,0 +1,289 @@
+/**
+ * E-Ink Palettes
+ * Each palette entry carries two colors:
+ *   device   - the RGB value the panel firmware expects in the image file
+ *   measured - what the ink actually looks like on the panel
+ * Matching and error diffusion use the measured colors, so the dithering
+ * compensates for the duller inks; the output file gets the device colors.
+ */
+
+const Palettes = {
+    PALETTES: {
+        'ideal-7': {
+            name: '7-color (ideal)',
+            colors: [
+                { name: 'Black', device: [0, 0, 0], measured: [0, 0, 0] },
+                { name: 'White', device: [255, 255, 255], measured: [255, 255, 255] },
+                { name: 'Green', device: [0, 255, 0], measured: [0, 255, 0] },
+                { name: 'Blue', device: [0, 0, 255], measured: [0, 0, 255] },
+                { name: 'Red', device: [255, 0, 0], measured: [255, 0, 0] },
+                { name: 'Yellow', device: [255, 255, 0], measured: [255, 255, 0] },
+                { name: 'Orange', device: [255, 128, 0], measured: [255, 128, 0] }
+            ]
+        },
+        'acep-7': {
+            // Ink colors as measured for the 5.65"/5.7" and 7.3" ACeP
+            // panels (the "saturated" palette from Pimoroni's Inky library)
+            name: '7-color ACeP (measured)',
+            colors: [
+                { name: 'Black', device: [0, 0, 0], measured: [57, 48, 57] },
+                { name: 'White', device: [255, 255, 255], measured: [255, 255, 255] },
+                { name: 'Green', device: [0, 255, 0], measured: [58, 91, 70] },
+                { name: 'Blue', device: [0, 0, 255], measured: [61, 59, 94] },
+                { name: 'Red', device: [255, 0, 0], measured: [156, 72, 75] },
+                { name: 'Yellow', device: [255, 255, 0], measured: [208, 190, 71] },
+                { name: 'Orange', device: [255, 128, 0], measured: [177, 106, 73] }
+            ]
+        },
+        'spectra-6': {
+            // E Ink Spectra 6: the ACeP inks minus orange
+            name: 'Spectra 6',
+            colors: [
+                { name: 'Black', device: [0, 0, 0], measured: [0, 0, 0] },
+                { name: 'White', device: [255, 255, 255], measured: [255, 255, 255] },
+                { name: 'Yellow', device: [255, 255, 0], measured: [255, 255, 0] },
+                { name: 'Red', device: [255, 0, 0], measured: [255, 0, 0] },
+                { name: 'Blue', device: [0, 0, 255], measured: [0, 0, 255] },
+                { name: 'Green', device: [0, 255, 0], measured: [0, 255, 0] }
+            ]
+        },
+        'bwry-4': {
+            name: '4-color (black/white/red/yellow)',
+            colors: [
+                { name: 'Black', device: [0, 0, 0], measured: [0, 0, 0] },
+                { name: 'White', device: [255, 255, 255], measured: [255, 255, 255] },
+                { name: 'Yellow', device: [255, 255, 0], measured: [255, 255, 0] },
+                { name: 'Red', device: [255, 0, 0], measured: [255, 0, 0] }
+            ]
+        }
+    },
+
+    // localStorage key for user-defined palettes
+    STORAGE_KEY: 'eink-converter.palettes',
+
+    // Largest palette the output formats can index
+    MAX_COLORS: 256,
+
+    // Color arrays derived from each palette, keyed by palette object. Kept
+    // stable so per-palette caches further down the line stay warm.
+    colorCache: new WeakMap(),
+
+    /**
+     * Look up a palette by key
+     * @param {string} key - Key of PALETTES
+     * @returns {Object} - Palette { name, colors }
+     */
+    get(key) {
+        const palette = this.PALETTES[key];
+        if (!palette) {
+            throw new Error(`Unknown palette: ${key}`);
+        }
+        return palette;
+    },
+
+    /**
+     * Get one side of a palette as plain RGB arrays
+     * @param {Object} palette - Palette { name, colors }
+     * @param {string} which - 'measured' or 'device'
+     * @returns {Array} - Array of RGB color arrays
+     */
+    getColors(palette, which) {
+        let cached = this.colorCache.get(palette);
+        if (!cached) {
+            cached = {
+                measured: palette.colors.map(color => color.measured || color.device),
+                device: palette.colors.map(color => color.device)
+            };
+            this.colorCache.set(palette, cached);
+        }
+        return cached[which];
+    },
+
+    /**
+     * Colors used for matching and error diffusion
+     * @param {Object} palette - Palette { name, colors }
+     * @returns {Array} - Array of RGB color arrays
+     */
+    matchColors(palette) {
+        return this.getColors(palette, 'measured');
+    },
+
+    /**
+     * Colors written to the output file
+     * @param {Object} palette - Palette { name, colors }
+     * @returns {Array} - Array of RGB color arrays
+     */
+    deviceColors(palette) {
+        return this.getColors(palette, 'device');
+    },
+
+    /**
+     * Parse a '#rrggbb' (or 'rrggbb' / '#rgb') string
+     * @param {string} hex - Hex color
+     * @returns {Array} - RGB color array
+     */
+    hexToRgb(hex) {
+        let value = String(hex).trim().replace(/^#/, '');
+        if (/^[0-9a-f]{3}$/i.test(value)) {
+            value = value.split('').map(c => c + c).join('');
+        }
+        if (!/^[0-9a-f]{6}$/i.test(value)) {
+            throw new Error(`Invalid hex color: ${hex}`);
+        }
+        const n = parseInt(value, 16);
+        return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+    },
+
+    /**
+     * Format an RGB color array as '#rrggbb'
+     * @param {Array} rgb - RGB color array
+     * @returns {string} - Hex color
+     */
+    rgbToHex(rgb) {
+        return '#' + rgb.map(c => c.toString(16).padStart(2, '0')).join('');
+    },
+
+    /**
+     * Check a palette definition and normalize its colors to RGB arrays.
+     * Colors may be given as RGB arrays or hex strings; measured defaults
+     * to the device color.
+     * @param {Object} palette - Palette definition { name, colors }
+     * @returns {Object} - Validated palette
+     */
+    validate(palette) {
+        if (!palette || !palette.name) {
+            throw new Error('Palette needs a name');
+        }
+        if (!Array.isArray(palette.colors) || palette.colors.length < 2 || palette.colors.length > this.MAX_COLORS) {
+            throw new Error(`Palette needs between 2 and ${this.MAX_COLORS} colors`);
+        }
+
+        const toRgb = value => {
+            const rgb = typeof value === 'string' ? this.hexToRgb(value) : value;
+            if (!Array.isArray(rgb) || rgb.length !== 3 || !rgb.every(c => Number.isInteger(c) && c >= 0 && c <= 255)) {
+                throw new Error(`Invalid color: ${JSON.stringify(value)}`);
+            }
+            return rgb.slice();
+        };
+
+        return {
+            name: String(palette.name),
+            colors: palette.colors.map((color, i) => {
+                const device = toRgb(color.device);
+                return {
+                    name: color.name ? String(color.name) : `Color ${i + 1}`,
+                    device: device,
+                    measured: color.measured ? toRgb(color.measured) : device.slice()
+                };
+            }),
+            custom: true
+        };
+    },
+
+    /**
+     * Add or replace a user-defined palette
+     * @param {string} key - Palette key
+     * @param {Object} palette - Palette definition
+     * @returns {Object} - Registered palette
+     */
+    register(key, palette) {
+        if (this.PALETTES[key] && !this.PALETTES[key].custom) {
+            throw new Error(`Cannot replace built-in palette: ${key}`);
+        }
+        this.PALETTES[key] = this.validate(palette);
+        this.saveCustom();
+        return this.PALETTES[key];
+    },
+
+    /**
+     * Remove a user-defined palette
+     * @param {string} key - Palette key
+     */
+    remove(key) {
+        if (this.PALETTES[key] && this.PALETTES[key].custom) {
+            delete this.PALETTES[key];
+            this.saveCustom();
+        }
+    },
+
+    /**
+     * Pick an unused key for a palette name
+     * @param {string} name - Palette name
+     * @returns {string} - Palette key
+     */
+    keyFor(name) {
+        const base = 'custom-' + (String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'palette');
+        let key = base;
+        for (let n = 2; this.PALETTES[key]; n++) {
+            key = `${base}-${n}`;
+        }
+        return key;
+    },
+
+    /**
+     * Serialize a palette for sharing, with hex colors
+     * @param {Object} palette - Palette { name, colors }
+     * @returns {string} - JSON text
+     */
+    exportJSON(palette) {
+        return JSON.stringify({
+            name: palette.name,
+            colors: palette.colors.map(color => ({
+                name: color.name,
+                device: this.rgbToHex(color.device),
+                measured: this.rgbToHex(color.measured || color.device)
+            }))
+        }, null, 2);
+    },
+
+    /**
+     * Parse a shared palette
+     * @param {string} text - JSON text from exportJSON
+     * @returns {Object} - Validated palette
+     */
+    importJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Palette file is not valid JSON');
+        }
+        return this.validate(data);
+    },
+
+    /**
+     * Load user-defined palettes from localStorage
+     */
+    loadCustom() {
+        if (typeof localStorage === 'undefined') return;
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '{}');
+            for (const [key, palette] of Object.entries(saved)) {
+                if (!this.PALETTES[key]) {
+                    this.PALETTES[key] = this.validate(palette);
+                }
+            }
+        } catch (error) {
+            console.warn('Ignoring saved palettes:', error);
+        }
+    },
+
+    /**
+     * Save user-defined palettes to localStorage
+     */
+    saveCustom() {
+        if (typeof localStorage === 'undefined') return;
+
+        const custom = {};
+        for (const [key, palette] of Object.entries(this.PALETTES)) {
+            if (palette.custom) custom[key] = palette;
+        }
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(custom));
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Palettes;
+}
@@ -0,0 +1,179 @@
+/**
+ * PNG File Encoder
+ * Creates palette-indexed PNG files (PLTE chunk, 1/2/4/8-bit depth) from
+ * palette indices, so the file holds exactly the palette colors.
+ * PNG has no 3-bit depth; palettes of 5-16 colors use 4 bits per pixel.
+ */
+
+const PNGEncoder = {
+    SIGNATURE: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A],
+
+    // CRC-32 lookup table, built on first use
+    crcTable: null,
+
+    /**
+     * CRC-32 (ISO 3309) as used by PNG chunks
+     * @param {Uint8Array} bytes - Data to checksum
+     * @returns {number} - Unsigned CRC
+     */
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+
+    /**
+     * Smallest PNG bit depth that can index the palette
+     * @param {number} colorCount - Number of palette colors
+     * @returns {number} - 1, 2, 4 or 8
+     */
+    bitDepthFor(colorCount) {
+        if (colorCount <= 2) return 1;
+        if (colorCount <= 4) return 2;
+        if (colorCount <= 16) return 4;
+        if (colorCount <= 256) return 8;
+        throw new Error(`Indexed PNG holds at most 256 colors, palette has ${colorCount}`);
+    },
+
+    /**
+     * Compress with zlib (deflate). Uses CompressionStream where available
+     * and falls back to uncompressed deflate blocks otherwise.
+     * @param {Uint8Array} bytes - Raw data
+     * @returns {Promise<Uint8Array>} - zlib stream
+     */
+    async deflate(bytes) {
+        if (typeof CompressionStream !== 'undefined') {
+            const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        }
+        return this.deflateStored(bytes);
+    },
+
+    /**
+     * zlib stream made of stored (uncompressed) deflate blocks
+     * @param {Uint8Array} bytes - Raw data
+     * @returns {Uint8Array} - zlib stream
+     */
+    deflateStored(bytes) {
+        const blockSize = 65535;
+        const blocks = Math.max(1, Math.ceil(bytes.length / blockSize));
+        const out = new Uint8Array(2 + blocks * 5 + bytes.length + 4);
+        const view = new DataView(out.buffer);
+
+        out[0] = 0x78; // CMF: deflate, 32K window
+        out[1] = 0x01; // FLG: no dictionary, fastest
+
+        let pos = 2;
+        for (let i = 0; i < blocks; i++) {
+            const start = i * blockSize;
+            const length = Math.min(blockSize, bytes.length - start);
+            out[pos] = i === blocks - 1 ? 1 : 0; // BFINAL, BTYPE=00
+            view.setUint16(pos + 1, length, true);
+            view.setUint16(pos + 3, ~length & 0xFFFF, true);
+            out.set(bytes.subarray(start, start + length), pos + 5);
+            pos += 5 + length;
+        }
+
+        // Adler-32 of the uncompressed data
+        let a = 1;
+        let b = 0;
+        for (let i = 0; i < bytes.length; i++) {
+            a = (a + bytes[i]) % 65521;
+            b = (b + a) % 65521;
+        }
+        view.setUint32(pos, ((b << 16) | a) >>> 0);
+
+        return out;
+    },
+
+    /**
+     * Build one PNG chunk: length, type, data, CRC
+     * @param {string} type - Four-letter chunk type
+     * @param {Uint8Array} data - Chunk data
+     * @returns {Uint8Array} - Chunk bytes
+     */
+    chunk(type, data) {
+        const out = new Uint8Array(12 + data.length);
+        const view = new DataView(out.buffer);
+
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) {
+            out[4 + i] = type.charCodeAt(i);
+        }
+        out.set(data, 8);
+        view.setUint32(8 + data.length, this.crc32(out.subarray(4, 8 + data.length)));
+
+        return out;
+    },
+
+    /**
+     * Encode palette indices to an indexed PNG
+     * @param {Uint8Array} indices - Palette index per pixel, row-major, top to bottom
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {Array} colors - Array of RGB color arrays (written to PLTE)
+     * @returns {Promise<Blob>} - PNG file as Blob
+     */
+    async encodeIndexed(indices, width, height, colors) {
+        const bitDepth = this.bitDepthFor(colors.length);
+
+        // IHDR: width, height, bit depth, color type 3 (indexed), deflate, no filter, no interlace
+        const ihdr = new Uint8Array(13);
+        const ihdrView = new DataView(ihdr.buffer);
+        ihdrView.setUint32(0, width);
+        ihdrView.setUint32(4, height);
+        ihdr[8] = bitDepth;
+        ihdr[9] = 3;
+
+        const plte = new Uint8Array(colors.length * 3);
+        colors.forEach((color, i) => plte.set(color, i * 3));
+
+        // Scanlines: filter byte 0 (none), then pixels packed MSB first
+        const pixelsPerByte = 8 / bitDepth;
+        const rowBytes = Math.ceil(width / pixelsPerByte);
+        const raw = new Uint8Array((rowBytes + 1) * height);
+
+        for (let y = 0; y < height; y++) {
+            const srcRow = y * width;
+            const dstRow = y * (rowBytes + 1) + 1;
+
+            if (bitDepth === 8) {
+                raw.set(indices.subarray(srcRow, srcRow + width), dstRow);
+                continue;
+            }
+            for (let x = 0; x < width; x++) {
+                const slot = x % pixelsPerByte;
+                const shift = 8 - bitDepth * (slot + 1);
+                raw[dstRow + (x - slot) / pixelsPerByte] |= indices[srcRow + x] << shift;
+            }
+        }
+
+        const parts = [
+            new Uint8Array(this.SIGNATURE),
+            this.chunk('IHDR', ihdr),
+            this.chunk('PLTE', plte),
+            this.chunk('IDAT', await this.deflate(raw)),
+            this.chunk('IEND', new Uint8Array(0))
+        ];
+
+        return new Blob(parts, { type: 'image/png' });
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PNGEncoder;
+}
@@ -0,0 +1,425 @@
+/**
+ * Preview Inspector
+ * Full-size view of a conversion result: simulated e-ink colors (see
+ * Simulation), measured or device colors, zoomed to fit or up to 16
+ * output pixels per screen pixel, with drag or arrow-key panning.
+ *
+ * For comparison it can put the original under an A/B slider, or show
+ * the same image dithered another way side by side with the views kept
+ * in step. At 1:1 one output pixel is one device pixel.
+ */
+
+const PreviewInspector = {
+    root: null,
+    canvas: null,
+
+    // Current session: { title, result, dither, loadOriginal, convertWith } (see open)
+    session: null,
+
+    // Result rendered in the current colors, and the comparison layers
+    layers: { output: null, original: null, compare: null },
+
+    // Result shown in the right-hand pane
+    compareResult: null,
+
+    // Other dither results of this session, by dither key (promises)
+    comparisons: new Map(),
+
+    // Bumped on open, close and comparison changes so late results are dropped
+    token: 0,
+
+    // View state: zoom in canvas pixels per output pixel (null to fit),
+    // center in output pixels, split position of the A/B slider in percent
+    zoom: null,
+    center: null,
+    split: 50,
+    drag: null,
+
+    COLORS: {
+        simulated: 'Simulated e-ink',
+        measured: 'Panel (measured)',
+        device: 'Device colors'
+    },
+
+    COMPARES: {
+        none: 'No comparison',
+        original: 'A/B with the original',
+        dither: 'Side by side with another dither'
+    },
+
+    ZOOMS: [1, 2, 4, 8, 16],
+
+    // Largest size of the view in canvas pixels, and the gap between side-by-side panes
+    VIEW_WIDTH: 960,
+    VIEW_HEIGHT: 600,
+    GAP: 8,
+
+    /**
+     * Wire up the inspector
+     * @param {HTMLElement} root - Inspector overlay (see index.html)
+     */
+    init(root) {
+        this.root = root;
+        this.canvas = this.el('canvas');
+
+        const options = map => Object.entries(map).map(([key, label]) => `<option value="${key}">${label}</option>`).join('');
+        this.el('colors').innerHTML = options(this.COLORS);
+        this.el('compare').innerHTML = options(this.COMPARES);
+        this.el('dither').innerHTML = options(ImageConverter.getDitherOptions());
+
+        this.el('colors').addEventListener('change', () => this.refresh());
+        this.el('paper').addEventListener('input', () => this.simulationChanged());
+        this.el('contrast').addEventListener('input', () => this.simulationChanged());
+        this.el('compare').addEventListener('change', () => this.loadComparison());
+        this.el('dither').addEventListener('change', () => this.loadComparison());
+        this.el('split').addEventListener('input', () => {
+            this.split = Number(this.el('split').value);
+            this.render();
+        });
+        this.el('zoom-out').addEventListener('click', () => this.zoomStep(-1));
+        this.el('zoom-in').addEventListener('click', () => this.zoomStep(1));
+        this.el('fit').addEventListener('click', () => this.zoomTo(null));
+        this.el('actual').addEventListener('click', () => this.zoomTo(1));
+        this.el('close').addEventListener('click', () => this.close());
+
+        this.canvas.addEventListener('pointerdown', (e) => {
+            this.drag = { x: e.clientX, y: e.clientY };
+            this.canvas.setPointerCapture(e.pointerId);
+        });
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (!this.drag) {
+                this.showPixel(e);
+                return;
+            }
+            // The canvas may be shown smaller than its pixel size
+            const scale = this.getZoom() * this.canvas.getBoundingClientRect().width / this.canvas.width;
+            this.pan((this.drag.x - e.clientX) / scale, (this.drag.y - e.clientY) / scale);
+            this.drag = { x: e.clientX, y: e.clientY };
+        });
+        this.canvas.addEventListener('pointerup', () => { this.drag = null; });
+        this.canvas.addEventListener('pointerleave', () => this.showInfo());
+        this.canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.zoomStep(e.deltaY < 0 ? 1 : -1);
+        });
+
+        root.addEventListener('keydown', (e) => this.handleKey(e));
+    },
+
+    // Find an inspector element by its data-inspect attribute
+    el(name) {
+        return this.root.querySelector(`[data-inspect="${name}"]`);
+    },
+
+    /**
+     * Open the inspector for a conversion result
+     * @param {Object} session - What to show:
+     * @param {string} session.title - Shown in the info line
+     * @param {Object} session.result - { indices, palette, width, height }
+     * @param {string} session.dither - Dither key the result was made with
+     * @param {Function} session.loadOriginal - async () => ImageData of the undithered image at the output size
+     * @param {Function} session.convertWith - async (dither) => result like session.result, dithered that way instead
+     */
+    open(session) {
+        this.token++;
+        this.session = session;
+        this.comparisons = new Map();
+        this.layers = { output: null, original: null, compare: null };
+        this.compareResult = null;
+        this.zoom = null;
+        this.center = null;
+        this.split = 50;
+
+        const simulation = Simulation.options || Simulation.DEFAULTS;
+        this.el('paper').value = Palettes.rgbToHex(simulation.paper);
+        this.el('contrast').value = Math.round(simulation.contrast * 100);
+        this.el('compare').value = 'none';
+        this.el('split').value = this.split;
+        this.el('dither').value = Object.keys(ImageConverter.getDitherOptions()).find(key => key !== session.dither);
+
+        this.refresh();
+        this.root.classList.add('visible');
+        this.root.focus();
+    },
+
+    close() {
+        this.token++;
+        this.root.classList.remove('visible');
+        this.session = null;
+        this.comparisons = new Map();
+        this.layers = { output: null, original: null, compare: null };
+        this.compareResult = null;
+        this.drag = null;
+    },
+
+    // Paper color or contrast edited
+    simulationChanged() {
+        try {
+            Simulation.save({ paper: this.el('paper').value, contrast: Number(this.el('contrast').value) / 100 });
+        } catch (error) {
+            this.showInfo(error.message);
+            return;
+        }
+        if (this.el('colors').value === 'simulated') this.refresh();
+    },
+
+    /**
+     * Colors a result is shown in
+     * @param {Object} result - { indices, palette, width, height }
+     * @returns {HTMLCanvasElement} - Result at full size
+     */
+    paint(result) {
+        const { indices, palette, width, height } = result;
+        let imageData;
+        switch (this.el('colors').value) {
+            case 'simulated':
+                imageData = Simulation.render(result, Simulation.options || Simulation.DEFAULTS);
+                break;
+            case 'measured':
+                imageData = ImageConverter.renderIndices(indices, width, height, Palettes.matchColors(palette));
+                break;
+            default:
+                imageData = ImageConverter.renderIndices(indices, width, height, Palettes.deviceColors(palette));
+        }
+        return this.toCanvas(imageData);
+    },
+
+    toCanvas(imageData) {
+        const canvas = document.createElement('canvas');
+        canvas.width = imageData.width;
+        canvas.height = imageData.height;
+        canvas.getContext('2d').putImageData(imageData, 0, 0);
+        return canvas;
+    },
+
+    // Repaint the result layers in the current colors
+    refresh() {
+        if (!this.session) return;
+        this.el('paper').disabled = this.el('contrast').disabled = this.el('colors').value !== 'simulated';
+        this.layers.output = this.paint(this.session.result);
+        this.loadComparison();
+    },
+
+    // Fetch what the comparison needs, then draw
+    async loadComparison() {
+        const compare = this.el('compare').value;
+        this.el('split').hidden = compare !== 'original';
+        this.el('dither').disabled = compare !== 'dither';
+        this.layers.compare = null;
+        this.compareResult = null;
+
+        const token = ++this.token;
+        const session = this.session;
+        try {
+            if (compare === 'original' && !this.layers.original) {
+                this.render();
+                this.showInfo('Loading the original…');
+                const original = this.toCanvas(await session.loadOriginal());
+                if (token !== this.token) return;
+                this.layers.original = original;
+            } else if (compare === 'dither') {
+                const dither = this.el('dither').value;
+                if (!this.comparisons.has(dither)) {
+                    this.comparisons.set(dither, session.convertWith(dither));
+                }
+                this.render();
+                this.showInfo(`Dithering with ${ImageConverter.getDitherOptions()[dither]}…`);
+                const result = await this.comparisons.get(dither);
+                if (token !== this.token) return;
+                this.layers.compare = this.paint(result);
+                this.compareResult = result;
+            }
+        } catch (error) {
+            if (token !== this.token) return;
+            // A failed conversion is tried again next time
+            this.comparisons.delete(this.el('dither').value);
+            this.render();
+            this.showInfo(error.name === 'AbortError' ? 'Comparison cancelled' : error.message);
+            return;
+        }
+        this.render();
+        this.showInfo();
+    },
+
+    // Panes shown side by side
+    getPanes() {
+        return this.layers.compare ? 2 : 1;
+    },
+
+    // Zoom that fits the whole result into the view
+    getFitZoom() {
+        const { width, height } = this.session.result;
+        const panes = this.getPanes();
+        const fit = Math.min((this.VIEW_WIDTH - (panes - 1) * this.GAP) / panes / width, this.VIEW_HEIGHT / height);
+        return Math.min(fit, this.ZOOMS[this.ZOOMS.length - 1]);
+    },
+
+    getZoom() {
+        return this.zoom || this.getFitZoom();
+    },
+
+    /**
+     * Zoom to a level
+     * @param {number|null} zoom - Canvas pixels per output pixel, null to fit
+     */
+    zoomTo(zoom) {
+        this.zoom = zoom;
+        this.render();
+        this.showInfo();
+    },
+
+    // Next zoom level in or out; out past the smallest level fits
+    zoomStep(direction) {
+        const current = this.getZoom();
+        if (direction > 0) {
+            const next = this.ZOOMS.find(zoom => zoom > current + 1e-6);
+            if (next) this.zoomTo(next);
+        } else {
+            const lower = this.ZOOMS.filter(zoom => zoom < current - 1e-6 && zoom > this.getFitZoom());
+            this.zoomTo(lower.length ? lower[lower.length - 1] : null);
+        }
+    },
+
+    pan(dx, dy) {
+        const { width, height } = this.session.result;
+        const center = this.center || { x: width / 2, y: height / 2 };
+        this.center = { x: center.x + dx, y: center.y + dy };
+        this.render();
+    },
+
+    handleKey(e) {
+        if (!this.session) return;
+
+        // Arrow keys move by a tenth of the view, half with Shift
+        const view = this.getView();
+        const step = (e.shiftKey ? 0.5 : 0.1) * Math.max(view.width, view.height);
+
+        switch (e.key) {
+            case 'ArrowLeft': this.pan(-step, 0); break;
+            case 'ArrowRight': this.pan(step, 0); break;
+            case 'ArrowUp': this.pan(0, -step); break;
+            case 'ArrowDown': this.pan(0, step); break;
+            case '+': case '=': this.zoomStep(1); break;
+            case '-': case '_': this.zoomStep(-1); break;
+            case '1': this.zoomTo(1); break;
+            case '0': this.zoomTo(null); break;
+            case 'Escape': this.close(); break;
+            default: return;
+        }
+        e.preventDefault();
+    },
+
+    /**
+     * Part of the result each pane shows, kept inside the image
+     * @returns {Object} - { x, y, width, height } in output pixels, plus paneWidth and paneHeight in canvas pixels
+     */
+    getView() {
+        const { width, height } = this.session.result;
+        const panes = this.getPanes();
+        const zoom = this.getZoom();
+
+        const paneWidth = Math.max(1, Math.min(Math.round(width * zoom), Math.floor((this.VIEW_WIDTH - (panes - 1) * this.GAP) / panes)));
+        const paneHeight = Math.max(1, Math.min(Math.round(height * zoom), this.VIEW_HEIGHT));
+        const viewWidth = Math.min(width, paneWidth / zoom);
+        const viewHeight = Math.min(height, paneHeight / zoom);
+
+        const center = this.center || { x: width / 2, y: height / 2 };
+        const x = Math.min(Math.max(center.x - viewWidth / 2, 0), width - viewWidth);
+        const y = Math.min(Math.max(center.y - viewHeight / 2, 0), height - viewHeight);
+
+        // Store the clamped center so dragging past an edge doesn't build up
+        this.center = { x: x + viewWidth / 2, y: y + viewHeight / 2 };
+
+        return { x, y, width: viewWidth, height: viewHeight, paneWidth, paneHeight };
+    },
+
+    render() {
+        if (!this.session || !this.layers.output) return;
+
+        const view = this.getView();
+        const panes = this.getPanes();
+        const canvas = this.canvas;
+        canvas.width = panes * view.paneWidth + (panes - 1) * this.GAP;
+        canvas.height = view.paneHeight;
+        // Canvas pixels are device pixels, so 1:1 really is one pixel each
+        const ratio = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+        canvas.style.width = `${canvas.width / ratio}px`;
+
+        const ctx = canvas.getContext('2d');
+        // Scaled down, averaging shows the mix of inks the eye sees from a distance
+        ctx.imageSmoothingEnabled = this.getZoom() < 1;
+        const draw = (layer, left) => ctx.drawImage(
+            layer, view.x, view.y, view.width, view.height, left, 0, view.paneWidth, view.paneHeight
+        );
+
+        draw(this.layers.output, 0);
+
+        if (this.layers.compare) {
+            draw(this.layers.compare, view.paneWidth + this.GAP);
+        } else if (this.el('compare').value === 'original' && this.layers.original) {
+            // Original on the left of the slider, the result on the right
+            const splitX = Math.round(view.paneWidth * this.split / 100);
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(0, 0, splitX, view.paneHeight);
+            ctx.clip();
+            draw(this.layers.original, 0);
+            ctx.restore();
+
+            ctx.fillStyle = '#FFFFFF';
+            ctx.fillRect(splitX - 1, 0, 2, view.paneHeight);
+        }
+    },
+
+    /**
+     * Palette color of the output pixel under the pointer
+     * @param {PointerEvent} e - Pointer event on the canvas
+     */
+    showPixel(e) {
+        if (!this.session || !this.layers.output) return;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const view = this.getView();
+        let x = (e.clientX - rect.left) * this.canvas.width / rect.width;
+        const y = (e.clientY - rect.top) * this.canvas.height / rect.height;
+
+        // The right-hand pane shows the comparison
+        let result = this.session.result;
+        if (x >= view.paneWidth) {
+            if (!this.layers.compare || x < view.paneWidth + this.GAP) return this.showInfo();
+            x -= view.paneWidth + this.GAP;
+            result = this.compareResult;
+        }
+
+        const px = Math.floor(view.x + x / this.getZoom());
+        const py = Math.floor(view.y + y / this.getZoom());
+        if (!result || px < 0 || py < 0 || px >= result.width || py >= result.height) return this.showInfo();
+
+        const color = result.palette.colors[result.indices[py * result.width + px]];
+        this.showInfo(`pixel ${px}, ${py}: ${color.name} (${Palettes.rgbToHex(color.device)})`);
+    },
+
+    /**
+     * Update the info line
+     * @param {string} extra - Status or pixel readout to add (optional)
+     */
+    showInfo(extra = '') {
+        if (!this.session) return;
+
+        const { title, result } = this.session;
+        const zoom = this.getZoom();
+        const zoomText = this.zoom === null ? `fit (${Math.round(zoom * 100)}%)` : `${zoom}:1`;
+        const parts = [title, `${result.width}x${result.height}`, zoomText];
+        if (this.layers.compare) {
+            const dithers = ImageConverter.getDitherOptions();
+            parts.push(`left: ${dithers[this.session.dither] || this.session.dither}, right: ${dithers[this.el('dither').value]}`);
+        }
+        if (extra) parts.push(extra);
+        this.el('info').textContent = parts.join(' · ');
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PreviewInspector;
+}
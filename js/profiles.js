@@ -0,0 +1,234 @@
+/**
+ * Display Profiles
+ * Bundles everything that depends on the target panel: resolution,
+ * palette, mounting orientation and output format.
+ * Width and height are given in the panel's native (landscape) orientation.
+ * controllerCodes maps each palette slot to the color code the panel
+ * controller uses in packed frame buffers; packedBits is how many bits
+ * one pixel takes in that buffer. pixelPitch is the size of one pixel in
+ * millimetres, which turns bezel gaps into pixels on walls (see Wall).
+ */
+
+const DisplayProfiles = {
+    PROFILES: {
+        '7in3-acep': {
+            name: '7.3" ACeP (800x480)',
+            width: 800,
+            height: 480,
+            palette: 'ideal-7',
+            orientation: 'any',
+            pixelPitch: 0.2,
+            format: 'bmp',
+            // epd7in3f / epd5in65f: black, white, green, blue, red, yellow, orange
+            controllerCodes: [0, 1, 2, 3, 4, 5, 6],
+            packedBits: 4
+        },
+        '5in65-acep': {
+            name: '5.65" ACeP (600x448)',
+            width: 600,
+            height: 448,
+            palette: 'ideal-7',
+            orientation: 'any',
+            pixelPitch: 0.1915,
+            format: 'bmp',
+            // epd7in3f / epd5in65f: black, white, green, blue, red, yellow, orange
+            controllerCodes: [0, 1, 2, 3, 4, 5, 6],
+            packedBits: 4
+        },
+        '13in3-spectra6': {
+            name: '13.3" Spectra 6 (1600x1200)',
+            width: 1600,
+            height: 1200,
+            palette: 'spectra-6',
+            orientation: 'any',
+            pixelPitch: 0.169,
+            format: 'bmp',
+            // epd13in3e: code 4 is unused (no orange)
+            controllerCodes: [0, 1, 2, 3, 5, 6],
+            packedBits: 4
+        },
+        '7in3-bwry': {
+            name: '7.3" 4-color BWRY (800x480)',
+            width: 800,
+            height: 480,
+            palette: 'bwry-4',
+            orientation: 'any',
+            pixelPitch: 0.2,
+            format: 'bmp',
+            // epd7in3g: black, white, yellow, red at two bits per pixel
+            controllerCodes: [0, 1, 2, 3],
+            packedBits: 2
+        }
+    },
+
+    DEFAULT: '7in3-acep',
+
+    // localStorage key for user-defined profiles
+    STORAGE_KEY: 'eink-converter.profiles',
+
+    /**
+     * Look up a profile by key
+     * @param {string} key - Key of PROFILES
+     * @returns {Object} - Profile
+     */
+    get(key) {
+        const profile = this.PROFILES[key];
+        if (!profile) {
+            throw new Error(`Unknown display profile: ${key}`);
+        }
+        return profile;
+    },
+
+    /**
+     * Target dimensions for a profile in a given orientation
+     * @param {Object} profile - Display profile
+     * @param {string} orientation - 'landscape' or 'portrait'
+     * @returns {Object} - Target dimensions { width, height }
+     */
+    getDimensions(profile, orientation) {
+        const long = Math.max(profile.width, profile.height);
+        const short = Math.min(profile.width, profile.height);
+        return orientation === 'portrait'
+            ? { width: short, height: long }
+            : { width: long, height: short };
+    },
+
+    /**
+     * Check a profile definition and fill in defaults
+     * @param {Object} profile - Profile definition
+     * @returns {Object} - Validated profile
+     */
+    validate(profile) {
+        const width = Math.round(Number(profile.width));
+        const height = Math.round(Number(profile.height));
+        if (!(width > 0 && height > 0 && width <= 8192 && height <= 8192)) {
+            throw new Error('Profile width and height must be between 1 and 8192');
+        }
+        if (!profile.name) {
+            throw new Error('Profile needs a name');
+        }
+        const name = String(profile.name);
+
+        const palette = profile.palette || 'ideal-7';
+        if (!Palettes.PALETTES[palette]) {
+            throw new Error(`Profile "${name}" uses an unknown palette: ${palette}`);
+        }
+
+        const orientation = profile.orientation || 'any';
+        if (!['any', 'landscape', 'portrait'].includes(orientation)) {
+            throw new Error(`Unknown profile orientation: ${profile.orientation}`);
+        }
+
+        const packedBits = Number(profile.packedBits) || 4;
+        if (packedBits !== 2 && packedBits !== 4) {
+            throw new Error('Packed bits per pixel must be 2 or 4');
+        }
+
+        const pixelPitch = Number(profile.pixelPitch) > 0 ? Number(profile.pixelPitch) : null;
+
+        let controllerCodes = profile.controllerCodes || null;
+        if (typeof controllerCodes === 'string') {
+            controllerCodes = controllerCodes.trim() ? this.parseCodes(controllerCodes) : null;
+        }
+        const colorCount = Palettes.get(palette).colors.length;
+        if (controllerCodes && controllerCodes.length !== colorCount) {
+            throw new Error(`Profile "${name}" needs one controller code per ${palette} color (${colorCount}), got ${controllerCodes.length}`);
+        }
+
+        return {
+            name: name,
+            width: width,
+            height: height,
+            palette: palette,
+            orientation: orientation,
+            pixelPitch: pixelPitch,
+            format: profile.format || 'bmp',
+            controllerCodes: controllerCodes,
+            packedBits: packedBits,
+            custom: true
+        };
+    },
+
+    /**
+     * Parse a controller code map such as "0, 1, 2, 3, 5, 6" or "0x0 0x1 0x2"
+     * @param {string} text - Codes separated by commas or spaces
+     * @returns {Array} - Controller code per palette slot
+     */
+    parseCodes(text) {
+        return String(text).split(/[\s,]+/).filter(Boolean).map(part => {
+            const code = Number(part);
+            if (!Number.isInteger(code) || code < 0 || code > 15) {
+                throw new Error(`Invalid controller code: ${part}`);
+            }
+            return code;
+        });
+    },
+
+    /**
+     * Add or replace a user-defined profile
+     * @param {string} key - Profile key
+     * @param {Object} profile - Profile definition
+     * @returns {Object} - Registered profile
+     */
+    register(key, profile) {
+        if (this.PROFILES[key] && !this.PROFILES[key].custom) {
+            throw new Error(`Cannot replace built-in profile: ${key}`);
+        }
+        this.PROFILES[key] = this.validate(profile);
+        this.saveCustom();
+        return this.PROFILES[key];
+    },
+
+    /**
+     * Remove a user-defined profile
+     * @param {string} key - Profile key
+     */
+    remove(key) {
+        if (this.PROFILES[key] && this.PROFILES[key].custom) {
+            delete this.PROFILES[key];
+            this.saveCustom();
+        }
+    },
+
+    /**
+     * Load user-defined profiles from localStorage. One that no longer
+     * validates, e.g. because its palette was deleted, is skipped.
+     */
+    loadCustom() {
+        if (typeof localStorage === 'undefined') return;
+
+        let saved;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '{}');
+        } catch (error) {
+            console.warn('Ignoring saved display profiles:', error);
+            return;
+        }
+        for (const [key, profile] of Object.entries(saved)) {
+            if (this.PROFILES[key]) continue;
+            try {
+                this.PROFILES[key] = this.validate(profile);
+            } catch (error) {
+                console.warn(`Ignoring saved display profile ${key}:`, error);
+            }
+        }
+    },
+
+    /**
+     * Save user-defined profiles to localStorage
+     */
+    saveCustom() {
+        if (typeof localStorage === 'undefined') return;
+
+        const custom = {};
+        for (const [key, profile] of Object.entries(this.PROFILES)) {
+            if (profile.custom) custom[key] = profile;
+        }
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(custom));
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DisplayProfiles;
+}
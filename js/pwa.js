@@ -0,0 +1,105 @@
+/**
+ * Progressive Web App
+ * Registers the service worker (sw.js) that keeps the app working offline,
+ * offers waiting updates to the page, and hands over photos sent to the
+ * app from a phone's share sheet.
+ *
+ * Shared photos arrive as a POST to SHARE_PATH (see share_target in
+ * manifest.webmanifest). The service worker keeps the files in
+ * SHARE_CACHE and redirects to the page with ?shared=1, which takes them
+ * out again. Loaded by both the page and sw.js.
+ */
+
+const Pwa = {
+    SW_URL: 'sw.js',
+
+    // Share target: action path, form field of the files, and the cache between the two
+    SHARE_PATH: 'share-target',
+    SHARE_FIELD: 'photos',
+    SHARE_CACHE: 'eink-converter-share',
+    SHARE_PARAM: 'shared',
+
+    /**
+     * Register the service worker (page side)
+     * @param {Function} onUpdate - Called with activate(), which switches to a waiting update and reloads
+     */
+    async register(onUpdate) {
+        if (typeof navigator === 'undefined' || !navigator.serviceWorker) return;
+
+        let registration;
+        try {
+            registration = await navigator.serviceWorker.register(this.SW_URL);
+        } catch (error) {
+            console.warn('Offline mode unavailable:', error);
+            return;
+        }
+
+        // On the very first install there is no older version to replace
+        const hadController = Boolean(navigator.serviceWorker.controller);
+        const offer = worker => onUpdate(() => worker.postMessage({ type: 'skip-waiting' }));
+
+        if (registration.waiting && hadController) offer(registration.waiting);
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) offer(worker);
+            });
+        });
+
+        // Reload once the new version has taken over
+        let reloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (!hadController || reloading) return;
+            reloading = true;
+            location.reload();
+        });
+    },
+
+    /**
+     * Keep the files of a share until the page takes them (service worker side)
+     * @param {FormData} formData - Body of the share target POST
+     * @returns {Promise<number>} - Number of files kept
+     */
+    async storeSharedFiles(formData) {
+        const cache = await caches.open(this.SHARE_CACHE);
+        const files = formData.getAll(this.SHARE_FIELD).filter(file => typeof file !== 'string');
+        const stamp = Date.now();
+
+        // Names and dates travel in headers; they may hold any character
+        await Promise.all(files.map((file, i) => cache.put(`${this.SHARE_PATH}/${stamp}-${i}`, new Response(file, {
+            headers: {
+                'Content-Type': file.type || 'application/octet-stream',
+                'X-Filename': encodeURIComponent(file.name),
+                'X-Last-Modified': String(file.lastModified)
+            }
+        }))));
+        return files.length;
+    },
+
+    /**
+     * Take the shared files out of the cache (page side)
+     * @returns {Promise<Array>} - Files, in the order they were shared
+     */
+    async takeSharedFiles() {
+        if (typeof caches === 'undefined') return [];
+
+        const cache = await caches.open(this.SHARE_CACHE);
+        const files = [];
+        for (const request of await cache.keys()) {
+            const response = await cache.match(request);
+            const blob = await response.blob();
+            const name = decodeURIComponent(response.headers.get('X-Filename') || 'shared-photo');
+            files.push(new File([blob], name, {
+                type: response.headers.get('Content-Type') || blob.type,
+                lastModified: Number(response.headers.get('X-Last-Modified')) || Date.now()
+            }));
+            await cache.delete(request);
+        }
+        return files;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Pwa;
+}
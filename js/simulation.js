@@ -0,0 +1,107 @@
+/**
+ * E-Ink Simulation
+ * Shows a conversion result roughly as the panel will: each palette slot
+ * in its measured ink color, on paper that is darker and warmer than a
+ * screen's white, with the panel's lower contrast.
+ *
+ * Contrast is how much of the paper's brightness the inks span: at 0.8
+ * the blackest ink still reflects 20% of the paper color, which is how
+ * e-paper's washed-out blacks look next to a monitor.
+ */
+
+const Simulation = {
+    // localStorage key for the simulation settings
+    STORAGE_KEY: 'eink-converter.simulation',
+
+    DEFAULTS: {
+        paper: [232, 228, 216],
+        contrast: 0.85
+    },
+
+    MIN_CONTRAST: 0.5,
+
+    // Current simulation settings
+    options: null,
+
+    /**
+     * Check simulation settings and fill in defaults
+     * @param {Object} options - { paper, contrast } with paper an RGB array or hex string
+     * @returns {Object} - Normalized settings
+     */
+    normalizeOptions(options = {}) {
+        const normalized = { ...this.DEFAULTS, ...options };
+
+        const paper = typeof normalized.paper === 'string' ? Palettes.hexToRgb(normalized.paper) : normalized.paper;
+        if (!Array.isArray(paper) || paper.length !== 3 || !paper.every(c => Number.isInteger(c) && c >= 0 && c <= 255)) {
+            throw new Error('Paper color must be [r, g, b] with values from 0 to 255');
+        }
+        normalized.paper = paper.slice();
+
+        normalized.contrast = Number(normalized.contrast);
+        if (!(normalized.contrast >= this.MIN_CONTRAST && normalized.contrast <= 1)) {
+            throw new Error(`Contrast must be between ${this.MIN_CONTRAST} and 1: ${options.contrast}`);
+        }
+        return normalized;
+    },
+
+    /**
+     * Palette colors as they look on the panel
+     * @param {Object} palette - Palette { name, colors }
+     * @param {Object} options - Simulation settings
+     * @returns {Array} - Array of RGB color arrays, one per palette slot
+     */
+    inkColors(palette, options) {
+        const { paper, contrast } = this.normalizeOptions(options);
+        return Palettes.matchColors(palette).map(color => color.map((value, k) =>
+            Math.round(paper[k] * (1 - contrast + contrast * value / 255))
+        ));
+    },
+
+    /**
+     * Render a conversion result in simulated ink colors
+     * @param {Object} result - { indices, palette, width, height }
+     * @param {Object} options - Simulation settings
+     * @returns {ImageData}
+     */
+    render(result, options) {
+        const { indices, palette, width, height } = result;
+        return ImageConverter.renderIndices(indices, width, height, this.inkColors(palette, options));
+    },
+
+    /**
+     * Load saved settings
+     */
+    load() {
+        this.options = { ...this.DEFAULTS };
+        if (typeof localStorage === 'undefined') return;
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '{}');
+            this.options = this.normalizeOptions(saved);
+        } catch (error) {
+            console.warn('Ignoring saved simulation settings:', error);
+        }
+    },
+
+    /**
+     * Check and keep new simulation settings
+     * @param {Object} options - Simulation settings
+     * @returns {Object} - Normalized settings
+     */
+    save(options) {
+        this.options = this.normalizeOptions(options);
+        if (typeof localStorage !== 'undefined') {
+            try {
+                localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.options));
+            } catch (error) {
+                console.warn('Could not save simulation settings:', error);
+            }
+        }
+        return this.options;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Simulation;
+}
@@ -0,0 +1,295 @@
+/**
+ * Slideshow Bundle
+ * Lays converted images out for frames that play a folder from an SD card:
+ * one folder, filenames from a template in grid order, and a playlist
+ * manifest with each slide's duration, orientation and caption.
+ *
+ * Templates use {field} or {field:03} (zero-padded to 3 digits) with the
+ * fields in TEMPLATE_FIELDS; {date} takes a date format instead, as in
+ * {date:YYYYMMDD_HHmm} (see Overlays.formatDate). The extension always follows the output
+ * format, so "{index:03}_{name}.bmp" still ends in .png for PNG output.
+ * With shortNames on, every path in the bundle is cut to FAT 8.3 form
+ * (8 characters, dot, 3 characters, upper case) for firmware that can't
+ * read long names: slides, folders and the manifests, and the default
+ * template becomes SHORT_TEMPLATE so the names still sort in slide order.
+ */
+
+const Slideshow = {
+    // localStorage key for the bundle settings
+    STORAGE_KEY: 'eink-converter.slideshow',
+
+    DEFAULTS: {
+        template: '{index:03}_{name}_{orientation}',
+        folder: 'slides',
+        shortNames: false,
+        duration: 60,
+        manifest: 'both'
+    },
+
+    // Default template under shortNames: the index first, so cutting to 8 characters keeps the order
+    SHORT_TEMPLATE: '{index:04}{name}',
+
+    // Manifest files, by manifest type, with long and 8.3 names
+    MANIFEST_FILES: {
+        json: { long: 'playlist.json', short: 'PLAYLIST.JSN' },
+        txt: { long: 'playlist.txt', short: 'PLAYLIST.TXT' }
+    },
+
+    MANIFESTS: {
+        both: 'JSON + text',
+        json: 'JSON (playlist.json)',
+        txt: 'Text (playlist.txt)'
+    },
+
+    // Template fields, filled from each slide
+    TEMPLATE_FIELDS: ['index', 'name', 'orientation', 'width', 'height', 'profile', 'mode', 'dither', 'format', 'caption', 'date', 'camera'],
+
+    // Current bundle settings
+    options: null,
+
+    /**
+     * Check bundle settings and fill in defaults
+     * @param {Object} options - { template, folder, shortNames, duration, manifest }
+     * @returns {Object} - Normalized settings
+     */
+    normalizeOptions(options = {}) {
+        const normalized = { ...this.DEFAULTS, ...options };
+
+        normalized.template = String(normalized.template).trim();
+        if (!normalized.template) {
+            throw new Error('Naming template is empty');
+        }
+        // Fails on unknown fields
+        this.formatTemplate(normalized.template, {});
+
+        normalized.shortNames = normalized.shortNames === true || normalized.shortNames === 'true';
+        normalized.folder = String(normalized.folder).split(/[\\/]+/)
+            .map(part => normalized.shortNames ? this.shortFolder(part) : this.sanitize(part))
+            .filter(Boolean)
+            .join('/');
+
+        // The default templates follow the name length
+        if (normalized.shortNames && normalized.template === this.DEFAULTS.template) {
+            normalized.template = this.SHORT_TEMPLATE;
+        } else if (!normalized.shortNames && normalized.template === this.SHORT_TEMPLATE) {
+            normalized.template = this.DEFAULTS.template;
+        }
+
+        normalized.duration = Number(normalized.duration);
+        if (!(normalized.duration > 0)) {
+            throw new Error(`Display duration must be a positive number of seconds: ${options.duration}`);
+        }
+
+        if (!this.MANIFESTS[normalized.manifest]) {
+            throw new Error(`Unknown manifest: ${normalized.manifest}`);
+        }
+        return normalized;
+    },
+
+    /**
+     * Fill in a naming template
+     * @param {string} template - e.g. '{index:03}_{name}'
+     * @param {Object} fields - Values for TEMPLATE_FIELDS (missing ones come out empty), date in ms
+     * @returns {string}
+     */
+    formatTemplate(template, fields) {
+        return template.replace(/\{(\w+)(?::([^}]+))?\}/g, (match, field, argument) => {
+            if (!this.TEMPLATE_FIELDS.includes(field)) {
+                throw new Error(`Unknown template field {${field}} (use ${this.TEMPLATE_FIELDS.map(f => `{${f}}`).join(', ')})`);
+            }
+            if (field === 'date') {
+                const date = fields.date === undefined || fields.date === null ? null : new Date(fields.date);
+                return date && !isNaN(date.getTime()) ? Overlays.formatDate(date, argument || 'YYYY-MM-DD') : '';
+            }
+            if (argument !== undefined && !/^\d+$/.test(argument)) {
+                throw new Error(`Template field {${field}} only takes a digit count, as in {${field}:03}`);
+            }
+            const value = fields[field] === undefined || fields[field] === null ? '' : String(fields[field]);
+            return argument ? value.padStart(Number(argument), '0') : value;
+        });
+    },
+
+    /**
+     * Make text safe as part of a filename on any card reader
+     * @param {string} text - Name part
+     * @returns {string}
+     */
+    sanitize(text) {
+        return String(text).replace(/[^A-Za-z0-9._-]+/g, '_').replace(/_{2,}/g, '_').replace(/^[._]+|[._]+$/g, '');
+    },
+
+    /**
+     * Cut a filename to 8.3 form, keeping it unique
+     * @param {string} base - Name without extension
+     * @param {string} extension - Extension without the dot
+     * @param {Set} used - Names already taken (upper case); the result is added
+     * @returns {string}
+     */
+    shortName(base, extension, used) {
+        const stem = (base.toUpperCase().replace(/[^A-Z0-9_-]/g, '') || 'SLIDE').slice(0, 8);
+        const ext = extension.toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 3);
+
+        let name = `${stem}.${ext}`;
+        for (let n = 1; used.has(name); n++) {
+            const suffix = `~${n}`;
+            name = `${stem.slice(0, 8 - suffix.length)}${suffix}.${ext}`;
+        }
+        used.add(name);
+        return name;
+    },
+
+    /**
+     * Cut a folder name to 8.3 form (8 characters, no extension)
+     * @param {string} part - One folder of the path
+     * @returns {string} - Empty when nothing usable is left
+     */
+    shortFolder(part) {
+        return String(part).toUpperCase().replace(/[^A-Z0-9_-]/g, '').slice(0, 8);
+    },
+
+    /**
+     * Filename for one slide
+     * @param {Object} slide - See buildBundle
+     * @param {number} index - Position in the slideshow, from 1
+     * @param {Object} options - Normalized bundle settings
+     * @param {Set} used - Names already taken; the result is added
+     * @returns {string}
+     */
+    slideFilename(slide, index, options, used) {
+        const settings = slide.settings;
+        const extension = ImageConverter.FORMATS[settings.format].extension;
+        const formatted = this.formatTemplate(options.template, {
+            index: index,
+            name: slide.sourceName.replace(/\.[^/.]+$/, ''),
+            orientation: slide.orientation,
+            width: slide.width,
+            height: slide.height,
+            profile: settings.profile,
+            mode: settings.mode,
+            dither: settings.dither,
+            format: settings.format,
+            caption: slide.caption,
+            date: slide.date,
+            camera: slide.camera
+        });
+
+        // A typed-in extension is replaced by the real one
+        const extensions = Object.values(ImageConverter.FORMATS).map(format => format.extension);
+        const base = this.sanitize(formatted.replace(/\.(\w+)$/, (match, ext) => extensions.includes(ext.toLowerCase()) ? '' : match)) || 'slide';
+
+        if (options.shortNames) {
+            return this.shortName(base, extension, used);
+        }
+
+        let name = `${base}.${extension}`;
+        for (let n = 2; used.has(name.toLowerCase()); n++) {
+            name = `${base}_${n}.${extension}`;
+        }
+        used.add(name.toLowerCase());
+        return name;
+    },
+
+    /**
+     * Lay out the bundle
+     * @param {Array} slides - In order: { blob, sourceName, settings, orientation, width, height, caption, duration, date, camera }
+     *                         (duration null for the default, date in ms or null)
+     * @param {Object} options - Bundle settings
+     * @returns {Array} - Files { path, data } with data a Blob or string
+     */
+    buildBundle(slides, options) {
+        options = this.normalizeOptions(options);
+        const prefix = options.folder ? `${options.folder}/` : '';
+        const used = new Set();
+
+        const entries = slides.map((slide, i) => ({
+            file: this.slideFilename(slide, i + 1, options, used),
+            slide: slide
+        }));
+
+        const files = entries.map(entry => ({ path: prefix + entry.file, data: entry.slide.blob }));
+        const manifestPath = type => prefix + this.MANIFEST_FILES[type][options.shortNames ? 'short' : 'long'];
+        if (options.manifest !== 'txt') {
+            files.push({ path: manifestPath('json'), data: this.manifestJSON(entries, options) });
+        }
+        if (options.manifest !== 'json') {
+            files.push({ path: manifestPath('txt'), data: this.manifestText(entries, options) });
+        }
+        return files;
+    },
+
+    /**
+     * JSON manifest
+     * @param {Array} entries - { file, slide } in order
+     * @param {Object} options - Normalized bundle settings
+     * @returns {string}
+     */
+    manifestJSON(entries, options) {
+        return JSON.stringify({
+            version: 1,
+            defaultDuration: options.duration,
+            slides: entries.map(({ file, slide }, i) => ({
+                index: i + 1,
+                file: file,
+                duration: slide.duration || options.duration,
+                orientation: slide.orientation,
+                width: slide.width,
+                height: slide.height,
+                caption: slide.caption || '',
+                source: slide.sourceName
+            }))
+        }, null, 2) + '\n';
+    },
+
+    /**
+     * Plain-text manifest: one tab-separated line per slide, easy to read
+     * with sscanf or a line-by-line parser
+     * @param {Array} entries - { file, slide } in order
+     * @param {Object} options - Normalized bundle settings
+     * @returns {string}
+     */
+    manifestText(entries, options) {
+        const clean = text => String(text || '').replace(/[\t\r\n]+/g, ' ').trim();
+        const lines = ['# file\tseconds\torientation\tcaption'];
+        for (const { file, slide } of entries) {
+            lines.push([file, slide.duration || options.duration, slide.orientation, clean(slide.caption)].join('\t'));
+        }
+        return lines.join('\n') + '\n';
+    },
+
+    /**
+     * Load the bundle settings from localStorage
+     */
+    load() {
+        this.options = { ...this.DEFAULTS };
+        if (typeof localStorage === 'undefined') return;
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '{}');
+            this.options = this.normalizeOptions(saved);
+        } catch (error) {
+            console.warn('Ignoring saved slideshow settings:', error);
+        }
+    },
+
+    /**
+     * Check and keep new bundle settings
+     * @param {Object} options - Bundle settings
+     * @returns {Object} - Normalized settings
+     */
+    save(options) {
+        this.options = this.normalizeOptions(options);
+        if (typeof localStorage !== 'undefined') {
+            try {
+                localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.options));
+            } catch (error) {
+                console.warn('Could not save slideshow settings:', error);
+            }
+        }
+        return this.options;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Slideshow;
+}
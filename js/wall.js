@@ -0,0 +1,216 @@
+/**
+ * Wall
+ * Splits one photo across a grid of frames hung side by side. The photo
+ * is resized onto a canvas the size of the whole wall, bezels included,
+ * and dithered in one pass, so error diffusion runs on across the seams;
+ * each frame then gets its own rectangle of the result.
+ *
+ * Bezel gaps are millimetres between the visible areas of neighbouring
+ * frames, turned into pixels with the profile's pixel pitch: the part of
+ * the photo behind a bezel is lost, as through a window, rather than
+ * squeezed out. Frames of a row or column may differ in orientation;
+ * each is centered in its grid cell.
+ */
+
+const Wall = {
+    MAX_COLUMNS: 4,
+    MAX_ROWS: 3,
+
+    // Widest bezel gap in millimetres
+    MAX_GAP: 100,
+
+    // Largest wall canvas; dithering takes several bytes per pixel
+    MAX_PIXELS: 50000000,
+
+    DEFAULTS: {
+        columns: 2,
+        rows: 1,
+        gapX: 20,
+        gapY: 20
+    },
+
+    // Millimetres per pixel for profiles that don't give theirs (a 7.3" 800x480 panel)
+    DEFAULT_PIXEL_PITCH: 0.2,
+
+    /**
+     * Grid choices
+     * @returns {Object} - Map of grid key ('3x1': columns x rows) -> display name
+     */
+    getGridOptions() {
+        const options = {};
+        for (let rows = 1; rows <= this.MAX_ROWS; rows++) {
+            for (let columns = 1; columns <= this.MAX_COLUMNS; columns++) {
+                if (columns * rows > 1) options[`${columns}x${rows}`] = `${columns}x${rows} (${columns * rows} frames)`;
+            }
+        }
+        return options;
+    },
+
+    /**
+     * Check wall settings and fill in defaults
+     * @param {Object} wall - { columns, rows, gapX, gapY, panels } with panels [{ orientation }] in reading order
+     * @returns {Object} - Normalized wall settings
+     */
+    normalize(wall) {
+        const normalized = { ...this.DEFAULTS, ...wall };
+
+        for (const [key, max] of [['columns', this.MAX_COLUMNS], ['rows', this.MAX_ROWS]]) {
+            const value = Number(normalized[key]);
+            if (!(Number.isInteger(value) && value >= 1 && value <= max)) {
+                throw new Error(`Wall ${key} must be a whole number from 1 to ${max}: ${wall[key]}`);
+            }
+            normalized[key] = value;
+        }
+        if (normalized.columns * normalized.rows < 2) {
+            throw new Error('A wall needs at least 2 frames');
+        }
+
+        for (const key of ['gapX', 'gapY']) {
+            const value = Number(normalized[key]);
+            if (!(value >= 0 && value <= this.MAX_GAP)) {
+                throw new Error(`Wall gaps must be from 0 to ${this.MAX_GAP} mm: ${wall[key]}`);
+            }
+            normalized[key] = value;
+        }
+
+        const count = normalized.columns * normalized.rows;
+        const panels = normalized.panels || [];
+        if (panels.length !== 0 && panels.length !== count) {
+            throw new Error(`A ${normalized.columns}x${normalized.rows} wall has ${count} frames, got ${panels.length}`);
+        }
+        normalized.panels = Array.from({ length: count }, (_, i) => {
+            const orientation = (panels[i] && panels[i].orientation) || 'landscape';
+            if (orientation !== 'landscape' && orientation !== 'portrait') {
+                throw new Error(`Frame orientation must be landscape or portrait: ${orientation}`);
+            }
+            return { orientation };
+        });
+
+        return normalized;
+    },
+
+    /**
+     * Read a wall from text, as the CLI and the API take it
+     * @param {string} grid - Columns x rows, optionally with one l or p per frame: '3x1', '2x2:lppl'
+     * @param {string|number} gap - Bezel gap in mm, or 'across,down' (default: DEFAULTS)
+     * @returns {Object} - Normalized wall settings
+     */
+    parse(grid, gap = null) {
+        const match = /^(\d+)x(\d+)(?::([lp]+))?$/i.exec(String(grid).trim());
+        if (!match) {
+            throw new Error(`Wall must look like 3x1 or 2x2:lppl (l/p per frame): ${grid}`);
+        }
+
+        const wall = { columns: Number(match[1]), rows: Number(match[2]) };
+        if (match[3]) {
+            wall.panels = [...match[3].toLowerCase()].map(c => ({ orientation: c === 'p' ? 'portrait' : 'landscape' }));
+        }
+        if (gap !== null && gap !== undefined && gap !== '') {
+            const [gapX, gapY = gapX] = String(gap).split(',').map(part => part.trim());
+            wall.gapX = gapX;
+            wall.gapY = gapY;
+        }
+        return this.normalize(wall);
+    },
+
+    /**
+     * Where every frame sits on the wall canvas
+     * @param {Object} wall - Normalized wall settings
+     * @param {Object} profile - Display profile of the frames
+     * @returns {Object} - { width, height, panels } with panels { row, column, orientation, x, y, width, height } in reading order
+     */
+    getLayout(wall, profile) {
+        const pitch = profile.pixelPitch || this.DEFAULT_PIXEL_PITCH;
+        const gapX = Math.round(wall.gapX / pitch);
+        const gapY = Math.round(wall.gapY / pitch);
+
+        // Panels mounted one way round only hang that way
+        const sizes = wall.panels.map(panel => {
+            const orientation = profile.orientation === 'any' ? panel.orientation : profile.orientation;
+            return { orientation, ...DisplayProfiles.getDimensions(profile, orientation) };
+        });
+
+        // A grid cell is as wide as its widest frame, as tall as its tallest
+        const columnWidths = Array.from({ length: wall.columns }, (_, column) =>
+            Math.max(...sizes.filter((_, i) => i % wall.columns === column).map(size => size.width)));
+        const rowHeights = Array.from({ length: wall.rows }, (_, row) =>
+            Math.max(...sizes.filter((_, i) => Math.floor(i / wall.columns) === row).map(size => size.height)));
+        const offset = (lengths, gap, index) => lengths.slice(0, index).reduce((sum, length) => sum + length + gap, 0);
+
+        const panels = sizes.map((size, i) => {
+            const column = i % wall.columns;
+            const row = Math.floor(i / wall.columns);
+            return {
+                row: row,
+                column: column,
+                orientation: size.orientation,
+                x: offset(columnWidths, gapX, column) + Math.floor((columnWidths[column] - size.width) / 2),
+                y: offset(rowHeights, gapY, row) + Math.floor((rowHeights[row] - size.height) / 2),
+                width: size.width,
+                height: size.height
+            };
+        });
+
+        return {
+            width: offset(columnWidths, gapX, wall.columns) - gapX,
+            height: offset(rowHeights, gapY, wall.rows) - gapY,
+            panels: panels
+        };
+    },
+
+    /**
+     * Layout of a wall, refused when its canvas is too large to dither
+     * @param {Object} wall - Normalized wall settings
+     * @param {Object} profile - Display profile of the frames
+     * @param {number} maxPixels - Largest canvas in pixels (default: MAX_PIXELS)
+     * @returns {Object} - Result of getLayout
+     */
+    checkSize(wall, profile, maxPixels = this.MAX_PIXELS) {
+        const layout = this.getLayout(wall, profile);
+        if (layout.width * layout.height > maxPixels) {
+            throw new Error(`A ${this.gridKey(wall)} wall of ${profile.name} is ${layout.width}x${layout.height} pixels; ` +
+                `the limit is ${maxPixels / 1000000} megapixels`);
+        }
+        return layout;
+    },
+
+    /**
+     * Cut every frame's palette indices out of the dithered wall
+     * @param {Object} result - { indices, width, height } of the whole wall
+     * @param {Object} layout - Result of getLayout
+     * @returns {Array} - Panels of the layout, each with its indices
+     */
+    split(result, layout) {
+        return layout.panels.map(panel => {
+            const indices = new Uint8Array(panel.width * panel.height);
+            for (let y = 0; y < panel.height; y++) {
+                const from = (panel.y + y) * result.width + panel.x;
+                indices.set(result.indices.subarray(from, from + panel.width), y * panel.width);
+            }
+            return { ...panel, indices };
+        });
+    },
+
+    /**
+     * Short name of a frame's position, for output filenames
+     * @param {Object} panel - Panel of a layout
+     * @returns {string} - e.g. 'r1c2': first row, second column
+     */
+    panelName(panel) {
+        return `r${panel.row + 1}c${panel.column + 1}`;
+    },
+
+    /**
+     * Grid key of a wall, as in getGridOptions
+     * @param {Object} wall - Wall settings
+     * @returns {string}
+     */
+    gridKey(wall) {
+        return `${wall.columns}x${wall.rows}`;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Wall;
+}
@@ -0,0 +1,145 @@
+/**
+ * ZIP Writer
+ * Builds ZIP archives in the page, so downloads need no library from a
+ * CDN. Entries are deflated with CompressionStream('deflate-raw') where
+ * the browser has it and stored uncompressed otherwise (or when deflate
+ * doesn't make them smaller). Names are written as UTF-8.
+ *
+ * No ZIP64: archives are limited to 65535 entries and 4 GB.
+ */
+
+const ZipWriter = {
+    METHOD_STORE: 0,
+    METHOD_DEFLATE: 8,
+
+    // General purpose flag: names are UTF-8
+    FLAG_UTF8: 0x0800,
+
+    MAX_ENTRIES: 0xFFFF,
+    MAX_SIZE: 0xFFFFFFFF,
+
+    /**
+     * Build an archive
+     * @param {Array} files - { path, data } with data a Blob, string or Uint8Array; '/' separates folders
+     * @param {Object} options - { date } modification time of every entry (default: now)
+     * @returns {Promise<Blob>} - application/zip
+     */
+    async create(files, options = {}) {
+        if (files.length > this.MAX_ENTRIES) {
+            throw new Error(`A ZIP holds at most ${this.MAX_ENTRIES} files, got ${files.length}`);
+        }
+        const { time, date } = this.dosDateTime(options.date || new Date());
+        const encoder = new TextEncoder();
+
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const name = encoder.encode(file.path);
+            const data = await this.toBytes(file.data, encoder);
+            const crc = PNGEncoder.crc32(data);
+            const deflated = await this.deflateRaw(data);
+            const method = deflated && deflated.length < data.length ? this.METHOD_DEFLATE : this.METHOD_STORE;
+            const stored = method === this.METHOD_DEFLATE ? deflated : data;
+
+            if (data.length > this.MAX_SIZE || offset + 30 + name.length + stored.length > this.MAX_SIZE) {
+                throw new Error('ZIP archives are limited to 4 GB');
+            }
+
+            const entry = { name, crc, method, time, date, compressedSize: stored.length, size: data.length, offset };
+            const header = this.localHeader(entry);
+            parts.push(header, name, stored);
+            central.push(this.centralHeader(entry), name);
+            offset += header.length + name.length + stored.length;
+        }
+
+        const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+        parts.push(...central, this.endRecord(files.length, centralSize, offset));
+        return new Blob(parts, { type: 'application/zip' });
+    },
+
+    async toBytes(data, encoder) {
+        if (typeof data === 'string') return encoder.encode(data);
+        if (data instanceof Uint8Array) return data;
+        return new Uint8Array(await data.arrayBuffer());
+    },
+
+    /**
+     * Raw deflate (no zlib header), as ZIP stores it
+     * @param {Uint8Array} bytes - Raw data
+     * @returns {Promise<Uint8Array|null>} - null when the browser can't deflate
+     */
+    async deflateRaw(bytes) {
+        if (typeof CompressionStream === 'undefined') return null;
+        let compressor;
+        try {
+            compressor = new CompressionStream('deflate-raw');
+        } catch (error) {
+            // Older browsers only know 'deflate' and 'gzip'
+            return null;
+        }
+        const stream = new Blob([bytes]).stream().pipeThrough(compressor);
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    },
+
+    /**
+     * MS-DOS date and time fields (local time, 2-second steps, 1980-2107)
+     * @param {Date} value - Date to encode
+     * @returns {Object} - { time, date }
+     */
+    dosDateTime(value) {
+        const year = Math.min(Math.max(value.getFullYear(), 1980), 2107);
+        return {
+            time: (value.getHours() << 11) | (value.getMinutes() << 5) | (value.getSeconds() >> 1),
+            date: ((year - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+        };
+    },
+
+    // Fields shared by the local and central headers, from "version needed" on
+    writeCommon(view, at, entry) {
+        view.setUint16(at, 20, true); // version needed: 2.0
+        view.setUint16(at + 2, this.FLAG_UTF8, true);
+        view.setUint16(at + 4, entry.method, true);
+        view.setUint16(at + 6, entry.time, true);
+        view.setUint16(at + 8, entry.date, true);
+        view.setUint32(at + 10, entry.crc, true);
+        view.setUint32(at + 14, entry.compressedSize, true);
+        view.setUint32(at + 18, entry.size, true);
+        view.setUint16(at + 22, entry.name.length, true);
+    },
+
+    localHeader(entry) {
+        const header = new Uint8Array(30);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, 0x04034B50, true);
+        this.writeCommon(view, 4, entry);
+        return header;
+    },
+
+    centralHeader(entry) {
+        const header = new Uint8Array(46);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, 0x02014B50, true);
+        view.setUint16(4, 20, true); // version made by: 2.0, MS-DOS attributes
+        this.writeCommon(view, 6, entry);
+        view.setUint32(42, entry.offset, true);
+        return header;
+    },
+
+    endRecord(count, centralSize, centralOffset) {
+        const record = new Uint8Array(22);
+        const view = new DataView(record.buffer);
+        view.setUint32(0, 0x06054B50, true);
+        view.setUint16(8, count, true);
+        view.setUint16(10, count, true);
+        view.setUint32(12, centralSize, true);
+        view.setUint32(16, centralOffset, true);
+        return record;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZipWriter;
+}
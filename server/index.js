@@ -0,0 +1,358 @@
+/**
+ * Conversion API
+ * Small HTTP service that converts uploaded images with the page's own
+ * converter modules. Runs next to nginx in the Docker image; nginx
+ * proxies /api/ to it.
+ *
+ *   POST /api/convert  Image as the body, or multipart/form-data with an
+ *                      "image" file. Query parameters pick the settings:
+ *                      profile, mode, fill, orientation, frame-rotation,
+ *                      dither, serpentine, attenuation, metric,
+ *                      linear-light, palette, format, date-in-name, wall,
+ *                      wall-gap.
+ *                      JPEGs are turned upright from their EXIF
+ *                      orientation. Responds with the output file (a ZIP
+ *                      of one file per frame for a wall).
+ *   GET  /api/options  Accepted values for every parameter
+ *   GET  /api/health   Liveness check
+ *
+ * Errors are JSON: { "error": { "code": "...", "message": "..." } }
+ */
+
+const http = require('http');
+
+const ImageConverter = require('../cli/load-converter.js');
+const Decode = require('../cli/decode.js');
+const Multipart = require('./multipart.js');
+const { version } = require('../package.json');
+
+const CONFIG = {
+    host: process.env.API_HOST || '127.0.0.1',
+    port: Number(process.env.API_PORT) || 3001,
+    // Largest upload accepted
+    maxUploadBytes: (Number(process.env.API_MAX_UPLOAD_MB) || 20) * 1024 * 1024,
+    // Largest decoded image, which is what takes the memory
+    maxPixels: (Number(process.env.API_MAX_MEGAPIXELS) || 50) * 1000000,
+    // Uploads being read, waiting or converting before new ones are turned away
+    maxQueue: Number(process.env.API_MAX_QUEUE) || 8
+};
+
+// Query parameter -> conversion option, and how to read the value
+const PARAMS = {
+    'profile': { option: 'profile' },
+    'mode': { option: 'mode' },
+    'fill': { option: 'fill' },
+    'orientation': { option: 'orientation' },
+    'frame-rotation': { option: 'frameRotation' },
+    'dither': { option: 'dither' },
+    'serpentine': { option: 'serpentine', type: 'boolean' },
+    'attenuation': { option: 'attenuation', type: 'number' },
+    'metric': { option: 'metric' },
+    'linear-light': { option: 'linearLight', type: 'boolean' },
+    'palette': { option: 'palette' },
+    'format': { option: 'format' },
+    'date-in-name': { option: 'dateInName', type: 'boolean' },
+    // Grid as in Wall.parse, e.g. 3x1 or 2x2:lppl, and the bezel gap in mm
+    'wall': { option: 'wall' },
+    'wall-gap': { option: 'wallGap' },
+    // Upload name for raw bodies, used in the output filename
+    'filename': { option: null }
+};
+
+const BOOLEANS = { '1': true, 'true': true, 'yes': true, '0': false, 'false': false, 'no': false, '': true };
+
+class ApiError extends Error {
+    /**
+     * @param {number} status - HTTP status
+     * @param {string} code - Stable error code for scripts
+     * @param {string} message - Human-readable explanation
+     */
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// Conversions are CPU-bound, so they run one at a time
+let queue = Promise.resolve();
+let pending = 0;
+
+function sendJSON(res, status, body, headers = {}) {
+    const text = JSON.stringify(body);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(text),
+        'Cache-Control': 'no-store',
+        ...headers
+    });
+    res.end(text);
+}
+
+function sendError(res, error) {
+    const apiError = error instanceof ApiError
+        ? error
+        : new ApiError(500, 'internal_error', 'Conversion failed unexpectedly');
+    if (!(error instanceof ApiError)) console.error(error);
+
+    const headers = {};
+    // A refused body may still be arriving, so the connection isn't reused
+    if (apiError.status === 413 || apiError.status === 503) headers.Connection = 'close';
+    if (apiError.status === 503) headers['Retry-After'] = '5';
+    if (apiError.allow) headers.Allow = apiError.allow;
+
+    sendJSON(res, apiError.status, { error: { code: apiError.code, message: apiError.message } }, headers);
+}
+
+/**
+ * Read the request body, refusing anything over the upload limit
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Buffer>} - Body
+ */
+function readBody(req) {
+    const tooLarge = () => new ApiError(413, 'too_large',
+        `Upload is larger than ${CONFIG.maxUploadBytes / 1024 / 1024} MB`);
+
+    // The rest of a refused body is read and dropped until the 413, sent
+    // with Connection: close, ends the connection; left unread it would
+    // hold the socket open
+    if (Number(req.headers['content-length']) > CONFIG.maxUploadBytes) {
+        req.resume();
+        return Promise.reject(tooLarge());
+    }
+
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const onData = chunk => {
+            size += chunk.length;
+            if (size > CONFIG.maxUploadBytes) {
+                req.removeListener('data', onData);
+                req.resume();
+                reject(tooLarge());
+                return;
+            }
+            chunks.push(chunk);
+        };
+        req.on('data', onData);
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Turn query parameters into conversion options
+ * @param {URLSearchParams} query - Query parameters
+ * @returns {Object} - { options, filename }
+ */
+function parseQuery(query) {
+    let options = {};
+    for (const [key, value] of query) {
+        const param = PARAMS[key];
+        if (!param) {
+            throw new ApiError(400, 'unknown_parameter',
+                `Unknown parameter: ${key} (accepted: ${Object.keys(PARAMS).join(', ')})`);
+        }
+        if (!param.option) continue;
+
+        if (param.type === 'boolean') {
+            if (!(value.toLowerCase() in BOOLEANS)) {
+                throw new ApiError(400, 'invalid_parameter', `${key} must be true or false: ${value}`);
+            }
+            options[param.option] = BOOLEANS[value.toLowerCase()];
+        } else if (param.type === 'number') {
+            options[param.option] = Number(value);
+        } else {
+            options[param.option] = value;
+        }
+    }
+
+    if (options.wallGap !== undefined && !options.wall) {
+        throw new ApiError(400, 'invalid_parameter', 'wall-gap needs wall');
+    }
+
+    try {
+        if (options.wall) {
+            options.wall = Wall.parse(options.wall, options.wallGap);
+        }
+        delete options.wallGap;
+        options = ImageConverter.normalizeOptions(options);
+    } catch (error) {
+        throw new ApiError(400, 'invalid_parameter', error.message);
+    }
+
+    // The wall canvas is dithered whole, however small the upload
+    if (options.wall) {
+        try {
+            Wall.checkSize(options.wall, DisplayProfiles.get(options.profile), CONFIG.maxPixels);
+        } catch (error) {
+            throw new ApiError(400, 'wall_too_large', error.message);
+        }
+    }
+    return { options, filename: query.get('filename') };
+}
+
+/**
+ * Find the uploaded image in the body
+ * @param {http.IncomingMessage} req - Request
+ * @param {Buffer} body - Request body
+ * @returns {Object} - { bytes, filename }
+ */
+function getUpload(req, body) {
+    const boundary = Multipart.getBoundary(req.headers['content-type']);
+    if (!boundary) {
+        return { bytes: body, filename: null };
+    }
+
+    const parts = Multipart.parse(body, boundary);
+    const part = parts.find(p => p.name === 'image') || parts.find(p => p.filename);
+    if (!part) {
+        throw new ApiError(400, 'missing_image', 'Form has no "image" file field');
+    }
+    return { bytes: part.data, filename: part.filename };
+}
+
+/**
+ * Decode and convert one upload
+ * @param {Buffer} bytes - Image file
+ * @param {Object} options - Normalized conversion options
+ * @param {string} name - Source filename
+ * @returns {Promise<Object>} - ImageConverter.process result
+ */
+async function convertUpload(bytes, options, name) {
+    if (bytes.length === 0) {
+        throw new ApiError(400, 'missing_image', 'Request has no image');
+    }
+    if (!Decode.detectFormat(bytes)) {
+        throw new ApiError(415, 'unsupported_image', 'Upload is not a PNG, JPEG or BMP image');
+    }
+
+    // Without a readable size there is no telling what decoding would take
+    const size = Decode.readSize(bytes);
+    if (!size) {
+        throw new ApiError(422, 'unknown_size', 'Image size could not be read from the file header');
+    }
+    if (size.width * size.height > CONFIG.maxPixels) {
+        throw new ApiError(413, 'too_many_pixels',
+            `Image is ${size.width}x${size.height}; the limit is ${CONFIG.maxPixels / 1000000} megapixels`);
+    }
+
+    let pixels;
+    try {
+        pixels = Decode.decode(bytes);
+    } catch (error) {
+        throw new ApiError(422, 'decode_failed', `Image could not be decoded: ${error.message}`);
+    }
+
+    const exif = Exif.read(bytes);
+    return ImageConverter.process(pixels, { ...options, exifOrientation: exif.orientation, overlayFields: { date: exif.date } }, name);
+}
+
+/**
+ * Content-Disposition for a download: an ASCII filename for older clients
+ * and the exact one in RFC 5987 form, since header values can't carry
+ * arbitrary Unicode
+ * @param {string} filename - Output filename
+ * @returns {string} - Header value
+ */
+function contentDisposition(filename) {
+    const fallback = filename.replace(/[^\x20-\x7E]|["\\]/g, '_');
+    const encoded = encodeURIComponent(filename).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+async function handleConvert(req, res, url) {
+    const { options, filename } = parseQuery(url.searchParams);
+
+    // Checked before the body is buffered, which is what takes the memory;
+    // a refused body is dropped as in readBody
+    if (pending >= CONFIG.maxQueue) {
+        req.resume();
+        throw new ApiError(503, 'busy', 'Too many conversions queued, try again shortly');
+    }
+
+    // The slot is taken while the body is read, not only once it is queued
+    pending++;
+    let result;
+    try {
+        const upload = getUpload(req, await readBody(req));
+        const name = upload.filename || filename || 'image';
+        const job = queue.then(() => convertUpload(upload.bytes, options, name));
+        queue = job.catch(() => {});
+        result = await job;
+    } finally {
+        pending--;
+    }
+
+    const output = Buffer.from(await result.blob.arrayBuffer());
+    res.writeHead(200, {
+        'Content-Type': result.blob.type || 'application/octet-stream',
+        'Content-Length': output.length,
+        'Content-Disposition': contentDisposition(result.filename),
+        'Cache-Control': 'no-store',
+        'X-Output-Width': result.width,
+        'X-Output-Height': result.height,
+        'X-Output-Orientation': result.orientation
+    });
+    res.end(output);
+}
+
+function options() {
+    return {
+        profiles: ImageConverter.getProfileOptions(),
+        palettes: ImageConverter.getPaletteOptions(),
+        modes: ImageConverter.MODES,
+        fills: ImageConverter.FILLS,
+        orientations: ImageConverter.ORIENTATIONS,
+        frameRotations: ImageConverter.FRAME_ROTATIONS,
+        dithers: ImageConverter.getDitherOptions(),
+        ditherAliases: ImageConverter.DITHER_ALIASES,
+        metrics: ImageConverter.getMetricOptions(),
+        formats: Object.fromEntries(Object.entries(ImageConverter.FORMATS).map(([key, format]) => [key, format.name])),
+        walls: Wall.getGridOptions(),
+        limits: {
+            maxUploadBytes: CONFIG.maxUploadBytes,
+            maxPixels: CONFIG.maxPixels
+        }
+    };
+}
+
+// Routes: path -> { method: handler }
+const ROUTES = {
+    '/api/convert': { POST: handleConvert },
+    '/api/options': { GET: (req, res) => sendJSON(res, 200, options()) },
+    '/api/health': { GET: (req, res) => sendJSON(res, 200, { status: 'ok', version, queued: pending }) }
+};
+
+async function handle(req, res) {
+    try {
+        const url = new URL(req.url, 'http://localhost');
+        const route = ROUTES[url.pathname.replace(/\/+$/, '')];
+        if (!route) {
+            throw new ApiError(404, 'not_found', `No such endpoint: ${url.pathname}`);
+        }
+
+        const handler = route[req.method] || (req.method === 'HEAD' && route.GET);
+        if (!handler) {
+            const error = new ApiError(405, 'method_not_allowed', `${url.pathname} accepts ${Object.keys(route).join(', ')}`);
+            error.allow = Object.keys(route).join(', ');
+            throw error;
+        }
+
+        await handler(req, res, url);
+    } catch (error) {
+        if (!res.headersSent) {
+            sendError(res, error);
+        } else {
+            res.destroy(error);
+        }
+    }
+}
+
+const server = http.createServer(handle);
+server.listen(CONFIG.port, CONFIG.host, () => {
+    console.log(`Conversion API listening on http://${CONFIG.host}:${CONFIG.port}/api/`);
+});
+
+// Finish running conversions on shutdown
+process.on('SIGTERM', () => server.close(() => process.exit(0)));
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+/**
+ * Mock Frame
+ * Stand-in for a networked frame, for trying the page's "Send to frame"
+ * without hardware. Accepts uploads on any path as multipart/form-data or
+ * a raw body, answers CORS preflights, and logs what arrived.
+ *
+ *   node server/mock-frame.js [--port 8081] [--save <dir>]
+ *                             [--auth "Authorization: Bearer secret"]
+ *                             [--delay <ms>] [--status <code>]
+ *
+ * Then add a frame with the URL http://localhost:8081/upload.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const Decode = require('../cli/decode.js');
+const Multipart = require('./multipart.js');
+
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024;
+
+const USAGE = `Usage: node server/mock-frame.js [options]
+
+Options:
+  --port <n>        Port to listen on (default: 8081)
+  --save <dir>      Write received files to this folder
+  --auth <header>   Refuse uploads without this header, e.g. "Authorization: Bearer secret"
+  --delay <ms>      Wait before answering, like a frame busy refreshing
+  --status <code>   Answer every upload with this status, to test error handling`;
+
+function parseArgs(argv) {
+    const args = { port: 8081, save: null, auth: null, delay: 0, status: 200 };
+    for (let i = 0; i < argv.length; i++) {
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`${argv[i]} needs a value`);
+            return argv[++i];
+        };
+        switch (argv[i]) {
+            case '--port': args.port = Number(value()); break;
+            case '--save': args.save = value(); break;
+            case '--delay': args.delay = Number(value()); break;
+            case '--status': args.status = Number(value()); break;
+            case '--auth': {
+                const header = value();
+                const colon = header.indexOf(':');
+                if (colon <= 0) throw new Error('--auth takes "Name: value"');
+                args.auth = { name: header.slice(0, colon).trim().toLowerCase(), value: header.slice(colon + 1).trim() };
+                break;
+            }
+            case '-h':
+            case '--help':
+                args.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+    return args;
+}
+
+// A refused body is read and dropped until the 413, sent with
+// Connection: close, ends the connection
+function readBody(req) {
+    if (Number(req.headers['content-length']) > MAX_UPLOAD_BYTES) {
+        req.resume();
+        return Promise.reject(new Error('Upload too large'));
+    }
+
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const onData = chunk => {
+            size += chunk.length;
+            if (size > MAX_UPLOAD_BYTES) {
+                req.removeListener('data', onData);
+                req.resume();
+                reject(new Error('Upload too large'));
+                return;
+            }
+            chunks.push(chunk);
+        };
+        req.on('data', onData);
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+function send(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+function createHandler(args) {
+    let received = 0;
+
+    return async (req, res) => {
+        // The page runs on another origin, so every answer needs CORS headers
+        res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+        res.setHeader('Vary', 'Origin');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, {
+                'Access-Control-Allow-Methods': 'POST, PUT',
+                'Access-Control-Allow-Headers': req.headers['access-control-request-headers'] || '',
+                'Access-Control-Max-Age': '600'
+            });
+            res.end();
+            return;
+        }
+        if (req.method !== 'POST' && req.method !== 'PUT') {
+            res.setHeader('Allow', 'POST, PUT, OPTIONS');
+            send(res, 405, { error: 'Upload with POST or PUT' });
+            return;
+        }
+
+        const time = new Date().toLocaleTimeString();
+        if (args.auth && req.headers[args.auth.name] !== args.auth.value) {
+            console.log(`${time} ${req.method} ${req.url} refused: missing or wrong ${args.auth.name} header`);
+            send(res, 401, { error: 'Unauthorized' });
+            return;
+        }
+
+        let body;
+        try {
+            body = await readBody(req);
+        } catch (error) {
+            send(res, 413, { error: error.message }, { Connection: 'close' });
+            return;
+        }
+
+        let bytes = body;
+        let filename = new URL(req.url, 'http://localhost').searchParams.get('filename');
+        const boundary = Multipart.getBoundary(req.headers['content-type']);
+        if (boundary) {
+            const part = Multipart.parse(body, boundary).find(p => p.filename);
+            if (!part) {
+                send(res, 400, { error: 'Form has no file field' });
+                return;
+            }
+            bytes = part.data;
+            filename = part.filename;
+        }
+
+        received++;
+        const format = Decode.detectFormat(bytes);
+        const size = format ? Decode.readSize(bytes) : null;
+        const info = {
+            filename: filename || `upload-${received}`,
+            bytes: bytes.length,
+            body: boundary ? 'multipart' : 'raw',
+            format: format || 'unknown',
+            ...(size || {})
+        };
+        console.log(`${time} ${req.method} ${req.url} ${info.body} ${info.filename}: ${info.bytes} bytes, ` +
+            `${info.format}${size ? ` ${size.width}x${size.height}` : ''}`);
+
+        if (args.save) {
+            fs.mkdirSync(args.save, { recursive: true });
+            fs.writeFileSync(path.join(args.save, path.basename(info.filename)), bytes);
+        }
+
+        if (args.delay > 0) {
+            await new Promise(resolve => setTimeout(resolve, args.delay));
+        }
+        if (args.status >= 300) {
+            send(res, args.status, { error: `Mock frame set to answer ${args.status}` });
+            return;
+        }
+        send(res, args.status, { ok: true, ...info });
+    };
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        process.exitCode = 2;
+        return;
+    }
+    if (args.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const server = http.createServer(createHandler(args));
+    server.listen(args.port, () => {
+        console.log(`Mock frame listening on http://localhost:${args.port}/ (any path)`);
+    });
+    process.on('SIGTERM', () => server.close(() => process.exit(0)));
+}
+
+main();
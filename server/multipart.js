@@ -0,0 +1,87 @@
+/**
+ * Multipart Parsing
+ * Just enough of multipart/form-data to take a file from an HTML form or
+ * `curl -F image=@photo.jpg`. The whole body is already in memory (the
+ * server caps its size), so parts are sliced out of one buffer.
+ */
+
+const Multipart = {
+    /**
+     * Get the boundary from a Content-Type header
+     * @param {string} contentType - Header value
+     * @returns {string|null} - Boundary, or null if not multipart/form-data
+     */
+    getBoundary(contentType) {
+        if (!/^multipart\/form-data\b/i.test(contentType || '')) return null;
+        const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+        return match ? (match[1] || match[2]).trim() : null;
+    },
+
+    /**
+     * Split a body into parts
+     * @param {Buffer} body - Request body
+     * @param {string} boundary - Boundary from the Content-Type header
+     * @returns {Array} - Parts { name, filename, contentType, data }
+     */
+    parse(body, boundary) {
+        const delimiter = Buffer.from(`--${boundary}`);
+        const parts = [];
+
+        let start = body.indexOf(delimiter);
+        while (start >= 0) {
+            const afterDelimiter = start + delimiter.length;
+            // "--" after the delimiter closes the body
+            if (body[afterDelimiter] === 0x2D && body[afterDelimiter + 1] === 0x2D) break;
+
+            const headerStart = afterDelimiter + 2;
+            const headerEnd = body.indexOf('\r\n\r\n', headerStart);
+            if (headerEnd < 0) break;
+
+            const next = body.indexOf(delimiter, headerEnd + 4);
+            if (next < 0) break;
+
+            const headers = this.parseHeaders(body.toString('utf8', headerStart, headerEnd));
+            const disposition = headers['content-disposition'] || '';
+            parts.push({
+                name: this.headerParam(disposition, 'name'),
+                filename: this.headerParam(disposition, 'filename'),
+                contentType: headers['content-type'] || null,
+                // The CRLF before the next delimiter belongs to the boundary
+                data: body.subarray(headerEnd + 4, next - 2)
+            });
+
+            start = next;
+        }
+
+        return parts;
+    },
+
+    /**
+     * Parse part headers into a map with lower-case names
+     * @param {string} text - Header lines
+     * @returns {Object}
+     */
+    parseHeaders(text) {
+        const headers = {};
+        for (const line of text.split('\r\n')) {
+            const colon = line.indexOf(':');
+            if (colon > 0) {
+                headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+            }
+        }
+        return headers;
+    },
+
+    /**
+     * Read one parameter of a header value, e.g. name="image"
+     * @param {string} value - Header value
+     * @param {string} param - Parameter name
+     * @returns {string|null}
+     */
+    headerParam(value, param) {
+        const match = new RegExp(`(?:^|;)\\s*${param}=(?:"([^"]*)"|([^;]*))`, 'i').exec(value);
+        return match ? (match[1] !== undefined ? match[1] : match[2].trim()) : null;
+    }
+};
+
+module.exports = Multipart;
@@ -0,0 +1,115 @@
+/**
+ * Service Worker
+ * Serves the app shell from a versioned cache so the converter works with
+ * no network at all, and receives photos from the share sheet (see Pwa).
+ *
+ * Bump CACHE_VERSION with every release and list new files in APP_SHELL.
+ * The changed sw.js is how browsers notice a release: the new version
+ * installs beside the old one and waits until the page accepts it from
+ * the update banner, so a page never mixes files of two releases.
+ */
+
+importScripts('js/pwa.js');
+
+const CACHE_VERSION = 'v4';
+const SHELL_CACHE = `eink-converter-shell-${CACHE_VERSION}`;
+
+// Everything the page and the conversion workers load
+const APP_SHELL = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'css/styles.css',
+    'js/libs/color-space.js',
+    'js/libs/palette-lut.js',
+    'js/libs/raster.js',
+    'js/libs/floyd-steinberg.js',
+    'js/libs/ordered-dither.js',
+    'js/libs/adjustments.js',
+    'js/libs/smart-crop.js',
+    'js/palettes.js',
+    'js/profiles.js',
+    'js/bmp-encoder.js',
+    'js/png-encoder.js',
+    'js/zip-writer.js',
+    'js/packed-encoder.js',
+    'js/exif.js',
+    'js/overlays.js',
+    'js/collage.js',
+    'js/wall.js',
+    'js/converter.js',
+    'js/conversion-pool.js',
+    'js/convert-worker.js',
+    'js/palette-editor.js',
+    'js/crop-editor.js',
+    'js/simulation.js',
+    'js/preview-inspector.js',
+    'js/image-store.js',
+    'js/frames.js',
+    'js/frame-editor.js',
+    'js/slideshow.js',
+    'js/pwa.js',
+    'js/app.js'
+];
+
+// Paths under the worker's scope
+const SCOPE_PATH = new URL('./', self.location).pathname;
+const SHELL_PATHS = [SCOPE_PATH, `${SCOPE_PATH}index.html`];
+const API_PATH = `${SCOPE_PATH}api/`;
+
+self.addEventListener('install', (event) => {
+    // Bypass the HTTP cache so a release never precaches files of the last one
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache =>
+        cache.addAll(APP_SHELL.map(url => new Request(url, { cache: 'reload' })))
+    ));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('eink-converter-shell-') && name !== SHELL_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// The page accepted the update
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skip-waiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (request.method === 'POST' && url.pathname === `${SCOPE_PATH}${Pwa.SHARE_PATH}`) {
+        event.respondWith(receiveShare(request));
+        return;
+    }
+
+    // Uploads and the conversion API always go to the network
+    if (request.method !== 'GET' || url.pathname.startsWith(API_PATH)) return;
+
+    event.respondWith((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        // Opening the app (with any query, e.g. ?shared=1) gets the cached page
+        const cached = request.mode === 'navigate' && SHELL_PATHS.includes(url.pathname)
+            ? await cache.match('index.html')
+            : await cache.match(request, { ignoreSearch: true });
+        return cached || fetch(request);
+    })());
+});
+
+// Keep the shared photos for the page, then open it
+async function receiveShare(request) {
+    try {
+        await Pwa.storeSharedFiles(await request.formData());
+    } catch (error) {
+        console.warn('Could not receive shared photos:', error);
+    }
+    return Response.redirect(new URL(`./?${Pwa.SHARE_PARAM}=1`, self.location).href, 303);
+}
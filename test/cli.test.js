@@ -0,0 +1,64 @@
+/**
+ * CLI Tests
+ * Runs 7color as a separate process and checks its exit codes:
+ * 0 all converted, 1 some files failed, 2 usage error or no input matched.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+
+const CLI = path.join(__dirname, '..', 'cli', '7color.js');
+
+let dir;
+
+function run(...args) {
+    return spawnSync(process.execPath, [CLI, ...args], { cwd: dir, encoding: 'utf8', timeout: 60000 });
+}
+
+// Small gradient PNG
+function writePng(file, width, height) {
+    const png = new PNG({ width, height });
+    for (let i = 0; i < width * height; i++) {
+        png.data.set([i % 256, (i * 7) % 256, 128, 255], i * 4);
+    }
+    fs.writeFileSync(file, PNG.sync.write(png));
+}
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), '7color-cli-'));
+    writePng(path.join(dir, 'photo.png'), 40, 30);
+    fs.writeFileSync(path.join(dir, 'broken.png'), Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0]));
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('exits 0 when every file converts', () => {
+    const { status, stdout } = run('convert', 'photo.png', '--out', 'out', '--format', 'epd');
+    assert.equal(status, 0, stdout);
+    assert.match(stdout, /1 converted/);
+    assert.equal(fs.statSync(path.join(dir, 'out', 'photo_fit_landscape_output.bin')).size, 800 * 480 / 2);
+});
+
+test('exits 1 when a file fails to convert', () => {
+    const { status, stderr } = run('convert', 'photo.png', 'broken.png', '--out', 'out');
+    assert.equal(status, 1);
+    assert.match(stderr, /FAIL broken\.png/);
+});
+
+test('exits 2 on a usage error', () => {
+    const { status, stderr } = run('convert', 'photo.png', '--dither', 'nonsense');
+    assert.equal(status, 2);
+    assert.match(stderr, /Run "7color --help" for usage/);
+});
+
+test('exits 2 when no input matches', () => {
+    const { status } = run('convert', 'missing.png', '--out', 'out');
+    assert.equal(status, 2);
+});
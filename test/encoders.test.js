@@ -0,0 +1,114 @@
+/**
+ * Output Encoder Tests
+ * Encodes one small 3x2 image in each indexed and packed format and
+ * compares the files byte for byte with ones worked out by hand.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+// The browser scripts expect their dependencies as globals
+const lib = file => require(path.join(__dirname, '..', 'js', file));
+global.Palettes = lib('palettes.js');
+global.DisplayProfiles = lib('profiles.js');
+const BMPEncoder = lib('bmp-encoder.js');
+const PackedEncoder = lib('packed-encoder.js');
+
+// Two rows of three pixels using all six Spectra 6 colors:
+// black, white, yellow / red, blue, green
+const INDICES = new Uint8Array([0, 1, 2, 3, 4, 5]);
+const SPECTRA = Palettes.deviceColors(Palettes.get('spectra-6'));
+
+// BMP file and BITMAPINFOHEADER for the 3x2 fixture with a six-color table
+function bmpHeader(bitsPerPixel) {
+    return [
+        0x42, 0x4D, 86, 0, 0, 0, 0, 0, 0, 0, 78, 0, 0, 0,
+        40, 0, 0, 0, 3, 0, 0, 0, 2, 0, 0, 0, 1, 0, bitsPerPixel, 0,
+        0, 0, 0, 0, 8, 0, 0, 0, 0x13, 0x0B, 0, 0, 0x13, 0x0B, 0, 0,
+        6, 0, 0, 0, 0, 0, 0, 0
+    ];
+}
+
+// Color table in BGRA order
+const SPECTRA_TABLE = [
+    0x00, 0x00, 0x00, 0, 0xFF, 0xFF, 0xFF, 0, 0x00, 0xFF, 0xFF, 0,
+    0x00, 0x00, 0xFF, 0, 0xFF, 0x00, 0x00, 0, 0x00, 0xFF, 0x00, 0
+];
+
+async function bytesOf(blob) {
+    return Array.from(new Uint8Array(await blob.arrayBuffer()));
+}
+
+// Packed with a profile's controller codes and bit depth
+function pack(indices, profileKey) {
+    const profile = DisplayProfiles.get(profileKey);
+    const palette = Palettes.get(profile.palette);
+    return PackedEncoder.pack(indices, 3, 2, {
+        codes: profile.controllerCodes,
+        bitsPerPixel: profile.packedBits,
+        paletteSize: Palettes.deviceColors(palette).length
+    });
+}
+
+test('bmp8 stores one byte per pixel, bottom row first, rows padded to 4 bytes', async () => {
+    const bytes = await bytesOf(BMPEncoder.encodeIndexed(INDICES, 3, 2, SPECTRA, 8));
+    assert.deepEqual(bytes, [
+        ...bmpHeader(8),
+        ...SPECTRA_TABLE,
+        3, 4, 5, 0,
+        0, 1, 2, 0
+    ]);
+});
+
+test('bmp4 stores two pixels per byte, leftmost in the high nibble', async () => {
+    const bytes = await bytesOf(BMPEncoder.encodeIndexed(INDICES, 3, 2, SPECTRA, 4));
+    assert.deepEqual(bytes, [
+        ...bmpHeader(4),
+        ...SPECTRA_TABLE,
+        0x34, 0x50, 0, 0,
+        0x01, 0x20, 0, 0
+    ]);
+});
+
+test('epd packs controller codes top row first, skipping the unused code 4', async () => {
+    const bytes = await bytesOf(PackedEncoder.toBlob(pack(INDICES, '13in3-spectra6')));
+    assert.deepEqual(bytes, [0x01, 0x20, 0x35, 0x60]);
+});
+
+test('epd packs four pixels per byte on 2-bit panels', async () => {
+    const bytes = await bytesOf(PackedEncoder.toBlob(pack(new Uint8Array([0, 1, 2, 3, 3, 2]), '7in3-bwry')));
+    assert.deepEqual(bytes, [0b00011000, 0b11111000]);
+});
+
+test('header wraps the packed buffer in a C array', () => {
+    const header = PackedEncoder.toCHeader(pack(INDICES, '13in3-spectra6'), {
+        width: 3, height: 2, bitsPerPixel: 4, source: 'photo.jpg'
+    });
+    assert.equal(header, [
+        '// Generated by 7-Color E-Ink Converter',
+        '// Source: photo.jpg',
+        '// 3x2, 4 bits per pixel, 2 pixels per byte (leftmost pixel in the high bits)',
+        '#pragma once',
+        '',
+        '#include <stdint.h>',
+        '',
+        '#ifndef PROGMEM',
+        '#define PROGMEM',
+        '#endif',
+        '',
+        '#define IMAGE_WIDTH 3',
+        '#define IMAGE_HEIGHT 2',
+        '#define IMAGE_BITS_PER_PIXEL 4',
+        '',
+        'const uint8_t image[4] PROGMEM = {',
+        '    0x01, 0x20, 0x35, 0x60',
+        '};',
+        ''
+    ].join('\n'));
+});
+
+test('controller codes are checked against the bit depth', () => {
+    assert.throws(() => PackedEncoder.pack(INDICES, 3, 2, { codes: [0, 1, 2, 3, 4, 5], bitsPerPixel: 2, paletteSize: 6 }),
+        /does not fit in 2 bits/);
+});
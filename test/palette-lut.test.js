@@ -0,0 +1,84 @@
+/**
+ * PaletteLUT Tests
+ * The grid lookup must give exactly the exhaustive search's answers for
+ * the exact metrics, ties and out-of-range colors included. ciede2000 is
+ * memoized per whole RGB value, so it is only exact for whole values.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+// The browser scripts expect their dependencies as globals
+const lib = file => require(path.join(__dirname, '..', 'js', file));
+global.ColorSpace = lib('libs/color-space.js');
+global.PaletteLUT = lib('libs/palette-lut.js');
+global.FloydSteinberg = lib('libs/floyd-steinberg.js');
+global.Palettes = lib('palettes.js');
+
+const EXACT_METRICS = Object.keys(ColorSpace.METRICS).filter(metric => metric !== 'ciede2000');
+
+// Every built-in palette, as the device colors and as measured on panels
+const PALETTES = Object.keys(Palettes.PALETTES).flatMap(key => [
+    [`${key} device`, Palettes.deviceColors(Palettes.get(key))],
+    [`${key} measured`, Palettes.getColors(Palettes.get(key), 'measured')]
+]);
+
+// Seeded random numbers (mulberry32), as in bench/quantize.js
+function createRandom(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Fractional colors as error diffusion produces them, overshooting the 0-255 range
+function randomColors(count, seed) {
+    const random = createRandom(seed);
+    return Array.from({ length: count }, () => [0, 1, 2].map(() => random() * 384 - 64));
+}
+
+// Whole colors on a coarse grid, cell edges included
+function gridColors(step) {
+    const colors = [];
+    for (let r = 0; r <= 255; r += step) {
+        for (let g = 0; g <= 255; g += step) {
+            for (let b = 0; b <= 255; b += step) {
+                colors.push([r, g, b]);
+            }
+        }
+    }
+    return colors;
+}
+
+function assertSameAsExhaustive(palette, metric, colors) {
+    const lut = PaletteLUT.get(palette, metric);
+    for (const [r, g, b] of colors) {
+        const expected = FloydSteinberg.findNearestIndexExhaustive(r, g, b, palette, metric);
+        assert.equal(lut.nearest(r, g, b), expected, `${metric} nearest to ${r}, ${g}, ${b}`);
+    }
+}
+
+for (const metric of EXACT_METRICS) {
+    test(`${metric} lookup matches the exhaustive search`, () => {
+        const colors = [...gridColors(15), ...randomColors(5000, 7)];
+        for (const [, palette] of PALETTES) {
+            assertSameAsExhaustive(palette, metric, colors);
+        }
+    });
+}
+
+test('ties go to the first palette color, as in the exhaustive search', () => {
+    const palette = [[0, 0, 0], [255, 255, 255], [0, 0, 0], [128, 128, 128], [255, 255, 255]];
+    for (const metric of EXACT_METRICS) {
+        assertSameAsExhaustive(palette, metric, [...gridColors(15), [64, 64, 64], [191.5, 191.5, 191.5]]);
+    }
+});
+
+test('ciede2000 lookup matches the exhaustive search for whole colors', () => {
+    const palette = Palettes.getColors(Palettes.get('acep-7'), 'measured');
+    const colors = randomColors(2000, 11).map(color => color.map(c => Math.round(Math.min(255, Math.max(0, c)))));
+    assertSameAsExhaustive(palette, 'ciede2000', colors);
+});
@@ -0,0 +1,63 @@
+/**
+ * PNG Encoder Tests
+ * Reads the chunks of small indexed PNGs back: header, palette and the
+ * inflated scanlines are compared byte for byte with ones worked out by hand.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const zlib = require('zlib');
+
+const lib = file => require(path.join(__dirname, '..', 'js', file));
+global.Palettes = lib('palettes.js');
+const PNGEncoder = lib('png-encoder.js');
+
+// Split a PNG into { type, data } chunks, checking each CRC
+function readChunks(bytes) {
+    assert.deepEqual(Array.from(bytes.subarray(0, 8)), PNGEncoder.SIGNATURE);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    for (let pos = 8; pos < bytes.length;) {
+        const length = view.getUint32(pos);
+        const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+        assert.equal(view.getUint32(pos + 8 + length), PNGEncoder.crc32(bytes.subarray(pos + 4, pos + 8 + length)), `${type} CRC`);
+        chunks.push({ type, data: Array.from(bytes.subarray(pos + 8, pos + 8 + length)) });
+        pos += 12 + length;
+    }
+    return chunks;
+}
+
+async function encode(indices, colors) {
+    const blob = await PNGEncoder.encodeIndexed(indices, 3, 2, colors);
+    return readChunks(new Uint8Array(await blob.arrayBuffer()));
+}
+
+test('CRC-32 matches the PNG reference value', () => {
+    assert.equal(PNGEncoder.crc32(new TextEncoder().encode('IEND')), 0xAE426082);
+});
+
+test('six colors are stored at 4 bits per pixel', async () => {
+    const colors = Palettes.deviceColors(Palettes.get('spectra-6'));
+    const [ihdr, plte, idat, iend] = await encode(new Uint8Array([0, 1, 2, 3, 4, 5]), colors);
+
+    assert.deepEqual(ihdr, { type: 'IHDR', data: [0, 0, 0, 3, 0, 0, 0, 2, 4, 3, 0, 0, 0] });
+    assert.deepEqual(plte, { type: 'PLTE', data: [0, 0, 0, 255, 255, 255, 255, 255, 0, 255, 0, 0, 0, 0, 255, 0, 255, 0] });
+    assert.equal(idat.type, 'IDAT');
+    // Filter byte 0, then the pixels leftmost in the high nibble
+    assert.deepEqual(Array.from(zlib.inflateSync(Buffer.from(idat.data))), [0, 0x01, 0x20, 0, 0x34, 0x50]);
+    assert.deepEqual(iend, { type: 'IEND', data: [] });
+});
+
+test('four colors are stored at 2 bits per pixel', async () => {
+    const colors = Palettes.deviceColors(Palettes.get('bwry-4'));
+    const [ihdr, , idat] = await encode(new Uint8Array([0, 1, 2, 3, 3, 2]), colors);
+
+    assert.equal(ihdr.data[8], 2);
+    assert.deepEqual(Array.from(zlib.inflateSync(Buffer.from(idat.data))), [0, 0b00011000, 0, 0b11111000]);
+});
+
+test('stored deflate blocks inflate back to the input', () => {
+    const bytes = new Uint8Array(70000).map((_, i) => i * 7);
+    assert.deepEqual(zlib.inflateSync(PNGEncoder.deflateStored(bytes)), Buffer.from(bytes));
+});
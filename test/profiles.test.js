@@ -0,0 +1,34 @@
+/**
+ * Display Profile Tests
+ * Custom profiles are checked against the palettes: the palette must exist
+ * and the controller codes must cover each of its colors exactly once.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+// The browser scripts expect their dependencies as globals
+const lib = file => require(path.join(__dirname, '..', 'js', file));
+global.Palettes = lib('palettes.js');
+const DisplayProfiles = lib('profiles.js');
+
+const PANEL = { name: 'Shelf panel', width: 800, height: 480 };
+
+test('a profile takes its palette and one controller code per color', () => {
+    const profile = DisplayProfiles.validate({ ...PANEL, palette: 'bwry-4', controllerCodes: '0, 1, 2, 3', packedBits: 2 });
+    assert.equal(profile.palette, 'bwry-4');
+    assert.deepEqual(profile.controllerCodes, [0, 1, 2, 3]);
+});
+
+test('an unknown palette is refused, naming the profile', () => {
+    assert.throws(() => DisplayProfiles.validate({ ...PANEL, palette: 'missing' }),
+        { message: 'Profile "Shelf panel" uses an unknown palette: missing' });
+});
+
+test('controller codes must match the palette\'s color count', () => {
+    for (const codes of ['0, 1, 2', [0, 1, 2, 3, 5, 6, 7]]) {
+        assert.throws(() => DisplayProfiles.validate({ ...PANEL, palette: 'spectra-6', controllerCodes: codes }),
+            /^Error: Profile "Shelf panel" needs one controller code per spectra-6 color \(6\)/);
+    }
+});
@@ -0,0 +1,178 @@
+/**
+ * Conversion API Tests
+ * Starts server/index.js on a free port with low limits and checks the
+ * requests it refuses: 400 for bad parameters, 413 for oversized uploads.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const { PNG } = require('pngjs');
+
+const SERVER = path.join(__dirname, '..', 'server', 'index.js');
+
+let server;
+let port;
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.on('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * POST a body to /api/convert
+ * @param {string} query - Query string, without the '?'
+ * @param {Buffer} body - Request body
+ * @param {string} contentType - Body type (default: a raw image)
+ * @returns {Promise<Object>} - { status, headers, body } with JSON bodies parsed
+ */
+function convert(query, body, contentType = 'application/octet-stream') {
+    return new Promise((resolve, reject) => {
+        const req = http.request({
+            host: '127.0.0.1',
+            port,
+            method: 'POST',
+            path: `/api/convert?${query}`,
+            headers: { 'Content-Type': contentType, 'Content-Length': body.length }
+        }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                const data = Buffer.concat(chunks);
+                const json = /json/.test(res.headers['content-type']);
+                resolve({ status: res.statusCode, headers: res.headers, body: json ? JSON.parse(data) : data });
+            });
+        });
+        // A refused upload may be cut off once the answer is sent
+        req.on('error', error => {
+            if (!req.res) reject(error);
+        });
+        req.end(body);
+    });
+}
+
+function png(width, height) {
+    return PNG.sync.write(new PNG({ width, height }));
+}
+
+// multipart/form-data body with the image in an "image" field
+function form(filename, image) {
+    return Buffer.concat([
+        Buffer.from('--boundary\r\nContent-Disposition: form-data; name="image"; filename="'),
+        Buffer.from(filename),
+        Buffer.from('"\r\nContent-Type: image/png\r\n\r\n'),
+        image,
+        Buffer.from('\r\n--boundary--\r\n')
+    ]);
+}
+
+before(async () => {
+    port = await freePort();
+    server = spawn(process.execPath, [SERVER], {
+        env: { ...process.env, API_PORT: String(port), API_MAX_UPLOAD_MB: '1', API_MAX_MEGAPIXELS: '1', API_MAX_QUEUE: '1' },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    await new Promise((resolve, reject) => {
+        server.on('exit', code => reject(new Error(`Server exited with ${code}`)));
+        server.stdout.on('data', data => {
+            if (/listening/.test(data)) resolve();
+        });
+    });
+});
+
+after(() => {
+    server.kill();
+});
+
+test('converts a small upload', async () => {
+    const res = await convert('format=epd&filename=photo.png', png(40, 30));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.length, 800 * 480 / 2);
+    assert.match(res.headers['content-disposition'], /photo_fit_landscape_output\.bin/);
+});
+
+test('names the download after a non-ASCII filename', async () => {
+    const res = await convert(`filename=${encodeURIComponent('фото.png')}`, png(40, 30));
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['content-disposition'],
+        `attachment; filename="_____fit_landscape_output.bmp"; filename*=UTF-8''${encodeURIComponent('фото_fit_landscape_output.bmp')}`);
+});
+
+test('names the download after a non-ASCII or broken multipart filename', async () => {
+    for (const filename of [Buffer.from('写真 (1).png'), Buffer.from([0x70, 0xFF, 0xFE, 0x2E, 0x70, 0x6E, 0x67])]) {
+        const res = await convert('', form(filename, png(40, 30)), 'multipart/form-data; boundary=boundary');
+        assert.equal(res.status, 200);
+        assert.match(res.headers['content-disposition'], /^attachment; filename="[\x20-\x7E]+_fit_landscape_output\.bmp"; filename\*=UTF-8''[A-Za-z0-9%._~!-]+$/);
+    }
+});
+
+test('400 for an unknown parameter', async () => {
+    const res = await convert('colour=red', png(40, 30));
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.code, 'unknown_parameter');
+});
+
+test('400 for an invalid value', async () => {
+    const res = await convert('dither=nonsense', png(40, 30));
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.code, 'invalid_parameter');
+});
+
+test('400 for a wall canvas over the pixel limit', async () => {
+    const res = await convert('wall=2x2', png(40, 30));
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.code, 'wall_too_large');
+});
+
+test('413 for an upload over the size limit', async () => {
+    const res = await convert('', Buffer.concat([png(40, 30), Buffer.alloc(1024 * 1024)]));
+    assert.equal(res.status, 413);
+    assert.equal(res.body.error.code, 'too_large');
+    assert.equal(res.headers.connection, 'close');
+});
+
+test('413 for an image over the pixel limit', async () => {
+    const res = await convert('', png(1100, 1000));
+    assert.equal(res.status, 413);
+    assert.equal(res.body.error.code, 'too_many_pixels');
+});
+
+test('422 for an image whose size is not in its header', async () => {
+    const res = await convert('', Buffer.from([0xFF, 0xD8, ...new Array(64).fill(0xFF)]));
+    assert.equal(res.status, 422);
+    assert.equal(res.body.error.code, 'unknown_size');
+});
+
+test('503 before reading the body when the queue is full', async () => {
+    // Holds the only slot while its body is still being sent
+    const slow = http.request({
+        host: '127.0.0.1',
+        port,
+        method: 'POST',
+        path: '/api/convert',
+        headers: { 'Content-Type': 'application/octet-stream', 'Content-Length': 1000 }
+    });
+    slow.on('error', () => {});
+    slow.write(Buffer.alloc(10));
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    try {
+        const res = await convert('', png(40, 30));
+        assert.equal(res.status, 503);
+        assert.equal(res.body.error.code, 'busy');
+        assert.equal(res.headers.connection, 'close');
+    } finally {
+        slow.destroy();
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.equal((await convert('', png(40, 30))).status, 200);
+});
@@ -0,0 +1,78 @@
+/**
+ * Slideshow Bundle Tests
+ * With 8.3 short names on, every path in the bundle, folders and
+ * manifests included, must be a valid FAT short name, and the slides
+ * must still sort in slideshow order.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+require('../cli/load-converter.js');
+const Slideshow = require(path.join(__dirname, '..', 'js', 'slideshow.js'));
+
+// Folder names up to 8 characters, filenames up to 8 plus a 3-character extension
+const SHORT_FOLDER = /^[A-Z0-9_~-]{1,8}$/;
+const SHORT_FILE = /^[A-Z0-9_~-]{1,8}\.[A-Z0-9]{1,3}$/;
+
+function slide(sourceName, format = 'bmp') {
+    return {
+        blob: null,
+        sourceName,
+        settings: ImageConverter.normalizeOptions({ format }),
+        orientation: 'landscape',
+        width: 800,
+        height: 480,
+        caption: 'Beach, evening',
+        duration: null,
+        date: Date.UTC(2024, 5, 12, 18, 30),
+        camera: 'Pixel 8'
+    };
+}
+
+const SLIDES = [
+    slide('holiday photo.jpg'),
+    slide('holiday photo.jpg', 'png'),
+    slide('IMG_20240612_183000.jpg', 'epd'),
+    ...Array.from({ length: 12 }, (_, i) => slide(`Ünïcode ${i}.jpeg`))
+];
+
+function assertShortPaths(files) {
+    for (const file of files) {
+        const parts = file.path.split('/');
+        const name = parts.pop();
+        for (const folder of parts) {
+            assert.match(folder, SHORT_FOLDER, file.path);
+        }
+        assert.match(name, SHORT_FILE, file.path);
+    }
+    const paths = files.map(file => file.path);
+    assert.equal(new Set(paths).size, paths.length, 'paths are unique');
+}
+
+test('every path is 8.3 with short names, for any template and folder', () => {
+    const templates = [Slideshow.DEFAULTS.template, '{date:YYYYMMDD_HHmm}_{camera}', '{name}', '{caption}.bmp'];
+    for (const template of templates) {
+        for (const folder of ['', 'slides', 'DCIM/Holiday slideshow 2024']) {
+            assertShortPaths(Slideshow.buildBundle(SLIDES, { template, folder, shortNames: true, manifest: 'both' }));
+        }
+    }
+});
+
+test('the default template keeps the slide order in short names', () => {
+    const files = Slideshow.buildBundle(SLIDES, { shortNames: true, manifest: 'both' });
+    const slides = files.slice(0, SLIDES.length).map(file => file.path);
+    assert.deepEqual(slides.slice(0, 3), ['SLIDES/0001HOLI.BMP', 'SLIDES/0002HOLI.PNG', 'SLIDES/0003IMG_.BIN']);
+    assert.deepEqual([...slides].sort(), slides);
+    assert.deepEqual(files.slice(SLIDES.length).map(file => file.path), ['SLIDES/PLAYLIST.JSN', 'SLIDES/PLAYLIST.TXT']);
+});
+
+test('long names keep the long manifest names and template', () => {
+    const files = Slideshow.buildBundle(SLIDES.slice(0, 1), { manifest: 'both' });
+    assert.deepEqual(files.map(file => file.path), [
+        'slides/001_holiday_photo_landscape.bmp',
+        'slides/playlist.json',
+        'slides/playlist.txt'
+    ]);
+});